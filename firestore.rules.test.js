@@ -0,0 +1,295 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, beforeAll, beforeEach, afterAll } from 'vitest';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc, addDoc, collection, serverTimestamp, arrayUnion, getDocs, query, where } from 'firebase/firestore';
+
+// Runs against the Firestore emulator only: `npm run test:rules` starts it and sets FIRESTORE_EMULATOR_HOST.
+// A plain `npm test` skips this suite; the emulator needs Java, so CI (.github/workflows/test.yml) runs it.
+
+const APP_ID = 'test-app';
+const DATA = `artifacts/${APP_ID}/public/data`;
+
+const PROFILES = {
+    admin: { role: 'admin', email: 'admin@prep4iiser.test', teams: [] },
+    finance: { role: 'finance', email: 'finance@prep4iiser.test', teams: [] },
+    lead: { role: 'lead', email: 'lead@prep4iiser.test', teams: ['Lecture Team'] },
+    mentor: { role: 'mentor', email: 'aarav@prep4iiser.test', teams: [], mentorId: 'mentor-1' },
+    pending: { role: 'pending', email: 'new@prep4iiser.test' },
+};
+
+const MENTORS = {
+    'mentor-1': { name: 'Aarav Sharma', email: 'aarav@prep4iiser.test', teams: ['Lecture Team'], baseRate: 12, status: 'active' },
+    'mentor-2': { name: 'Ishita Banerjee', email: 'ishita@prep4iiser.test', teams: ['Content Team (Chapterwise)'], baseRate: 10, status: 'active' },
+};
+
+// End of the last locked payroll period, as settings/payroll is seeded below
+const LOCKED_THROUGH = new Date('2024-01-31T23:59:59.999Z');
+const CLOSED_DATE = new Date('2024-01-15T10:00:00Z');
+
+// A new task as TaskModal writes it
+const newTask = (uid, mentorId, overrides = {}) => ({
+    mentorId,
+    mentorName: MENTORS[mentorId].name,
+    taskType: 'Lecture',
+    description: 'Kinematics - lecture 1',
+    chapterId: 'phy-kinematics',
+    chapterName: 'Kinematics',
+    minutes: 60,
+    units: 1,
+    date: new Date(),
+    status: 'Submitted',
+    reviewTrail: [{ status: 'Submitted', comment: '', by: uid, byName: '', at: new Date() }],
+    submittedBy: uid,
+    submittedAt: serverTimestamp(),
+    ...overrides,
+});
+
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)('firestore.rules', () => {
+    let testEnv;
+    const db = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+    beforeAll(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: 'demo-prep4iiser-rules',
+            firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+        });
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const adminDb = context.firestore();
+            for (const [uid, profile] of Object.entries(PROFILES)) await setDoc(doc(adminDb, `${DATA}/users/${uid}`), profile);
+            for (const [id, mentor] of Object.entries(MENTORS)) await setDoc(doc(adminDb, `${DATA}/mentors/${id}`), mentor);
+            await setDoc(doc(adminDb, `${DATA}/tasks/own-task`), { ...newTask('mentor', 'mentor-1'), submittedAt: new Date() });
+            await setDoc(doc(adminDb, `${DATA}/tasks/other-task`), { ...newTask('admin', 'mentor-2'), submittedAt: new Date() });
+            await setDoc(doc(adminDb, `${DATA}/feedbackForms/own-task`), { taskId: 'own-task', mentorId: 'mentor-1', open: true, createdBy: 'mentor' });
+            await setDoc(doc(adminDb, `${DATA}/tasks/legacy-task`), { ...newTask('mentor', 'mentor-1'), submittedAt: new Date(), status: 'Pending' });
+            await setDoc(doc(adminDb, `${DATA}/tasks/locked-task`), { ...newTask('mentor', 'mentor-1'), submittedAt: new Date(), locked: true, payrollPeriodId: 'period-1' });
+            await setDoc(doc(adminDb, `${DATA}/settings/payroll`), { lockedThrough: LOCKED_THROUGH, updatedBy: 'finance' });
+        });
+    });
+
+    afterAll(async () => {
+        await testEnv.cleanup();
+    });
+
+    describe('mentor', () => {
+        it('submits work for their own mentor record', async () => {
+            await assertSucceeds(setDoc(doc(db('mentor'), `${DATA}/tasks/new-task`), newTask('mentor', 'mentor-1')));
+        });
+
+        it('cannot submit work for another mentor', async () => {
+            await assertFails(setDoc(doc(db('mentor'), `${DATA}/tasks/new-task`), newTask('mentor', 'mentor-2')));
+        });
+
+        it('cannot submit work as already approved', async () => {
+            await assertFails(setDoc(doc(db('mentor'), `${DATA}/tasks/new-task`), newTask('mentor', 'mentor-1', { status: 'Approved' })));
+        });
+
+        it('reads and corrects only their own tasks', async () => {
+            await assertSucceeds(getDoc(doc(db('mentor'), `${DATA}/tasks/own-task`)));
+            await assertSucceeds(updateDoc(doc(db('mentor'), `${DATA}/tasks/own-task`), { description: 'Kinematics - lecture 2' }));
+            await assertFails(getDoc(doc(db('mentor'), `${DATA}/tasks/other-task`)));
+            await assertFails(updateDoc(doc(db('mentor'), `${DATA}/tasks/other-task`), { description: 'Changed' }));
+            await assertFails(deleteDoc(doc(db('mentor'), `${DATA}/tasks/other-task`)));
+        });
+
+        it('edits legacy Pending work, which is stored as Submitted again', async () => {
+            await assertSucceeds(updateDoc(doc(db('mentor'), `${DATA}/tasks/legacy-task`), { description: 'Changed', status: 'Submitted' }));
+            await assertSucceeds(deleteDoc(doc(db('mentor'), `${DATA}/tasks/legacy-task`)));
+        });
+
+        it('cannot set ratings or student feedback figures on their own work', async () => {
+            await assertFails(updateDoc(doc(db('mentor'), `${DATA}/tasks/own-task`), { rating: 5 }));
+            await assertFails(updateDoc(doc(db('mentor'), `${DATA}/tasks/own-task`), { studentRating: 5, feedbackCount: 40 }));
+            await assertFails(updateDoc(doc(db('mentor'), `${DATA}/tasks/own-task`), { feedbackComments: [{ comment: 'Great', rating: 5 }] }));
+            await assertFails(setDoc(doc(db('mentor'), `${DATA}/tasks/new-task`), newTask('mentor', 'mentor-1', { studentRating: 5, feedbackCount: 1 })));
+            await assertFails(updateDoc(doc(db('lead'), `${DATA}/tasks/own-task`), { studentRating: 5 }));
+        });
+
+        it('cannot approve their own work', async () => {
+            await assertFails(updateDoc(doc(db('mentor'), `${DATA}/tasks/own-task`), { status: 'Approved' }));
+        });
+
+        it('cannot change their own base rate', async () => {
+            await assertFails(updateDoc(doc(db('mentor'), `${DATA}/mentors/mentor-1`), { baseRate: 50 }));
+        });
+    });
+
+    describe('pending user', () => {
+        it('is denied tasks, mentors and settings', async () => {
+            await assertFails(getDoc(doc(db('pending'), `${DATA}/tasks/own-task`)));
+            await assertFails(getDoc(doc(db('pending'), `${DATA}/mentors/mentor-1`)));
+            await assertFails(getDoc(doc(db('pending'), `${DATA}/settings/paymentPolicy`)));
+            await assertFails(setDoc(doc(db('pending'), `${DATA}/tasks/new-task`), newTask('pending', 'mentor-1')));
+        });
+
+        it('cannot give themselves a role', async () => {
+            await assertFails(updateDoc(doc(db('pending'), `${DATA}/users/pending`), { role: 'admin' }));
+        });
+    });
+
+    describe('finance', () => {
+        it('reads every task', async () => {
+            await assertSucceeds(getDoc(doc(db('finance'), `${DATA}/tasks/own-task`)));
+            await assertSucceeds(getDoc(doc(db('finance'), `${DATA}/tasks/other-task`)));
+        });
+
+        it('cannot create, edit or delete tasks', async () => {
+            await assertFails(setDoc(doc(db('finance'), `${DATA}/tasks/new-task`), newTask('finance', 'mentor-1')));
+            await assertFails(updateDoc(doc(db('finance'), `${DATA}/tasks/own-task`), { minutes: 240 }));
+            await assertFails(deleteDoc(doc(db('finance'), `${DATA}/tasks/own-task`)));
+        });
+
+        it('edits base rates but nothing else on a mentor', async () => {
+            await assertSucceeds(updateDoc(doc(db('finance'), `${DATA}/mentors/mentor-1`), { baseRate: 14, lastUpdated: serverTimestamp() }));
+            await assertFails(updateDoc(doc(db('finance'), `${DATA}/mentors/mentor-1`), { teams: [] }));
+        });
+    });
+
+    describe('lead', () => {
+        it('reviews work for mentors in their teams only', async () => {
+            await assertSucceeds(updateDoc(doc(db('lead'), `${DATA}/tasks/own-task`), { status: 'Approved' }));
+            await assertFails(updateDoc(doc(db('lead'), `${DATA}/tasks/other-task`), { status: 'Approved' }));
+        });
+
+        it('cannot move work to another mentor or change who submitted it', async () => {
+            await assertFails(updateDoc(doc(db('lead'), `${DATA}/tasks/own-task`), { mentorId: 'mentor-2' }));
+            await assertFails(updateDoc(doc(db('admin'), `${DATA}/tasks/own-task`), { mentorId: 'mentor-2' }));
+            await assertFails(updateDoc(doc(db('lead'), `${DATA}/tasks/own-task`), { submittedBy: 'lead' }));
+        });
+
+        it('appends one step to the review trail but never rewrites it', async () => {
+            const step = { status: 'Approved', comment: '', by: 'lead', byName: '', at: new Date() };
+            await assertSucceeds(updateDoc(doc(db('lead'), `${DATA}/tasks/own-task`), { status: 'Approved', reviewTrail: arrayUnion(step) }));
+            await assertFails(updateDoc(doc(db('lead'), `${DATA}/tasks/own-task`), { reviewTrail: [step] }));
+            await assertFails(updateDoc(doc(db('lead'), `${DATA}/tasks/own-task`), { reviewTrail: arrayUnion({ ...step, comment: 'a' }, { ...step, comment: 'b' }) }));
+        });
+    });
+
+    describe('locked payroll period', () => {
+        it('freezes its tasks for everyone, admins included', async () => {
+            for (const uid of ['admin', 'lead', 'mentor']) {
+                await assertFails(updateDoc(doc(db(uid), `${DATA}/tasks/locked-task`), { description: 'Changed' }));
+                await assertFails(deleteDoc(doc(db(uid), `${DATA}/tasks/locked-task`)));
+            }
+            await assertFails(updateDoc(doc(db('admin'), `${DATA}/tasks/locked-task`), { locked: false }));
+        });
+
+        it('is stamped on tasks by finance but not by reviewers or mentors', async () => {
+            await assertSucceeds(updateDoc(doc(db('finance'), `${DATA}/tasks/own-task`), { locked: true, payrollPeriodId: 'period-1' }));
+            await assertFails(updateDoc(doc(db('lead'), `${DATA}/tasks/other-task`), { locked: true, payrollPeriodId: 'period-1' }));
+            await assertFails(updateDoc(doc(db('finance'), `${DATA}/tasks/other-task`), { locked: true, payrollPeriodId: 'period-1', minutes: 240 }));
+        });
+
+        it('refuses backdated work in a locked period, from reviewers and mentors alike', async () => {
+            await assertFails(setDoc(doc(db('mentor'), `${DATA}/tasks/new-task`), newTask('mentor', 'mentor-1', { date: CLOSED_DATE })));
+            await assertFails(setDoc(doc(db('lead'), `${DATA}/tasks/new-task`), newTask('lead', 'mentor-1', { date: CLOSED_DATE })));
+        });
+
+        it('refuses moving work into a locked period', async () => {
+            await assertFails(updateDoc(doc(db('mentor'), `${DATA}/tasks/own-task`), { date: CLOSED_DATE }));
+            await assertFails(updateDoc(doc(db('admin'), `${DATA}/tasks/own-task`), { date: CLOSED_DATE }));
+            await assertSucceeds(updateDoc(doc(db('mentor'), `${DATA}/tasks/own-task`), { date: new Date() }));
+        });
+
+        it('keeps its end date in settings written by admins and finance only', async () => {
+            await assertSucceeds(setDoc(doc(db('finance'), `${DATA}/settings/payroll`), { lockedThrough: new Date('2024-02-29T23:59:59.999Z'), updatedBy: 'finance' }));
+            await assertFails(setDoc(doc(db('mentor'), `${DATA}/settings/payroll`), { lockedThrough: new Date(0), updatedBy: 'mentor' }));
+            await assertFails(setDoc(doc(db('lead'), `${DATA}/settings/payroll`), { lockedThrough: new Date(0), updatedBy: 'lead' }));
+        });
+
+        it('cannot be set when submitting work', async () => {
+            await assertFails(setDoc(doc(db('mentor'), `${DATA}/tasks/new-task`), newTask('mentor', 'mentor-1', { locked: true })));
+        });
+    });
+
+    describe('task history', () => {
+        const entry = (uid, taskId, mentorId) => ({ taskId, mentorId, action: 'update', changes: {}, by: uid, byName: '', at: serverTimestamp() });
+
+        it('is written only by someone who may change the task', async () => {
+            await assertSucceeds(addDoc(collection(db('mentor'), `${DATA}/taskHistory`), entry('mentor', 'own-task', 'mentor-1')));
+            await assertSucceeds(addDoc(collection(db('lead'), `${DATA}/taskHistory`), entry('lead', 'own-task', 'mentor-1')));
+            await assertFails(addDoc(collection(db('mentor'), `${DATA}/taskHistory`), entry('mentor', 'other-task', 'mentor-2')));
+            await assertFails(addDoc(collection(db('finance'), `${DATA}/taskHistory`), entry('finance', 'own-task', 'mentor-1')));
+            await assertFails(addDoc(collection(db('pending'), `${DATA}/taskHistory`), entry('pending', 'own-task', 'mentor-1')));
+            await assertFails(addDoc(collection(db('admin'), `${DATA}/taskHistory`), entry('admin', 'locked-task', 'mentor-1')));
+        });
+
+        it('names the task\'s own mentor', async () => {
+            await assertFails(addDoc(collection(db('lead'), `${DATA}/taskHistory`), entry('lead', 'own-task', 'mentor-2')));
+        });
+    });
+
+    describe('student feedback', () => {
+        const student = (uid) => testEnv.authenticatedContext(uid, { firebase: { sign_in_provider: 'anonymous' } }).firestore();
+        const response = { taskId: 'own-task', mentorId: 'mentor-1', rating: 5, comment: '', at: serverTimestamp() };
+
+        it('takes one response per anonymous sign-in', async () => {
+            await assertSucceeds(setDoc(doc(student('student-1'), `${DATA}/feedback/own-task_student-1`), response));
+            await assertFails(setDoc(doc(student('student-1'), `${DATA}/feedback/own-task_student-1`), { ...response, rating: 1 }));
+            await assertFails(setDoc(doc(student('student-1'), `${DATA}/feedback/own-task_student-2`), response));
+        });
+
+        it('forms are fetched by id by anyone signed in and listed only by staff', async () => {
+            const forms = (firestore) => collection(firestore, `${DATA}/feedbackForms`);
+            await assertSucceeds(getDoc(doc(student('student-1'), `${DATA}/feedbackForms/own-task`)));
+            await assertFails(getDocs(forms(student('student-1'))));
+            await assertFails(getDocs(forms(db('mentor'))));
+            await assertSucceeds(getDocs(query(forms(db('mentor')), where('mentorId', '==', 'mentor-1'))));
+            await assertSucceeds(getDocs(forms(db('lead'))));
+        });
+
+        it('is deleted only by an admin removing an archived mentor', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await setDoc(doc(context.firestore(), `${DATA}/feedback/own-task_student-1`), { ...response, at: new Date() });
+            });
+            await assertFails(deleteDoc(doc(db('admin'), `${DATA}/feedback/own-task_student-1`)));
+            await assertFails(deleteDoc(doc(db('admin'), `${DATA}/feedbackForms/own-task`)));
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await updateDoc(doc(context.firestore(), `${DATA}/mentors/mentor-1`), { status: 'archived' });
+            });
+            await assertFails(deleteDoc(doc(db('lead'), `${DATA}/feedback/own-task_student-1`)));
+            await assertSucceeds(deleteDoc(doc(db('admin'), `${DATA}/feedback/own-task_student-1`)));
+            await assertSucceeds(deleteDoc(doc(db('admin'), `${DATA}/feedbackForms/own-task`)));
+        });
+
+        it('is refused from staff accounts, the lecture\'s mentor included', async () => {
+            await assertFails(setDoc(doc(db('mentor'), `${DATA}/feedback/own-task_mentor`), response));
+            await assertFails(setDoc(doc(db('admin'), `${DATA}/feedback/own-task_admin`), response));
+        });
+    });
+
+    describe('task aggregates', () => {
+        // The shape buildTaskAggregate writes: totals from getTaskTotals, pay worked out from them on read
+        const aggregate = (uid, mentorId) => ({
+            scope: 'all',
+            mentorId,
+            mentorName: MENTORS[mentorId].name,
+            totals: {
+                taskCount: 1,
+                lectureCount: 1,
+                lectureMinutes: 60,
+                units: 0,
+                ratingSum: 0,
+                ratedCount: 0,
+                taskTypeCounts: { Lecture: 1 },
+                paymentTotals: { chapterMinutes: { 'phy-kinematics': 60 }, lecturesCount: 1, ratingSum: 0, ratingCount: 0, unitsByType: {} },
+            },
+            updatedBy: uid,
+            updatedAt: serverTimestamp(),
+        });
+
+        it('are written by reviewers in scope and finance, never by the mentor', async () => {
+            await assertSucceeds(setDoc(doc(db('lead'), `${DATA}/taskAggregates/all_mentor-1`), aggregate('lead', 'mentor-1')));
+            await assertSucceeds(setDoc(doc(db('finance'), `${DATA}/taskAggregates/all_mentor-2`), aggregate('finance', 'mentor-2')));
+            await assertFails(setDoc(doc(db('lead'), `${DATA}/taskAggregates/all_mentor-2`), aggregate('lead', 'mentor-2')));
+            await assertFails(setDoc(doc(db('mentor'), `${DATA}/taskAggregates/all_mentor-1`), aggregate('mentor', 'mentor-1')));
+        });
+    });
+
+    it('denies signed-out visitors', async () => {
+        await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), `${DATA}/tasks/own-task`)));
+    });
+});
@@ -0,0 +1,381 @@
+// Fills the local Auth and Firestore emulators with a demo organisation: teams, leads, finance and
+// admin accounts, mentors at every lifecycle stage, payroll periods, assignments and about five
+// months of reviewed work with student feedback.
+//
+//   npm run emulators   # firebase emulators:start, in another terminal
+//   npm run seed        # wipes both emulators, then writes the demo data
+//
+// Everything goes through the emulators' REST APIs with the `owner` token, which bypasses the
+// security rules, so no service account or extra packages are needed. The data is generated from
+// a fixed random seed and dated relative to today, so every run gives the same picture.
+// Every seeded account signs in with password123.
+
+import { DEFAULT_PAYMENT_POLICY, getRateCard } from '../src/payment.js';
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'demo-prep4iiser';
+const APP_ID = process.env.SEED_APP_ID || 'default-app-id'; // The app's appId when __app_id is not injected
+const FIRESTORE_HOST = process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080';
+const AUTH_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST || '127.0.0.1:9099';
+const PASSWORD = 'password123';
+const WEEKS_OF_WORK = 22;
+
+const DATA_PATH = `projects/${PROJECT_ID}/databases/(default)/documents/artifacts/${APP_ID}/public/data`;
+const OWNER_HEADERS = { 'Content-Type': 'application/json', Authorization: 'Bearer owner' };
+
+// --- Deterministic Randomness ---
+
+// mulberry32: small, seedable and good enough for demo data
+let randomState = 20240601;
+const random = () => {
+    randomState = (randomState + 0x6D2B79F5) | 0;
+    let t = randomState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+const randomInt = (min, max) => min + Math.floor(random() * (max - min + 1));
+const pick = (list) => list[Math.floor(random() * list.length)];
+const chance = (probability) => random() < probability;
+
+let idCounter = 0;
+const makeId = (prefix) => `${prefix}-${String(++idCounter).padStart(5, '0')}`;
+
+// --- Dates ---
+
+const today = new Date();
+today.setHours(0, 0, 0, 0);
+const daysAgo = (days, hours = 0, minutes = 0) => {
+    const date = new Date(today);
+    date.setDate(date.getDate() - days);
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+};
+const addHours = (date, hours) => new Date(date.getTime() + hours * 60 * 60 * 1000);
+const monthStart = (monthsBack) => new Date(today.getFullYear(), today.getMonth() - monthsBack, 1);
+const monthEnd = (monthsBack) => new Date(today.getFullYear(), today.getMonth() - monthsBack + 1, 0, 23, 59, 59, 999);
+// yyyy-mm of that month in local time (toISOString would give the previous month east of UTC)
+const monthKey = (monthsBack) => {
+    const date = monthStart(monthsBack);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// --- Emulator REST Helpers ---
+
+// Firestore REST values are typed; Dates become timestamps, plain objects become maps
+const toValue = (value) => {
+    if (value === null || value === undefined) return { nullValue: null };
+    if (value instanceof Date) return { timestampValue: value.toISOString() };
+    if (Array.isArray(value)) return { arrayValue: { values: value.map(toValue) } };
+    if (typeof value === 'boolean') return { booleanValue: value };
+    if (typeof value === 'number') return Number.isInteger(value) ? { integerValue: String(value) } : { doubleValue: value };
+    if (typeof value === 'object') return { mapValue: { fields: toFields(value) } };
+    return { stringValue: String(value) };
+};
+const toFields = (data) => Object.fromEntries(
+    Object.entries(data).filter(([, value]) => value !== undefined).map(([key, value]) => [key, toValue(value)])
+);
+
+const request = async (url, options) => {
+    const response = await fetch(url, { headers: OWNER_HEADERS, ...options });
+    if (!response.ok) throw new Error(`${options.method} ${url} failed (${response.status}): ${await response.text()}`);
+    return response.status === 204 ? null : response.json();
+};
+
+// Documents waiting to be committed, as [path under the data root, data]
+const pending = [];
+const put = (path, data) => pending.push([path, data]);
+
+// Commit everything queued with put(), 400 writes per request like the app's commitInChunks
+const commitAll = async () => {
+    for (let i = 0; i < pending.length; i += 400) {
+        const writes = pending.slice(i, i + 400).map(([path, data]) => ({
+            update: { name: `${DATA_PATH}/${path}`, fields: toFields(data) },
+        }));
+        await request(`http://${FIRESTORE_HOST}/v1/projects/${PROJECT_ID}/databases/(default)/documents:commit`, {
+            method: 'POST',
+            body: JSON.stringify({ writes }),
+        });
+    }
+};
+
+const clearEmulators = async () => {
+    await request(`http://${FIRESTORE_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`, { method: 'DELETE' });
+    await request(`http://${AUTH_HOST}/emulator/v1/projects/${PROJECT_ID}/accounts`, { method: 'DELETE' });
+};
+
+// Email/password account with a verified email, so mentors can self-link as they would in production
+const createAccount = async (uid, email, displayName) => {
+    await request(`http://${AUTH_HOST}/identitytoolkit.googleapis.com/v1/projects/${PROJECT_ID}/accounts`, {
+        method: 'POST',
+        body: JSON.stringify({ localId: uid, email, password: PASSWORD, displayName, emailVerified: true }),
+    });
+};
+
+// --- Organisation ---
+
+const TEAMS = [
+    { name: 'Lecture Team', description: 'Live chapter lectures for the IAT and NEST batches.', defaultBaseRate: 12, allowedTaskTypes: ['Lecture'] },
+    { name: 'Content Team (Chapterwise)', description: 'Chapterwise question sets with worked solutions.', defaultBaseRate: 10, allowedTaskTypes: ['Content Team (Chapterwise)', 'Other'] },
+    { name: 'Test Series Team', description: 'Full-length and sectional mock papers.', defaultBaseRate: 10, allowedTaskTypes: ['Test Series Team', 'Other'] },
+    { name: 'Doubt Session Team', description: 'Evening doubt-clearing sessions on the community server.', defaultBaseRate: 8, allowedTaskTypes: ['Doubt Session Team', 'Lecture'] },
+    { name: 'Mentorship Team', description: 'One-to-one mentoring for the current aspirant cohort.', defaultBaseRate: 8, allowedTaskTypes: ['Mentorship Team', 'Other'] },
+];
+
+// [name, teams, base rate, status, months since joining]
+const MENTORS = [
+    ['Aarav Sharma', ['Lecture Team'], 14, 'active', 14],
+    ['Ananya Iyer', ['Lecture Team', 'Doubt Session Team'], 12, 'active', 11],
+    ['Rahul Verma', ['Lecture Team'], 15, 'active', 20],
+    ['Sneha Kulkarni', ['Lecture Team', 'Content Team (Chapterwise)'], 12, 'active', 9],
+    ['Vikram Nair', ['Lecture Team'], 11, 'on_leave', 16],
+    ['Ishita Banerjee', ['Content Team (Chapterwise)'], 10, 'active', 8],
+    ['Karthik Reddy', ['Content Team (Chapterwise)', 'Test Series Team'], 10, 'active', 12],
+    ['Meera Joshi', ['Content Team (Chapterwise)'], 9, 'active', 6],
+    ['Arjun Mehta', ['Test Series Team'], 10, 'active', 10],
+    ['Priya Menon', ['Test Series Team', 'Mentorship Team'], 9, 'active', 7],
+    ['Rohan Das', ['Doubt Session Team'], 8, 'active', 5],
+    ['Tanvi Deshpande', ['Doubt Session Team', 'Mentorship Team'], 8, 'active', 9],
+    ['Siddharth Rao', ['Mentorship Team'], 8, 'active', 4],
+    ['Nikhil Gupta', ['Lecture Team', 'Test Series Team'], 13, 'alumni', 24],
+    ['Pooja Pillai', ['Mentorship Team'], 8, 'archived', 18],
+    ['Aditya Singh', ['Content Team (Chapterwise)'], 9, 'active', 2],
+];
+
+// A spread of catalogue chapters (ids as in the app's default syllabus)
+const CHAPTERS = [
+    ['phy-kinematics', 'Kinematics'],
+    ['phy-laws-of-motion', 'Laws of Motion'],
+    ['phy-work-energy-and-power', 'Work, Energy and Power'],
+    ['phy-rotational-motion', 'Rotational Motion'],
+    ['phy-thermodynamics', 'Thermodynamics'],
+    ['phy-electrostatics', 'Electrostatics'],
+    ['phy-current-electricity', 'Current Electricity'],
+    ['phy-ray-optics', 'Ray Optics'],
+    ['phy-wave-optics', 'Wave Optics'],
+    ['chem-atomic-structure', 'Atomic Structure'],
+    ['chem-chemical-equilibrium', 'Chemical Equilibrium'],
+    ['chem-chemical-kinetics', 'Chemical Kinetics'],
+    ['chem-coordination-compounds', 'Coordination Compounds'],
+    ['chem-haloalkanes-and-haloarenes', 'Haloalkanes and Haloarenes'],
+    ['math-complex-numbers', 'Complex Numbers'],
+    ['math-permutations-and-combinations', 'Permutations and Combinations'],
+    ['math-limits-and-continuity', 'Limits and Continuity'],
+    ['math-integration', 'Integration'],
+    ['math-circles', 'Circles'],
+    ['math-probability', 'Probability'],
+].map(([id, name]) => ({ id, name }));
+
+const STUDENT_COMMENTS = [
+    'Very clear explanation of the derivations.',
+    'Could slow down a little on the harder examples.',
+    'Loved the previous-year questions at the end.',
+    'Audio dropped out a couple of times.',
+    'Best session on this chapter so far!',
+    'More practice problems please.',
+];
+
+const toEmail = (name) => `${name.toLowerCase().replace(/[^a-z]+/g, '.')}@prep4iiser.test`;
+
+// --- Seed ---
+
+const seed = async () => {
+    console.log(`Clearing the emulators for project ${PROJECT_ID}...`);
+    await clearEmulators();
+
+    // Staff accounts and their role profiles
+    const staff = [
+        { uid: 'admin', email: 'admin@prep4iiser.test', displayName: 'Portal Admin', role: 'admin', teams: [] },
+        { uid: 'finance', email: 'finance@prep4iiser.test', displayName: 'Finance Lead', role: 'finance', teams: [] },
+        { uid: 'lead-lectures', email: 'lead.lectures@prep4iiser.test', displayName: 'Lectures Lead', role: 'lead', teams: ['Lecture Team', 'Doubt Session Team'] },
+        { uid: 'lead-content', email: 'lead.content@prep4iiser.test', displayName: 'Content Lead', role: 'lead', teams: ['Content Team (Chapterwise)', 'Test Series Team', 'Mentorship Team'] },
+    ];
+    for (const user of staff) {
+        await createAccount(user.uid, user.email, user.displayName);
+        put(`users/${user.uid}`, { email: user.email, displayName: user.displayName, role: user.role, teams: user.teams, mentorId: null, createdAt: daysAgo(400) });
+    }
+    const leadFor = (teamName) => staff.find(user => user.role === 'lead' && user.teams.includes(teamName));
+
+    TEAMS.forEach((team, index) => {
+        const lead = leadFor(team.name);
+        put(`teams/team-${index + 1}`, { ...team, leadUserId: lead.uid, leadName: lead.email, createdAt: daysAgo(400), lastUpdated: daysAgo(30) });
+    });
+
+    put('settings/paymentPolicy', { ...DEFAULT_PAYMENT_POLICY, notes: 'Seeded from the default policy.', updatedBy: 'admin', lastUpdated: daysAgo(120) });
+    put(`settings/paymentPolicy/versions/v${DEFAULT_PAYMENT_POLICY.version}`, { ...DEFAULT_PAYMENT_POLICY, updatedBy: 'admin', lastUpdated: daysAgo(120) });
+
+    // Mentors; the first three active ones also get sign-ins of their own
+    const mentors = MENTORS.map(([name, teams, baseRate, status, monthsIn], index) => ({
+        id: `mentor-${String(index + 1).padStart(2, '0')}`,
+        name,
+        email: toEmail(name),
+        teams,
+        baseRate,
+        status,
+        joinDate: monthStart(monthsIn),
+        exitDate: ['alumni', 'archived'].includes(status) ? daysAgo(randomInt(60, 120)) : null,
+    }));
+    for (const mentor of mentors) {
+        const { id, ...data } = mentor;
+        put(`mentors/${id}`, { ...data, photoURL: 'https://placehold.co/100x100/4F46E5/FFFFFF?text=P4I', lastUpdated: daysAgo(30) });
+    }
+    for (const mentor of mentors.filter(m => m.status === 'active').slice(0, 3)) {
+        const uid = `user-${mentor.id}`;
+        await createAccount(uid, mentor.email, mentor.name);
+        put(`users/${uid}`, { email: mentor.email, displayName: mentor.name, role: 'mentor', teams: [], mentorId: mentor.id, linkedAt: daysAgo(90) });
+    }
+
+    // Monthly payroll periods for the last four months, the previous one in review; none are locked,
+    // so locking (and the slips it generates) can be tried out in the Payroll tab
+    const periods = [3, 2, 1, 0].map(monthsBack => ({
+        id: `period-${monthKey(monthsBack)}`,
+        name: monthStart(monthsBack).toLocaleDateString('en-IN', { month: 'long', year: 'numeric' }),
+        cycle: 'monthly',
+        startDate: monthStart(monthsBack),
+        endDate: monthEnd(monthsBack),
+        status: monthsBack === 1 ? 'review' : 'open',
+        createdBy: 'finance',
+        createdAt: monthStart(monthsBack),
+    }));
+    periods.forEach(({ id, ...data }) => put(`payrollPeriods/${id}`, data));
+
+    // Weekly work per mentor, from joining (or WEEKS_OF_WORK ago) until they left or went on leave
+    let taskCount = 0;
+    let responseCount = 0;
+    const reviewerFor = (mentor) => leadFor(mentor.teams[0]);
+    const addTask = (mentor, data, date) => {
+        const id = makeId('task');
+        const ageDays = (today - date) / 86400000;
+        // Recent work is still waiting for review; a little older work was sent back or rejected
+        const status = ageDays < 4 ? pick(['Submitted', 'Submitted', 'Under Review'])
+            : ageDays < 20 && chance(0.06) ? pick(['Needs Changes', 'Rejected'])
+            : 'Approved';
+        const submittedAt = addHours(date, chance(0.2) ? randomInt(24, 96) : randomInt(1, 6)); // Some work is logged days later
+        const reviewer = reviewerFor(mentor);
+        // Leads log work for their teams, as most of the history was entered before mentors had sign-ins
+        const reviewTrail = [{ status: 'Submitted', comment: '', by: reviewer.uid, byName: reviewer.email, at: submittedAt }];
+        if (status !== 'Submitted') {
+            const comment = status === 'Needs Changes' ? 'Please add the chapter and correct the duration.'
+                : status === 'Rejected' ? 'Duplicate of an entry logged earlier this week.' : '';
+            reviewTrail.push({ status, comment, by: reviewer.uid, byName: reviewer.email, at: addHours(submittedAt, randomInt(4, 48)) });
+        }
+        put(`tasks/${id}`, {
+            mentorId: mentor.id,
+            mentorName: mentor.name,
+            description: '',
+            chapterId: null,
+            chapterName: '',
+            minutes: 0,
+            units: 1,
+            rating: null,
+            ...data,
+            date,
+            status,
+            reviewTrail,
+            submittedAt,
+            submittedBy: reviewer.uid,
+        });
+        taskCount += 1;
+        return { id, status };
+    };
+
+    for (const mentor of mentors) {
+        const firstWeek = Math.min(WEEKS_OF_WORK, Math.floor((today - mentor.joinDate) / (7 * 86400000)));
+        const lastWeek = mentor.exitDate ? Math.ceil((today - mentor.exitDate) / (7 * 86400000)) : mentor.status === 'on_leave' ? 3 : 0;
+        const quality = 3 + random() * 2; // Each mentor's typical student rating
+        for (let week = firstWeek; week >= lastWeek; week--) {
+            const day = () => {
+                const offset = week * 7 - randomInt(0, 6);
+                return daysAgo(Math.max(offset, 0), randomInt(9, 20), pick([0, 15, 30, 45]));
+            };
+            for (const team of mentor.teams) {
+                if (team === 'Lecture Team') {
+                    for (let n = randomInt(1, 3); n > 0; n--) {
+                        const chapter = pick(CHAPTERS);
+                        const minutes = pick([45, 60, 60, 75, 90, 120]);
+                        const date = day();
+                        const task = addTask(mentor, {
+                            taskType: 'Lecture',
+                            description: `${chapter.name} - lecture ${randomInt(1, 6)}`,
+                            chapterId: chapter.id,
+                            chapterName: chapter.name,
+                            minutes,
+                            durationMinutes: minutes,
+                        }, date);
+                        // Most approved lectures collected student feedback
+                        if (task.status === 'Approved' && chance(0.7)) {
+                            put(`feedbackForms/${task.id}`, {
+                                taskId: task.id, mentorId: mentor.id, mentorName: mentor.name, chapterName: chapter.name,
+                                description: `${chapter.name} lecture`, lectureDate: date, open: week < 4, createdBy: 'admin', createdAt: date,
+                            });
+                            for (let r = randomInt(2, 7); r > 0; r--) {
+                                const rating = Math.min(5, Math.max(1, Math.round(quality + (random() - 0.5) * 2)));
+                                put(`feedback/${task.id}_student-${r}`, {
+                                    taskId: task.id, mentorId: mentor.id, rating,
+                                    comment: chance(0.3) ? pick(STUDENT_COMMENTS) : '', at: addHours(date, randomInt(1, 30)),
+                                });
+                                responseCount += 1;
+                            }
+                        }
+                    }
+                } else if (team === 'Content Team (Chapterwise)' && chance(0.8)) {
+                    const chapter = pick(CHAPTERS);
+                    addTask(mentor, {
+                        taskType: team, description: `${chapter.name} question set`, chapterId: chapter.id, chapterName: chapter.name,
+                        units: randomInt(1, 3), unit: getRateCard(DEFAULT_PAYMENT_POLICY, team).unit, durationMinutes: randomInt(120, 300),
+                    }, day());
+                } else if (team === 'Test Series Team' && chance(0.4)) {
+                    addTask(mentor, {
+                        taskType: team, description: pick(['Full-length IAT mock', 'Sectional physics mock', 'NEST practice paper']),
+                        units: 1, unit: getRateCard(DEFAULT_PAYMENT_POLICY, team).unit, durationMinutes: randomInt(240, 480),
+                    }, day());
+                } else if (team === 'Doubt Session Team') {
+                    const hours = pick([1, 1.5, 2]);
+                    addTask(mentor, {
+                        taskType: team, description: `Evening doubt session (${pick(['Physics', 'Chemistry', 'Mathematics'])})`,
+                        units: hours, unit: getRateCard(DEFAULT_PAYMENT_POLICY, team).unit, durationMinutes: hours * 60,
+                    }, day());
+                } else if (team === 'Mentorship Team' && week % 4 === 0) {
+                    addTask(mentor, {
+                        taskType: team, description: 'Monthly mentee check-ins',
+                        units: randomInt(3, 8), unit: getRateCard(DEFAULT_PAYMENT_POLICY, team).unit,
+                    }, day());
+                }
+            }
+        }
+    }
+
+    // Planned work: some overdue, some due in the coming days
+    const activeMentors = mentors.filter(m => m.status === 'active');
+    activeMentors.slice(0, 8).forEach((mentor, index) => {
+        const team = mentor.teams[0];
+        const isLecture = team === 'Lecture Team';
+        const taskType = isLecture ? 'Lecture' : TEAMS.find(t => t.name === team).allowedTaskTypes[0];
+        const chapter = CHAPTERS[(index * 3) % CHAPTERS.length];
+        put(`assignments/${makeId('assignment')}`, {
+            mentorId: mentor.id,
+            mentorName: mentor.name,
+            team,
+            title: isLecture ? `${chapter.name} lecture series` : `${chapter.name} ${getRateCard(DEFAULT_PAYMENT_POLICY, taskType).unit}s`,
+            taskType,
+            chapterId: ['Lecture', 'Content Team (Chapterwise)'].includes(taskType) ? chapter.id : null,
+            chapterName: ['Lecture', 'Content Team (Chapterwise)'].includes(taskType) ? chapter.name : '',
+            expected: isLecture ? 240 : randomInt(2, 5),
+            unit: isLecture ? 'minute' : getRateCard(DEFAULT_PAYMENT_POLICY, taskType).unit,
+            dueDate: daysAgo(index % 3 === 0 ? randomInt(2, 10) : -randomInt(2, 14)),
+            status: 'open',
+            createdBy: reviewerFor(mentor).uid,
+            createdAt: daysAgo(randomInt(15, 30)),
+        });
+    });
+
+    console.log(`Writing ${pending.length} documents...`);
+    await commitAll();
+    console.log(`Seeded ${TEAMS.length} teams, ${mentors.length} mentors, ${periods.length} payroll periods, ${taskCount} tasks and ${responseCount} feedback responses.`);
+    console.log(`Sign in as admin@prep4iiser.test (or finance@, lead.lectures@, lead.content@, ${mentors[0].email}) with password ${PASSWORD}.`);
+    console.log('Per-mentor totals are not seeded: use Payroll > Recalculate Totals once signed in as admin or finance.');
+};
+
+seed().catch((e) => {
+    console.error('Seeding failed. Are the emulators running (npm run emulators)?', e.message);
+    process.exit(1);
+});
@@ -1,6 +1,18 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
+import {
+  getAuth,
+  signInWithCustomToken,
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  signInWithPopup,
+  signInAnonymously,
+  sendEmailVerification,
+  GoogleAuthProvider,
+  signOut,
+  onAuthStateChanged,
+  connectAuthEmulator
+} from 'firebase/auth';
 import {
   getFirestore,
   doc,
@@ -12,527 +24,3139 @@ import {
   deleteDoc,
   where,
   getDoc, // <-- Imported getDoc for initial data check
+  getDocs,
   serverTimestamp,
   orderBy,
+  limit,
   addDoc,
-  setLogLevel
+  arrayUnion,
+  increment,
+  runTransaction,
+  writeBatch,
+  setLogLevel,
+  connectFirestoreEmulator
 } from 'firebase/firestore';
+import {
+  DEFAULT_PAYMENT_POLICY,
+  normalizePaymentPolicy,
+  getRateCard,
+  getTaskUnits,
+  normalizeChapterName,
+  getChapterKey,
+  getTaskStatus,
+  isPayableTask,
+  getLectureRating,
+  getPaymentTotals,
+  calculatePaymentFromTotals,
+  calculatePayment
+} from './payment.js';
 
 // --- Utility Functions ---
 
 // 1. Firebase Initialization and Global Variables
+// Local development runs against the Auth and Firestore emulators (ports as in firebase.json):
+// with VITE_USE_EMULATORS=true, or under the dev server when no Firebase config is injected.
+// `npm run emulators` starts them and `npm run seed` fills them with demo data.
+const isEmulatorMode = import.meta.env.VITE_USE_EMULATORS === 'true' || (import.meta.env.DEV && typeof __firebase_config === 'undefined');
+const EMULATOR_HOST = import.meta.env.VITE_EMULATOR_HOST || '127.0.0.1';
+// demo- project ids never reach a real Firebase project
+const EMULATOR_CONFIG = { apiKey: 'demo-api-key', authDomain: 'localhost', projectId: import.meta.env.VITE_EMULATOR_PROJECT_ID || 'demo-prep4iiser' };
+
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null;
-const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
-
-// Helper to calculate payment based on the PDF logic, extended for other work types
-const calculatePayment = (tasks, baseRatePerMinute) => {
-    // --- Lecture (PDF Logic) ---
-    let lectureBillableMinutes = 0;
-    let lectureRatingSum = 0;
-    let lectureRatingCount = 0;
-    let lecturesCount = 0;
-    
-    // Grouping for Lecture Billable Minutes (T_billable) and Lecture Count
-    const chapterData = tasks.reduce((acc, task) => {
-        if (task.taskType !== 'Lecture' || !task.chapterName || !task.minutes || task.minutes <= 0) {
-            return acc;
-        }
-        if (!acc[task.chapterName]) {
-            acc[task.chapterName] = { totalMinutes: 0, ratings: [], lectureCount: 0 };
-        }
-        acc[task.chapterName].totalMinutes += task.minutes;
-        if (task.rating) {
-            acc[task.chapterName].ratings.push(task.rating);
-        }
-        acc[task.chapterName].lectureCount += 1;
-        return acc;
-    }, {});
-    
-    // Final aggregation for Lectures
-    for (const chapter in chapterData) {
-        const data = chapterData[chapter];
-        lectureBillableMinutes += Math.min(data.totalMinutes, 240);
-        lecturesCount += data.lectureCount;
-        lectureRatingSum += data.ratings.reduce((sum, r) => sum + r, 0);
-        lectureRatingCount += data.ratings.length;
-    }
+const firebaseConfig = isEmulatorMode ? EMULATOR_CONFIG : typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null;
+const initialAuthToken = !isEmulatorMode && typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// ?feedback=<taskId> opens the anonymous student feedback form for that lecture instead of the portal
+const feedbackFormId = new URLSearchParams(window.location.search).get('feedback');
 
+// --- Mentor Lifecycle ---
 
-    const R_minute = baseRatePerMinute || 10; // Defaulting to 10 rs/min as per example
+// Mentors are never removed when they leave; archived mentors keep their history and slips but
+// drop out of the directory and can no longer be given new work
+const MENTOR_STATUSES = {
+    active: { label: 'Active', className: 'bg-green-100 text-green-700' },
+    on_leave: { label: 'On Leave', className: 'bg-yellow-100 text-yellow-800' },
+    alumni: { label: 'Alumni', className: 'bg-blue-100 text-blue-700' },
+    archived: { label: 'Archived', className: 'bg-gray-200 text-gray-700' },
+};
 
-    // Base Pay for Lectures
-    const basePayLectures = lectureBillableMinutes * R_minute;
+// Statuses that mean the mentor has left, so an exit date is expected
+const MENTOR_EXIT_STATUSES = ['alumni', 'archived'];
 
-    // M_rate (Quality Modifier) for Lectures
-    const averageRating = lectureRatingCount > 0 ? lectureRatingSum / lectureRatingCount : 5.0; // Assume 5.0 if no rating
-    let M_rate = 1.0;
-    if (averageRating < 2.5) {
-        M_rate = 0.6;
-    } else if (averageRating <= 3.5) {
-        M_rate = 0.75;
-    } else {
-        M_rate = 1.0;
-    }
+// Mentor documents from before the lifecycle fields count as active
+const getMentorStatus = (mentor) => mentor.status || 'active';
 
-    // M_freq (Frequency & Volume Modifier) for Lectures
-    let M_freq = 1.0;
-    if (lecturesCount >= 3 && lectureBillableMinutes >= 180) {
-        M_freq = 1.2; // Bonus
-    } else if (lecturesCount >= 2 && lectureBillableMinutes >= 120) {
-        M_freq = 1.0; // Standard
-    } else if (lecturesCount < 2 || lectureBillableMinutes < 120) {
-        M_freq = 0.8; // Penalty
-    }
+const isArchivedMentor = (mentor) => getMentorStatus(mentor) === 'archived';
 
-    // Final Payment for Lectures
-    const P_final_lectures = basePayLectures * M_rate * M_freq;
-    
-    
-    // --- Other Work (Chapter/Unit Based) ---
-    
-    // Placeholder rate for non-lecture tasks (Assumes 500 Rs per chapter/unit completed)
-    const CHAPTER_RATE = 500; 
-
-    const nonLectureTasks = tasks.filter(t => t.taskType !== 'Lecture');
-    
-    let totalChaptersCompleted = 0;
-    let P_final_other = 0;
-    
-    nonLectureTasks.forEach(task => {
-        const chapters = task.chaptersCompleted || 0;
-        totalChaptersCompleted += chapters;
-        
-        // Simple linear payment based on chapters completed
-        P_final_other += chapters * CHAPTER_RATE; 
-    });
-    
-    // --- Combined Totals ---
-    const P_final = P_final_lectures + P_final_other;
+// --- Roles & Permissions ---
 
+// Roles assigned by an admin on users/{uid}; new sign-ins start as 'pending'.
+// Keep in sync with firestore.rules.
+const ROLE_LABELS = {
+    admin: 'Admin',
+    finance: 'Finance',
+    lead: 'Team Lead',
+    mentor: 'Mentor',
+    pending: 'Pending Approval',
+};
 
-    return {
-        P_final: Math.round(P_final),
-        P_final_lectures: Math.round(P_final_lectures),
-        P_final_other: Math.round(P_final_other),
-        T_billable: lectureBillableMinutes,
-        totalChaptersCompleted,
-        R_minute,
-        M_rate,
-        M_freq,
-        averageRating: averageRating.toFixed(2),
-        lecturesCount,
-        basePayLectures: Math.round(basePayLectures),
-        CHAPTER_RATE
-    };
+const ROLE_PERMISSIONS = {
+    admin: ['manageUsers', 'manageMentors', 'manageTeams', 'manageSyllabus', 'editRates', 'managePayroll', 'viewPayouts', 'managePayouts', 'submitWorkForAll', 'viewAuditLog', 'importData', 'rateLectures'],
+    finance: ['editRates', 'managePayroll', 'viewPayouts', 'managePayouts', 'viewAuditLog'],
+    lead: ['submitWorkForTeam'],
+    mentor: ['submitWorkForSelf'],
+    pending: [],
 };
 
-// --- Custom Components ---
+const hasPermission = (profile, permission) => !!profile && (ROLE_PERMISSIONS[profile.role] || []).includes(permission);
 
-const Panel = ({ title, children, className = '' }) => (
-    <div className={`bg-white shadow-xl rounded-xl p-6 ${className}`}>
-        <h2 className="text-xl font-bold text-indigo-800 mb-4 border-b pb-2">{title}</h2>
-        {children}
-    </div>
+// Admins submit for anyone, leads for mentors sharing one of their teams, mentors only for themselves
+const canSubmitWorkFor = (profile, mentor) => !isArchivedMentor(mentor) && (
+    hasPermission(profile, 'submitWorkForAll')
+    || (hasPermission(profile, 'submitWorkForTeam') && mentor.teams.some(team => (profile.teams || []).includes(team)))
+    || (hasPermission(profile, 'submitWorkForSelf') && profile.mentorId === mentor.id)
 );
 
-const Button = ({ children, onClick, disabled = false, className = 'bg-indigo-600 hover:bg-indigo-700' }) => (
-    <button
-        onClick={onClick}
-        disabled={disabled}
-        className={`py-2 px-4 rounded-lg text-white font-semibold transition duration-150 ${className} ${disabled ? 'opacity-50 cursor-not-allowed' : ''}`}
-    >
-        {children}
-    </button>
+// Reviewing (approving) work follows the same scope as submitting it, minus self-submission
+const canReviewWorkFor = (profile, mentor) => (
+    hasPermission(profile, 'submitWorkForAll')
+    || (hasPermission(profile, 'submitWorkForTeam') && mentor.teams.some(team => (profile.teams || []).includes(team)))
 );
 
-// --- Main App Component ---
+// Reviewers can correct any task in their scope; mentors only their own unreviewed or sent-back tasks
+const canEditTask = (profile, mentor, task) => (
+    canReviewWorkFor(profile, mentor)
+    || (hasPermission(profile, 'submitWorkForSelf') && profile.mentorId === mentor.id && MENTOR_EDITABLE_STATUSES.includes(getTaskStatus(task)))
+);
 
-const App = () => {
-    // 1. FIREBASE STATE
-    const [db, setDb] = useState(null);
-    const [auth, setAuth] = useState(null);
-    const [userId, setUserId] = useState(null);
-    const [isAuthReady, setIsAuthReady] = useState(false);
-    const [isLoading, setIsLoading] = useState(true);
-    const [error, setError] = useState('');
+// Admins and team leads hand out planned work to the same mentors whose work they review
+const canAssignWorkTo = (profile, mentor) => canReviewWorkFor(profile, mentor);
 
-    // 2. APPLICATION DATA STATE
-    const [mentors, setMentors] = useState([]);
-    const [tasks, setTasks] = useState([]);
-    const defaultTeams = useMemo(() => ([
-        'Lecture Team',
-        'Content Team (Chapterwise)',
-        'Test Series Team',
-        'Doubt Session Team',
-        'Mentorship Team',
-    ]), []);
-    const [teams, setTeams] = useState(defaultTeams);
-    const [baseRatePerMinute, setBaseRatePerMinute] = useState(10); // Not currently stored in DB, but defaulted here
+// Stored task aggregates are kept up to date by the mentor's reviewers and payroll staff, never by the mentor
+const canWriteTaskAggregates = (profile, mentor) => canReviewWorkFor(profile, mentor) || hasPermission(profile, 'managePayroll');
 
-    // 3. UI STATE
-    const [activeTab, setActiveTab] = useState('dashboard'); // dashboard, mentors, teams, tasks
-    const [selectedMentor, setSelectedMentor] = useState(null);
-    const [showMentorModal, setShowMentorModal] = useState(false);
-    const [showTeamModal, setShowTeamModal] = useState(false);
-    const [newTeamName, setNewTeamName] = useState('');
-    const [currentMentorData, setCurrentMentorData] = useState({
-        name: '',
-        email: '',
-        baseRate: 10,
-        teams: [],
-        photoURL: 'https://placehold.co/100x100/4F46E5/FFFFFF?text=P4I',
-    });
-    // This hook state was causing the hook order issue and must be declared at the top level
-    const [taskMentor, setTaskMentor] = useState(null); 
+// Work categories a task can be submitted under (value is stored on the task, label is shown in forms)
+const TASK_TYPES = [
+    { value: 'Lecture', label: 'Lecture' },
+    { value: 'Content Team (Chapterwise)', label: 'Content (Q-Set/Chapter)' },
+    { value: 'Test Series Team', label: 'Test Series (Mock Paper)' },
+    { value: 'Doubt Session Team', label: 'Doubt Session' },
+    { value: 'Mentorship Team', label: 'Mentorship' },
+    { value: 'Other', label: 'Other' },
+];
 
-    // --- FIREBASE INITIALIZATION & AUTH ---
-    useEffect(() => {
-        // Enable Firebase debug logging for better error visibility
-        setLogLevel('debug');
-        
-        if (!firebaseConfig) {
-            setError("Firebase configuration is missing.");
-            setIsLoading(false);
-            return;
-        }
+// --- Syllabus Catalogue ---
 
-        try {
-            const app = initializeApp(firebaseConfig);
-            const firestore = getFirestore(app);
-            const authInstance = getAuth(app);
+// IAT/IISER syllabus used until an admin saves settings/syllabus. Tasks store the chapter id,
+// so the lecture cap is applied per catalogue chapter rather than per spelling of its name.
+const DEFAULT_SYLLABUS = [
+    { id: 'phy-units-and-measurements', subject: 'Physics', unit: 'Mechanics', name: 'Units and Measurements' },
+    { id: 'phy-kinematics', subject: 'Physics', unit: 'Mechanics', name: 'Kinematics' },
+    { id: 'phy-laws-of-motion', subject: 'Physics', unit: 'Mechanics', name: 'Laws of Motion' },
+    { id: 'phy-work-energy-and-power', subject: 'Physics', unit: 'Mechanics', name: 'Work, Energy and Power' },
+    { id: 'phy-rotational-motion', subject: 'Physics', unit: 'Mechanics', name: 'Rotational Motion' },
+    { id: 'phy-gravitation', subject: 'Physics', unit: 'Mechanics', name: 'Gravitation' },
+    { id: 'phy-oscillations-and-waves', subject: 'Physics', unit: 'Mechanics', name: 'Oscillations and Waves' },
+    { id: 'phy-thermal-properties-of-matter', subject: 'Physics', unit: 'Thermal Physics', name: 'Thermal Properties of Matter' },
+    { id: 'phy-thermodynamics', subject: 'Physics', unit: 'Thermal Physics', name: 'Thermodynamics' },
+    { id: 'phy-kinetic-theory-of-gases', subject: 'Physics', unit: 'Thermal Physics', name: 'Kinetic Theory of Gases' },
+    { id: 'phy-electrostatics', subject: 'Physics', unit: 'Electromagnetism', name: 'Electrostatics' },
+    { id: 'phy-current-electricity', subject: 'Physics', unit: 'Electromagnetism', name: 'Current Electricity' },
+    { id: 'phy-magnetic-effects-of-current', subject: 'Physics', unit: 'Electromagnetism', name: 'Magnetic Effects of Current' },
+    { id: 'phy-electromagnetic-induction-and-ac', subject: 'Physics', unit: 'Electromagnetism', name: 'Electromagnetic Induction and AC' },
+    { id: 'phy-ray-optics', subject: 'Physics', unit: 'Optics and Modern Physics', name: 'Ray Optics' },
+    { id: 'phy-wave-optics', subject: 'Physics', unit: 'Optics and Modern Physics', name: 'Wave Optics' },
+    { id: 'phy-modern-physics', subject: 'Physics', unit: 'Optics and Modern Physics', name: 'Modern Physics' },
+    { id: 'chem-mole-concept', subject: 'Chemistry', unit: 'Physical Chemistry', name: 'Mole Concept' },
+    { id: 'chem-atomic-structure', subject: 'Chemistry', unit: 'Physical Chemistry', name: 'Atomic Structure' },
+    { id: 'chem-states-of-matter', subject: 'Chemistry', unit: 'Physical Chemistry', name: 'States of Matter' },
+    { id: 'chem-chemical-thermodynamics', subject: 'Chemistry', unit: 'Physical Chemistry', name: 'Chemical Thermodynamics' },
+    { id: 'chem-chemical-equilibrium', subject: 'Chemistry', unit: 'Physical Chemistry', name: 'Chemical Equilibrium' },
+    { id: 'chem-ionic-equilibrium', subject: 'Chemistry', unit: 'Physical Chemistry', name: 'Ionic Equilibrium' },
+    { id: 'chem-electrochemistry', subject: 'Chemistry', unit: 'Physical Chemistry', name: 'Electrochemistry' },
+    { id: 'chem-chemical-kinetics', subject: 'Chemistry', unit: 'Physical Chemistry', name: 'Chemical Kinetics' },
+    { id: 'chem-periodic-properties', subject: 'Chemistry', unit: 'Inorganic Chemistry', name: 'Periodic Properties' },
+    { id: 'chem-chemical-bonding', subject: 'Chemistry', unit: 'Inorganic Chemistry', name: 'Chemical Bonding' },
+    { id: 'chem-s-block-elements', subject: 'Chemistry', unit: 'Inorganic Chemistry', name: 's-Block Elements' },
+    { id: 'chem-p-block-elements', subject: 'Chemistry', unit: 'Inorganic Chemistry', name: 'p-Block Elements' },
+    { id: 'chem-d-and-f-block-elements', subject: 'Chemistry', unit: 'Inorganic Chemistry', name: 'd- and f-Block Elements' },
+    { id: 'chem-coordination-compounds', subject: 'Chemistry', unit: 'Inorganic Chemistry', name: 'Coordination Compounds' },
+    { id: 'chem-general-organic-chemistry', subject: 'Chemistry', unit: 'Organic Chemistry', name: 'General Organic Chemistry' },
+    { id: 'chem-hydrocarbons', subject: 'Chemistry', unit: 'Organic Chemistry', name: 'Hydrocarbons' },
+    { id: 'chem-haloalkanes-and-haloarenes', subject: 'Chemistry', unit: 'Organic Chemistry', name: 'Haloalkanes and Haloarenes' },
+    { id: 'chem-alcohols-phenols-and-ethers', subject: 'Chemistry', unit: 'Organic Chemistry', name: 'Alcohols, Phenols and Ethers' },
+    { id: 'chem-aldehydes-and-ketones', subject: 'Chemistry', unit: 'Organic Chemistry', name: 'Aldehydes and Ketones' },
+    { id: 'chem-carboxylic-acids-and-amines', subject: 'Chemistry', unit: 'Organic Chemistry', name: 'Carboxylic Acids and Amines' },
+    { id: 'chem-biomolecules', subject: 'Chemistry', unit: 'Organic Chemistry', name: 'Biomolecules' },
+    { id: 'math-sets-relations-and-functions', subject: 'Mathematics', unit: 'Algebra', name: 'Sets, Relations and Functions' },
+    { id: 'math-complex-numbers', subject: 'Mathematics', unit: 'Algebra', name: 'Complex Numbers' },
+    { id: 'math-quadratic-equations', subject: 'Mathematics', unit: 'Algebra', name: 'Quadratic Equations' },
+    { id: 'math-sequences-and-series', subject: 'Mathematics', unit: 'Algebra', name: 'Sequences and Series' },
+    { id: 'math-permutations-and-combinations', subject: 'Mathematics', unit: 'Algebra', name: 'Permutations and Combinations' },
+    { id: 'math-binomial-theorem', subject: 'Mathematics', unit: 'Algebra', name: 'Binomial Theorem' },
+    { id: 'math-matrices-and-determinants', subject: 'Mathematics', unit: 'Algebra', name: 'Matrices and Determinants' },
+    { id: 'math-limits-and-continuity', subject: 'Mathematics', unit: 'Calculus', name: 'Limits and Continuity' },
+    { id: 'math-differentiation', subject: 'Mathematics', unit: 'Calculus', name: 'Differentiation' },
+    { id: 'math-applications-of-derivatives', subject: 'Mathematics', unit: 'Calculus', name: 'Applications of Derivatives' },
+    { id: 'math-integration', subject: 'Mathematics', unit: 'Calculus', name: 'Integration' },
+    { id: 'math-differential-equations', subject: 'Mathematics', unit: 'Calculus', name: 'Differential Equations' },
+    { id: 'math-straight-lines', subject: 'Mathematics', unit: 'Coordinate Geometry', name: 'Straight Lines' },
+    { id: 'math-circles', subject: 'Mathematics', unit: 'Coordinate Geometry', name: 'Circles' },
+    { id: 'math-conic-sections', subject: 'Mathematics', unit: 'Coordinate Geometry', name: 'Conic Sections' },
+    { id: 'math-vectors-and-3d-geometry', subject: 'Mathematics', unit: 'Coordinate Geometry', name: 'Vectors and 3D Geometry' },
+    { id: 'math-statistics', subject: 'Mathematics', unit: 'Statistics and Probability', name: 'Statistics' },
+    { id: 'math-probability', subject: 'Mathematics', unit: 'Statistics and Probability', name: 'Probability' },
+    { id: 'bio-cell-structure', subject: 'Biology', unit: 'Cell Biology', name: 'Cell Structure' },
+    { id: 'bio-cell-cycle-and-division', subject: 'Biology', unit: 'Cell Biology', name: 'Cell Cycle and Division' },
+    { id: 'bio-biomolecules-and-enzymes', subject: 'Biology', unit: 'Cell Biology', name: 'Biomolecules and Enzymes' },
+    { id: 'bio-principles-of-inheritance', subject: 'Biology', unit: 'Genetics and Evolution', name: 'Principles of Inheritance' },
+    { id: 'bio-molecular-basis-of-inheritance', subject: 'Biology', unit: 'Genetics and Evolution', name: 'Molecular Basis of Inheritance' },
+    { id: 'bio-evolution', subject: 'Biology', unit: 'Genetics and Evolution', name: 'Evolution' },
+    { id: 'bio-plant-physiology', subject: 'Biology', unit: 'Physiology', name: 'Plant Physiology' },
+    { id: 'bio-human-physiology', subject: 'Biology', unit: 'Physiology', name: 'Human Physiology' },
+    { id: 'bio-organisms-and-populations', subject: 'Biology', unit: 'Ecology', name: 'Organisms and Populations' },
+    { id: 'bio-ecosystems', subject: 'Biology', unit: 'Ecology', name: 'Ecosystems' },
+    { id: 'bio-biodiversity-and-conservation', subject: 'Biology', unit: 'Ecology', name: 'Biodiversity and Conservation' },
+];
 
-            setDb(firestore);
-            setAuth(authInstance);
+// Task types that are done chapter by chapter and must pick a chapter from the catalogue
+const CHAPTER_TASK_TYPES = ['Lecture', 'Content Team (Chapterwise)'];
 
-            const unsubscribe = onAuthStateChanged(authInstance, async (user) => {
-                if (user) {
-                    setUserId(user.uid);
-                } else if (!user) {
-                    // Sign in anonymously if no token is available or initial state is empty
-                    await signInAnonymously(authInstance);
-                }
-                setIsAuthReady(true);
-                setIsLoading(false);
-            });
+// Catalogue chapter a task belongs to, matching older free-text tasks by name
+const findChapter = (syllabus, task) => (
+    syllabus.find(chapter => chapter.id === task.chapterId)
+    || (!task.chapterId && task.chapterName ? syllabus.find(chapter => normalizeChapterName(chapter.name) === normalizeChapterName(task.chapterName)) : undefined)
+);
 
-            // Handle custom token sign-in
-            const handleSignIn = async () => {
-                try {
-                    if (initialAuthToken) {
-                        await signInWithCustomToken(authInstance, initialAuthToken);
-                    }
-                } catch (e) {
-                    console.error("Custom token sign-in failed, falling back to anonymous:", e);
-                    await signInAnonymously(authInstance);
-                }
-            };
+// Stable id for a new catalogue chapter, e.g. physics-modern-physics
+const makeChapterId = (subject, name, syllabus) => {
+    const base = `${subject}-${name}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    let id = base;
+    for (let n = 2; syllabus.some(chapter => chapter.id === id); n++) id = `${base}-${n}`;
+    return id;
+};
 
-            if (!initialAuthToken) {
-                // If no token, use the onAuthStateChanged flow which includes anonymous sign-in
-            } else {
-                handleSignIn();
-            }
+// Human-readable quantity for a task, e.g. "45 min" or "2 question sets"
+const formatTaskQuantity = (task) => {
+    if (task.taskType === 'Lecture') return `${task.minutes} min`;
+    const units = getTaskUnits(task);
+    const unit = task.unit || 'unit';
+    return `${units} ${unit}${units === 1 ? '' : 's'}`;
+};
 
-            return () => unsubscribe();
-        } catch (e) {
-            console.error("Firebase Initialization Error:", e);
-            setError("Failed to initialize Firebase services.");
-            setIsLoading(false);
-        }
-    }, []);
+// --- Team Helpers ---
+// Teams are documents in /teams with a stable id. Mentors, user profiles (a lead's scope) and assignments
+// refer to a team by name, so renaming a team rewrites those references too.
 
-    // --- FIRESTORE DATA LISTENERS ---
-    useEffect(() => {
-        // IMPORTANT: Prevent Firestore queries before authentication is confirmed
-        if (!db || !isAuthReady || !userId) {
-            console.log("Waiting for DB or Auth readiness. DB:", !!db, "AuthReady:", isAuthReady, "UserID:", !!userId);
-            return;
-        }
-        console.log("Authentication complete. Attaching Firestore listeners.");
+const TEAM_AUDIT_FIELDS = ['name', 'description', 'leadUserId', 'defaultBaseRate', 'allowedTaskTypes'];
 
-        const pathPrefix = `/artifacts/${appId}/public/data`;
+// Fills in fields that older or freshly seeded team documents may not have yet
+const getTeamFields = (data = {}) => ({
+    name: data.name || '',
+    description: data.description || '',
+    leadUserId: data.leadUserId || '',
+    leadName: data.leadName || '',
+    defaultBaseRate: data.defaultBaseRate ?? null,
+    allowedTaskTypes: data.allowedTaskTypes?.length ? data.allowedTaskTypes : TASK_TYPES.map(type => type.value),
+});
 
-        // 1. Teams Listener (Public Data)
-        const teamsRef = doc(db, `${pathPrefix}/settings/teams`);
-        
-        // Attempt to create default teams data if it doesn't exist (robustness addition)
-        const checkAndSetDefaultTeams = async () => {
-             try {
-                const docSnap = await getDoc(teamsRef);
-                if (!docSnap.exists()) {
-                    console.log("Teams document missing. Attempting to write default teams.");
-                    await setDoc(teamsRef, { list: defaultTeams, lastUpdated: serverTimestamp() });
-                }
-            } catch (e) {
-                // This is expected to fail if permissions are missing for both read (getDoc) and write (setDoc)
-                console.error("Failed to check/set default teams (likely permission issue):", e);
-            }
-        }
-        checkAndSetDefaultTeams();
+const normalizeTeam = (id, data = {}) => ({ id, ...getTeamFields(data) });
 
+// Task types a mentor may log: everything their teams allow between them (all types without a team)
+const getAllowedTaskTypes = (mentor, teamDocs) => {
+    const mentorTeams = teamDocs.filter(team => mentor.teams.includes(team.name));
+    if (mentorTeams.length === 0) return TASK_TYPES;
+    const allowed = new Set(mentorTeams.flatMap(team => team.allowedTaskTypes));
+    return TASK_TYPES.filter(type => allowed.has(type.value));
+};
 
-        const unsubscribeTeams = onSnapshot(teamsRef, (docSnap) => {
-            if (docSnap.exists() && docSnap.data().list) {
-                setTeams(docSnap.data().list);
-            }
-        }, (err) => console.error("Teams Snapshot Error:", err));
+// Starting base rate for a new mentor: the highest default among the teams they join, if any is set
+const getTeamDefaultRate = (teamNames, teamDocs) => {
+    const rates = teamDocs.filter(team => teamNames.includes(team.name) && team.defaultBaseRate > 0).map(team => team.defaultBaseRate);
+    return rates.length > 0 ? Math.max(...rates) : null;
+};
 
-        // 2. Mentors Listener (Public Data)
-        const mentorsRef = collection(db, `${pathPrefix}/mentors`);
-        const unsubscribeMentors = onSnapshot(mentorsRef, (snapshot) => {
-            const mentorList = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data(),
-                teams: doc.data().teams || []
-            }));
-            setMentors(mentorList);
-        }, (err) => console.error("Mentors Snapshot Error:", err));
-
-        // 3. Tasks Listener (Public Data)
-        const tasksRef = collection(db, `${pathPrefix}/tasks`);
-        // Note: Using client-side sorting for simplicity, but Firestore query is also possible
-        const unsubscribeTasks = onSnapshot(tasksRef, (snapshot) => {
-            const taskList = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data(),
-                date: doc.data().date?.toDate() // Convert Firestore Timestamp to Date
-            }));
-            setTasks(taskList.sort((a, b) => b.date - a.date)); // Sort descending by date
-        }, (err) => console.error("Tasks Snapshot Error:", err));
+// --- Payroll Period Helpers ---
 
-        return () => {
-            unsubscribeTeams();
-            unsubscribeMentors();
-            unsubscribeTasks();
-        };
-    }, [db, isAuthReady, userId, defaultTeams]);
+// Status flow for a payroll cycle: open -> review -> locked (review can be sent back to open)
+const PAYROLL_STATUS_LABELS = {
+    open: 'Open',
+    review: 'In Review',
+    locked: 'Locked',
+};
 
+// Period boundaries are inclusive: startDate is 00:00 of the first day, endDate 23:59:59.999 of the last
+const isWithinPeriod = (date, period) => !!date && date >= period.startDate && date <= period.endDate;
 
-    // --- CRUD Operations ---
+const getPeriodForDate = (periods, date) => periods.find(period => isWithinPeriod(date, period)) || null;
 
-    // Save Teams List (Public Data)
-    const saveTeams = useCallback(async (newTeams) => {
-        if (!db || !userId) return;
-        try {
-            const teamsRef = doc(db, `/artifacts/${appId}/public/data/settings/teams`);
-            await setDoc(teamsRef, { list: newTeams, lastUpdated: serverTimestamp() });
-            setTeams(newTeams);
-            setNewTeamName('');
-        } catch (e) {
-            console.error("Error saving teams:", e);
-            setError("Failed to save teams.");
-        }
-    }, [db, userId]);
+// End of the latest locked period, or null. Periods are locked in order, so all work dated up to it is
+// closed, including any between periods; locking copies it to settings/payroll for the security rules
+const getLockedThrough = (periods) => periods
+    .filter(period => period.status === 'locked')
+    .reduce((latest, period) => (!latest || period.endDate > latest ? period.endDate : latest), null);
 
-    // Handle Team Edit/Add
-    const handleAddTeam = () => {
-        if (newTeamName && !teams.includes(newTeamName)) {
-            saveTeams([...teams, newTeamName]);
-        }
-    };
-    const handleDeleteTeam = (teamToDelete) => {
-        const newTeams = teams.filter(t => t !== teamToDelete);
-        saveTeams(newTeams);
-        // Also update mentors who might have this team selected
-        mentors.forEach(mentor => {
-            if (mentor.teams.includes(teamToDelete)) {
-                updateMentor({ ...mentor, teams: mentor.teams.filter(t => t !== teamToDelete) });
-            }
-        });
-    };
+// A task is frozen once the payroll period covering its date is locked (locking also stamps `locked` on it)
+const isTaskLocked = (task, periods) => {
+    const lockedThrough = getLockedThrough(periods);
+    return task.locked === true || getPeriodForDate(periods, task.date)?.status === 'locked' || (!!lockedThrough && task.date <= lockedThrough);
+};
 
-    // Add/Update Mentor (Public Data)
-    const updateMentor = useCallback(async (mentorData) => {
-        if (!db || !userId) return;
-        try {
-            const mentorRef = doc(db, `/artifacts/${appId}/public/data/mentors/${mentorData.id || crypto.randomUUID()}`);
-            await setDoc(mentorRef, {
-                name: mentorData.name,
-                email: mentorData.email,
-                baseRate: mentorData.baseRate || 10,
-                teams: mentorData.teams || [],
-                photoURL: mentorData.photoURL || 'https://placehold.co/100x100/4F46E5/FFFFFF?text=P4I',
-                lastUpdated: serverTimestamp()
-            }, { merge: true });
-            setShowMentorModal(false);
-        } catch (e) {
-            console.error("Error saving mentor:", e);
-            setError("Failed to save mentor.");
-        }
-    }, [db, userId]);
+// --- Reporting Period Helpers ---
 
-    // Delete Mentor (Public Data)
-    const deleteMentor = useCallback(async (mentorId) => {
-        // IMPORTANT: Replace window.confirm with custom modal in production
-        if (!db || !userId || !window.confirm("Are you sure you want to delete this mentor and all their associated tasks?")) return; 
-        try {
-            // Delete mentor
-            await deleteDoc(doc(db, `/artifacts/${appId}/public/data/mentors/${mentorId}`));
+// Global period selector: { type, periodId, from, to }; from/to are yyyy-mm-dd for custom ranges
+const REPORT_PERIOD_TYPES = {
+    all: 'All time',
+    week: 'This week',
+    month: 'This month',
+    last90: 'Last 90 days',
+    payroll: 'Payroll cycle',
+    custom: 'Custom range',
+};
 
-            // Delete associated tasks (batch delete is better, but this is simpler)
-            const tasksToDelete = tasks.filter(t => t.mentorId === mentorId);
-            for (const task of tasksToDelete) {
-                await deleteDoc(doc(db, `/artifacts/${appId}/public/data/tasks/${task.id}`));
-            }
+// Weeks run Monday to Sunday
+const getWeekStart = (date) => {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    return start;
+};
 
-            console.log(`Mentor ${mentorId} and ${tasksToDelete.length} tasks deleted.`);
-        } catch (e) {
-            console.error("Error deleting mentor:", e);
-            setError("Failed to delete mentor.");
+// Turns the selector into inclusive { start, end } bounds; null means open-ended
+const resolveReportRange = (selection, payrollPeriods, now = new Date()) => {
+    const endOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+    switch (selection.type) {
+        case 'week': {
+            const start = getWeekStart(now);
+            const end = new Date(start);
+            end.setDate(end.getDate() + 6);
+            return { start, end: endOfDay(end), label: REPORT_PERIOD_TYPES.week };
         }
-    }, [db, userId, tasks]);
-
-    // Add Task (Public Data)
-    const addTask = useCallback(async (taskData) => {
-        if (!db || !userId) return;
-        try {
-            await addDoc(collection(db, `/artifacts/${appId}/public/data/tasks`), {
-                ...taskData,
-                date: serverTimestamp(), // Use server timestamp for consistent ordering
-                submittedBy: userId,
-            });
-        } catch (e) {
-            console.error("Error adding task:", e);
-            setError("Failed to add task.");
+        case 'month':
+            return {
+                start: new Date(now.getFullYear(), now.getMonth(), 1),
+                end: endOfDay(new Date(now.getFullYear(), now.getMonth() + 1, 0)),
+                label: REPORT_PERIOD_TYPES.month,
+            };
+        case 'last90': {
+            const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 90);
+            return { start, end: null, label: REPORT_PERIOD_TYPES.last90 };
+        }
+        case 'payroll': {
+            const period = payrollPeriods.find(p => p.id === selection.periodId);
+            if (period) return { start: period.startDate, end: period.endDate, label: period.name };
+            break;
         }
-    }, [db, userId]);
+        case 'custom':
+            if (selection.from || selection.to) {
+                return {
+                    start: selection.from ? new Date(`${selection.from}T00:00:00`) : null,
+                    end: selection.to ? new Date(`${selection.to}T23:59:59.999`) : null,
+                    label: `${selection.from || 'Start'} to ${selection.to || 'today'}`,
+                };
+            }
+            break;
+        default:
+            break;
+    }
+    return { start: null, end: null, label: REPORT_PERIOD_TYPES.all };
+};
 
+// Tasks whose serverTimestamp is still pending have no date yet; they were just written, so count them as now
+const isWithinRange = (date, range) => {
+    const value = date || new Date();
+    return (!range.start || value >= range.start) && (!range.end || value <= range.end);
+};
 
-    // --- View/UI Handlers ---
+const periodOverlapsRange = (period, range) => (
+    (!range.start || period.endDate >= range.start) && (!range.end || period.startDate <= range.end)
+);
 
-    const handleEditMentor = (mentor) => {
-        setCurrentMentorData(mentor);
-        setShowMentorModal(true);
-    };
+// --- Payout Helpers ---
 
-    const handleNewMentor = () => {
-        setCurrentMentorData({
-            name: '',
-            email: '',
-            baseRate: baseRatePerMinute,
-            teams: [],
-            photoURL: 'https://placehold.co/100x100/4F46E5/FFFFFF?text=P4I',
-        });
-        setShowMentorModal(true);
-    };
+// Payout lifecycle for a mentor's slip in a period
+const PAYOUT_STATUSES = {
+    pending: { label: 'Pending', className: 'bg-gray-200 text-gray-700' },
+    approved: { label: 'Approved', className: 'bg-blue-100 text-blue-700' },
+    paid: { label: 'Paid', className: 'bg-green-100 text-green-700' },
+    disputed: { label: 'Disputed', className: 'bg-red-100 text-red-700' },
+};
 
-    const handlePhotoUpload = (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            // NOTE: In a production environment, you would upload this to Firebase Storage
-            // and get a URL. Here, we use a simple FileReader to show a local preview.
-            const reader = new FileReader();
-            reader.onloadend = () => {
-                setCurrentMentorData(prev => ({ ...prev, photoURL: reader.result }));
-            };
-            reader.readAsDataURL(file);
-        }
-    };
+const PAYOUT_METHODS = ['UPI', 'Bank Transfer', 'Cash', 'Cheque'];
 
-    const handlePrint = (elementId) => {
-        const printContent = document.getElementById(elementId).innerHTML;
-        const originalContent = document.body.innerHTML;
-        document.body.innerHTML = `
-            <html>
-                <head>
-                    <title>PREP4IISER Printout</title>
-                    <style>
-                        body { font-family: sans-serif; padding: 20px; }
-                        h1, h2, h3 { color: #4F46E5; }
-                        .print-only-container { margin: 0 auto; max-width: 800px; }
-                        /* Tailwind emulation for print */
-                        .bg-indigo-50 { background-color: #EEF2FF; }
-                        .shadow-md { box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -2px rgba(0, 0, 0, 0.1); }
-                        .p-4 { padding: 1rem; }
-                        .mb-4 { margin-bottom: 1rem; }
-                        .text-lg { font-size: 1.125rem; }
-                        .font-semibold { font-weight: 600; }
-                        .border-b { border-bottom: 1px solid #E5E7EB; }
-                        .py-2 { padding-top: 0.5rem; padding-bottom: 0.5rem; }
-                        .flex { display: flex; }
-                        .justify-between { justify-content: space-between; }
-                        .w-full { width: 100%; }
-                        .text-sm { font-size: 0.875rem; }
-                        .text-gray-600 { color: #4B5563; }
-                        .rounded-lg { border-radius: 0.5rem; }
-                        .ring-2 { border: 2px solid; }
-                        .ring-indigo-300 { border-color: #A5B4FC; }
-                    </style>
-                </head>
-                <body>
-                    <div class="print-only-container">
-                        ${printContent}
-                    </div>
-                </body>
-            </html>
-        `;
-        window.print();
-        document.body.innerHTML = originalContent;
-        // Reload to restore React state (necessary due to innerHTML replacement)
-        window.location.reload();
-    };
+// --- Task Review Helpers ---
 
-    // --- Data Processing & Aggregation ---
+// Task lifecycle: Submitted -> Under Review -> Approved / Rejected / Needs Changes
+const TASK_STATUSES = {
+    'Submitted': { label: 'Submitted', className: 'bg-blue-100 text-blue-700' },
+    'Under Review': { label: 'Under Review', className: 'bg-yellow-100 text-yellow-800' },
+    'Approved': { label: 'Approved', className: 'bg-green-100 text-green-700' },
+    'Rejected': { label: 'Rejected', className: 'bg-red-100 text-red-700' },
+    'Needs Changes': { label: 'Needs Changes', className: 'bg-orange-100 text-orange-700' },
+};
 
-    const dashboardSummary = useMemo(() => {
-        const totalMentors = mentors.length;
-        const totalTasks = tasks.length;
-        const totalLectures = tasks.filter(t => t.taskType === 'Lecture').length;
-        const totalMinutes = tasks.filter(t => t.taskType === 'Lecture').reduce((sum, t) => sum + (t.minutes || 0), 0);
-        
-        // Aggregate all chapters/units completed across all mentors for non-lecture tasks
-        const totalUnits = tasks.filter(t => t.taskType !== 'Lecture').reduce((sum, t) => sum + (t.chaptersCompleted || 0), 0);
+// Statuses that require the reviewer to leave a comment
+const COMMENT_REQUIRED_STATUSES = ['Rejected', 'Needs Changes'];
 
+// --- Student Feedback Helpers ---
 
-        const mentorPayments = mentors.map(mentor => {
-            const mentorTasks = tasks.filter(t => t.mentorId === mentor.id);
-            // Pass mentor.baseRate to the calculation
-            const { P_final } = calculatePayment(mentorTasks, mentor.baseRate); 
-            return {
-                mentorName: mentor.name,
-                payment: P_final,
-            };
-        });
+const FEEDBACK_COMMENT_MAX = 1000;
 
-        const totalPayments = mentorPayments.reduce((sum, p) => sum + p.payment, 0);
+// Link students open to rate one lecture anonymously
+const getFeedbackLink = (taskId) => `${window.location.origin}${window.location.pathname}?feedback=${taskId}`;
+
+// Feedback is loaded per lecture with 'in' queries, which take at most 30 task ids each
+const chunkList = (list, size = 30) => Array.from({ length: Math.ceil(list.length / size) }, (_, i) => list.slice(i * size, (i + 1) * size));
+
+const toFeedbackResponse = (docSnap) => ({ id: docSnap.id, ...docSnap.data(), at: docSnap.data().at?.toDate() });
 
+// Adds studentRating (average, 2 decimals), feedbackCount and feedbackComments to lectures with responses
+const applyStudentFeedback = (tasks, responses) => {
+    const byTask = responses.reduce((acc, response) => {
+        (acc[response.taskId] = acc[response.taskId] || []).push(response);
+        return acc;
+    }, {});
+    return tasks.map(task => {
+        const taskResponses = byTask[task.id];
+        if (task.taskType !== 'Lecture' || !taskResponses) return task;
+        const average = taskResponses.reduce((sum, r) => sum + r.rating, 0) / taskResponses.length;
         return {
-            totalMentors,
-            totalTasks,
-            totalLectures,
-            totalMinutes,
-            totalUnits,
-            totalPayments,
-            mentorPayments,
+            ...task,
+            studentRating: Math.round(average * 100) / 100,
+            feedbackCount: taskResponses.length,
+            feedbackComments: taskResponses.filter(r => r.comment).map(r => ({ comment: r.comment, rating: r.rating, at: r.at })),
         };
-    }, [mentors, tasks]);
+    });
+};
 
+// Task fields that can be corrected after submission (and are tracked in taskHistory)
+const TASK_EDITABLE_FIELDS = ['date', 'taskType', 'description', 'chapterId', 'chapterName', 'minutes', 'durationMinutes', 'units', 'unit', 'rating'];
 
-    // --- UI Renderers ---
+// Field-by-field changes between two versions of a document: { field: { from, to } }
+// Arrays and objects (e.g. a mentor's teams) are compared by value
+const diffFields = (before, after, fields) => fields.reduce((acc, field) => {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) acc[field] = { from, to };
+    return acc;
+}, {});
 
-    if (isLoading) {
-        return (
-            <div className="flex items-center justify-center min-h-screen bg-gray-50">
-                <div className="text-xl font-medium text-indigo-600">Loading PREP4IISER System...</div>
-            </div>
-        );
-    }
+// --- Audit Log ---
 
-    if (error) {
-        return (
-            <div className="flex items-center justify-center min-h-screen bg-red-50 text-red-700 p-8">
-                <p>Error: {error}</p>
-            </div>
-        );
-    }
+// Every change to mentors, teams, tasks, policy, payroll, payouts and roles is appended to auditLog
+const AUDIT_TARGET_TYPES = {
+    mentor: 'Mentor',
+    team: 'Team',
+    teams: 'Teams', // Entries from before teams were documents
+    syllabus: 'Syllabus',
+    task: 'Task',
+    assignment: 'Assignment',
+    policy: 'Payment Policy',
+    payrollPeriod: 'Payroll Period',
+    payout: 'Payout',
+    user: 'User',
+    import: 'CSV Import',
+};
 
-    // A. Mentor Modal (Add/Edit)
-    const MentorModal = ({ mentor, onClose }) => {
-        const isEditing = !!mentor.id;
-        const [formData, setFormData] = useState(mentor);
+// Number of most recent entries loaded into the Activity tab
+const AUDIT_LOG_LIMIT = 1000;
 
-        const handleChange = (e) => {
+// Mentor fields recorded in the audit log (photos are left out, they can be large data URLs)
+const MENTOR_AUDIT_FIELDS = ['name', 'email', 'baseRate', 'teams', 'status', 'joinDate', 'exitDate'];
+
+// Policy fields recorded in the audit log when the payment policy is saved
+const POLICY_AUDIT_FIELDS = ['version', 'chapterCapMinutes', 'defaultRatePerMinute', 'defaultRating', 'ratingTiers', 'frequencyTiers', 'frequencyPenalty', 'rateCards', 'notes'];
+
+// Build an auditLog document from a diffFields result; `target` is { type, id, name }
+const buildAuditEntry = (actor, action, target, changes = {}, details = null) => ({
+    actorId: actor.id,
+    actorName: actor.email || '',
+    action,
+    targetType: target.type,
+    targetId: target.id,
+    targetName: target.name || '',
+    fields: Object.keys(changes),
+    before: Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.from])),
+    after: Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to])),
+    details,
+    at: serverTimestamp(),
+});
+
+// Display an audited before/after value (Firestore hands dates back as Timestamps)
+const formatAuditValue = (value) => {
+    if (value === null || value === undefined || value === '') return '-';
+    if (typeof value.toDate === 'function') return value.toDate().toLocaleDateString();
+    if (value instanceof Date) return value.toLocaleDateString();
+    if (Array.isArray(value)) return value.map(formatAuditValue).join(', ') || '-';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+// --- Assignment Helpers ---
+
+// Planned work given to a mentor ahead of time; mentors log tasks against it until it is closed
+const ASSIGNMENT_STATUSES = {
+    open: { label: 'Open', className: 'bg-blue-100 text-blue-700' },
+    completed: { label: 'Completed', className: 'bg-green-100 text-green-700' },
+    cancelled: { label: 'Cancelled', className: 'bg-gray-200 text-gray-600' },
+};
+
+// Open assignments due within this many days are listed as upcoming
+const ASSIGNMENT_UPCOMING_DAYS = 7;
+
+// Lecture assignments are measured in minutes, everything else in the rate card unit for its type
+const getAssignmentUnit = (assignment, policy) => (
+    assignment.taskType === 'Lecture' ? 'minute' : getRateCard(policy, assignment.taskType).unit
+);
+
+// Work logged against an assignment so far; rejected tasks do not count
+const getAssignmentProgress = (assignment, tasks) => {
+    const logged = tasks
+        .filter(t => t.assignmentId === assignment.id && getTaskStatus(t) !== 'Rejected')
+        .reduce((sum, t) => sum + (assignment.taskType === 'Lecture' ? (t.minutes || 0) : getTaskUnits(t)), 0);
+    const percent = assignment.expected > 0 ? Math.min(100, Math.round((logged / assignment.expected) * 100)) : 0;
+    return { logged, percent };
+};
+
+const isAssignmentOverdue = (assignment, now = new Date()) => (
+    assignment.status === 'open' && !!assignment.dueDate && assignment.dueDate < now
+);
+
+const isAssignmentUpcoming = (assignment, now = new Date()) => {
+    if (assignment.status !== 'open' || !assignment.dueDate || assignment.dueDate < now) return false;
+    return assignment.dueDate - now <= ASSIGNMENT_UPCOMING_DAYS * 24 * 60 * 60 * 1000;
+};
+
+// Rules every task must meet, shared by TaskModal and the CSV import; returns an error message or ''.
+// `date` is when the work was performed (it decides the week and payroll period), not when it was logged.
+const validateTask = (task, now = new Date()) => {
+    if (!(task.date instanceof Date) || isNaN(task.date)) return 'A valid work date is required.';
+    if (task.date > now) return 'The work date cannot be in the future.';
+    if (!TASK_TYPES.some(type => type.value === task.taskType)) return `Unknown task type "${task.taskType}".`;
+    if (CHAPTER_TASK_TYPES.includes(task.taskType) && !task.chapterId) return `For '${task.taskType}' tasks, a chapter must be picked from the syllabus.`;
+    if (task.taskType === 'Lecture' && !(task.minutes > 0)) return "For 'Lecture' tasks, Minutes must be specified.";
+    if (task.taskType !== 'Lecture' && !(task.units > 0)) return "For non-lecture tasks, Units must be greater than zero.";
+    if (task.durationMinutes != null && !(task.durationMinutes > 0)) return 'Time spent must be greater than zero when given.';
+    // The typed-in rating is an optional fallback until students rate the lecture
+    if (task.taskType === 'Lecture' && task.rating != null && !(task.rating >= 1 && task.rating <= 5)) return 'Rating must be between 1.0 and 5.0.';
+    return '';
+};
+
+// Mentors may fix their own work only while it is still waiting for (or sent back from) review.
+// Compared with getTaskStatus, so legacy 'Pending' work counts as Submitted (firestore.rules lists it as stored)
+const MENTOR_EDITABLE_STATUSES = ['Submitted', 'Needs Changes'];
+
+// --- Offline Task Queue ---
+// Work logged without a connection (or whose write failed) is kept in localStorage per user
+// and submitted once the browser is back online. Entries: { localId, taskData, queuedAt, conflict }.
+
+const getTaskQueueKey = (userId) => `p4i-task-queue-${appId}-${userId}`;
+
+const loadTaskQueue = (userId) => {
+    try {
+        return JSON.parse(localStorage.getItem(getTaskQueueKey(userId))) || [];
+    } catch (e) {
+        console.error("Could not read the offline task queue:", e);
+        return [];
+    }
+};
+
+const saveTaskQueue = (userId, queue) => {
+    try {
+        if (queue.length === 0) localStorage.removeItem(getTaskQueueKey(userId));
+        else localStorage.setItem(getTaskQueueKey(userId), JSON.stringify(queue));
+    } catch (e) {
+        console.error("Could not save the offline task queue:", e);
+    }
+};
+
+// Firestore codes that mean "try again later" rather than "this write is wrong"
+const isRetryableWriteError = (e) => ['unavailable', 'deadline-exceeded', 'resource-exhausted'].includes(e?.code);
+
+// Firestore write promises never settle while the connection is down (there is no persistent cache),
+// so queued work stops waiting after this long and stays queued; the SDK may still deliver the write later
+const WRITE_TIMEOUT_MS = 15000;
+
+const withWriteTimeout = (promise) => Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(Object.assign(new Error('Write was not acknowledged in time.'), { code: 'deadline-exceeded' })), WRITE_TIMEOUT_MS)),
+]);
+
+// localStorage keeps the work date as a string; entries queued before work dates existed use the time they were logged
+const getQueuedTaskData = (entry) => ({ ...entry.taskData, date: new Date(entry.taskData.date || entry.queuedAt) });
+
+// Why a queued entry can no longer be submitted as it is, or '' if it can
+const getQueuedTaskConflict = (entry, { mentors, profile, payrollPeriods }) => {
+    const mentor = mentors.find(m => m.id === entry.taskData.mentorId);
+    if (!mentor) return `${entry.taskData.mentorName || 'This mentor'} no longer exists.`;
+    if (isArchivedMentor(mentor)) return `${mentor.name} has been archived and cannot receive new work.`;
+    if (!canSubmitWorkFor(profile, mentor)) return `You can no longer submit work for ${mentor.name}.`;
+    const taskData = getQueuedTaskData(entry);
+    if (isTaskLocked(taskData, payrollPeriods)) return 'The payroll period for this work has been locked.';
+    return validateTask(taskData);
+};
+
+// --- Task Queries ---
+// The tasks collection is never loaded whole. The app keeps live, indexed queries for the reporting
+// period (newest first and paged when the period is open-ended), the open review queue and the profile
+// being viewed; everything else fetches just the tasks it needs. Indexes are in firestore.indexes.json.
+
+const TASK_QUERY_LIMIT = 500; // Tasks per page for open-ended queries
+const PROFILE_TASK_LIMIT = 100; // Most recent tasks loaded per profile; more on request
+const OPEN_REVIEW_STATUSES = ['Submitted', 'Under Review', 'Pending']; // As stored; 'Pending' predates the review workflow
+
+// Firestore task document to the shape the views use
+const toTask = (docSnap) => ({
+    id: docSnap.id,
+    ...docSnap.data(),
+    date: docSnap.data().date?.toDate(), // When the work was performed (Firestore Timestamp to Date)
+    // Older tasks were stamped on submission, so their date doubles as the submission time
+    submittedAt: (docSnap.data().submittedAt || docSnap.data().date)?.toDate(),
+    reviewTrail: (docSnap.data().reviewTrail || []).map(entry => ({ ...entry, at: entry.at?.toDate() })),
+});
+
+// Indexed task query on any of mentor, work date range and status, newest first, optionally capped
+const buildTaskQuery = (tasksRef, { mentorId = null, start = null, end = null, statuses = null, max = null } = {}) => {
+    const constraints = [];
+    if (mentorId) constraints.push(where('mentorId', '==', mentorId));
+    if (statuses) constraints.push(where('status', 'in', statuses));
+    if (start) constraints.push(where('date', '>=', start));
+    if (end) constraints.push(where('date', '<=', end));
+    constraints.push(orderBy('date', 'desc'));
+    if (max) constraints.push(limit(max));
+    return query(tasksRef, ...constraints);
+};
+
+// Tasks from several live queries, each task once, newest first
+const mergeTaskLists = (...lists) => {
+    const byId = new Map();
+    lists.forEach(list => list.forEach(task => byId.set(task.id, task)));
+    return [...byId.values()].sort((a, b) => (b.date || 0) - (a.date || 0));
+};
+
+// --- Task Aggregates ---
+// taskAggregates/{scope}_{mentorId} stores a mentor's task totals, all time (scope 'all'), per open payroll
+// period (scope = period id) and per calendar month (scope 'month-yyyy-mm'), so the dashboard and payroll
+// views don't reread every task. Pay is not stored: it is worked out from the totals with the current rate and
+// policy. A change rebuilds only the months and open periods it touches, and the all-time totals move by the
+// difference in those months. They are display-only: locking a period always builds its slips from the tasks.
+
+const ALL_TIME_SCOPE = 'all';
+
+const getAggregateId = (scope, mentorId) => `${scope}_${mentorId}`;
+
+// Calendar month bucket for a work date, in local time
+const getMonthScope = (date) => `month-${toDateInputValue(date).slice(0, 7)}`;
+
+const getMonthRange = (monthScope) => {
+    const [year, month] = monthScope.slice('month-'.length).split('-').map(Number);
+    return { start: new Date(year, month - 1, 1), end: new Date(year, month, 0, 23, 59, 59, 999) };
+};
+
+// Additive totals over a set of tasks; those of separate sets add up field by field
+const getTaskTotals = (tasks) => {
+    const lectures = tasks.filter(t => t.taskType === 'Lecture');
+    const ratings = lectures.map(getLectureRating).filter(rating => rating != null).map(Number);
+    return {
+        taskCount: tasks.length,
+        lectureCount: lectures.length,
+        lectureMinutes: lectures.reduce((sum, t) => sum + (t.minutes || 0), 0),
+        units: tasks.filter(t => t.taskType !== 'Lecture').reduce((sum, t) => sum + getTaskUnits(t), 0),
+        ratingSum: ratings.reduce((sum, rating) => sum + rating, 0),
+        ratedCount: ratings.length,
+        taskTypeCounts: tasks.reduce((acc, t) => ({ ...acc, [t.taskType]: (acc[t.taskType] || 0) + 1 }), {}),
+        paymentTotals: getPaymentTotals(tasks),
+    };
+};
+
+// after - before for nested maps of numbers; a missing entry counts as 0
+const diffTotals = (after = {}, before = {}) => Object.fromEntries(
+    [...new Set([...Object.keys(after), ...Object.keys(before)])].map(key => [
+        key,
+        typeof (after[key] ?? before[key]) === 'object' ? diffTotals(after[key], before[key]) : (after[key] || 0) - (before[key] || 0),
+    ]),
+);
+
+// The same nested map as Firestore increments, for merging into stored totals
+const toIncrements = (delta) => Object.fromEntries(Object.entries(delta).map(([key, value]) => [
+    key,
+    typeof value === 'object' ? toIncrements(value) : increment(value),
+]));
+
+const buildTaskAggregate = (scope, mentor, totals) => ({
+    scope,
+    mentorId: mentor.id,
+    mentorName: mentor.name,
+    totals,
+});
+
+// Aggregates written before pay was worked out from stored totals have none, and are rebuilt on first use
+const isAggregateCurrent = (aggregate) => !!aggregate?.totals;
+
+// --- Export Helpers ---
+
+// yyyy-mm-dd in local time, which spreadsheets read as a date
+const toDateInputValue = (date) => {
+    if (!date) return '';
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// hh:mm (24h, local time) for <input type="time">
+const toTimeInputValue = (date) => {
+    if (!date) return '';
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Logged on a later day than the work was done, so reviewers can see it was entered after the fact
+const isBackdated = (task) => !!task.date && !!task.submittedAt && toDateInputValue(task.submittedAt) > toDateInputValue(task.date);
+
+// Local date and time inputs back to a Date; an empty time means the start of the day
+const fromDateTimeInputs = (dateValue, timeValue) => (dateValue ? new Date(`${dateValue}T${timeValue || '00:00'}`) : null);
+
+// Quote every cell so commas, quotes and newlines in descriptions survive
+const toCsv = (rows, columns) => {
+    const escape = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    return [
+        columns.map(column => escape(column.header)).join(','),
+        ...rows.map(row => columns.map(column => escape(column.value(row))).join(',')),
+    ].join('\r\n');
+};
+
+// The byte order mark makes Excel open the file as UTF-8
+const downloadCsv = (filename, rows, columns) => {
+    const blob = new Blob(['\ufeff', toCsv(rows, columns)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// Export filters: { from, to } are yyyy-mm-dd (inclusive), team limits to mentors in that team
+const filterMentorsForExport = (mentors, { team }) => (team ? mentors.filter(m => m.teams.includes(team)) : mentors);
+
+const filterTasksForExport = (tasks, mentors, filters) => {
+    const start = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+    const end = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null;
+    const mentorIds = new Set(filterMentorsForExport(mentors, filters).map(m => m.id));
+    return tasks.filter(task => (
+        mentorIds.has(task.mentorId)
+        && (!start || (task.date && task.date >= start))
+        && (!end || (task.date && task.date <= end))
+    ));
+};
+
+const TASK_EXPORT_COLUMNS = [
+    { header: 'Date', value: task => toDateInputValue(task.date) },
+    { header: 'Time', value: task => toTimeInputValue(task.date) },
+    { header: 'Mentor', value: task => task.mentorName },
+    { header: 'Mentor ID', value: task => task.mentorId },
+    { header: 'Task Type', value: task => task.taskType },
+    { header: 'Description', value: task => task.description },
+    { header: 'Chapter', value: task => task.chapterName },
+    { header: 'Chapter ID', value: task => task.chapterId },
+    { header: 'Minutes', value: task => (task.taskType === 'Lecture' ? task.minutes : '') },
+    { header: 'Units', value: task => (task.taskType === 'Lecture' ? '' : getTaskUnits(task)) },
+    { header: 'Unit', value: task => (task.taskType === 'Lecture' ? 'minute' : task.unit) },
+    { header: 'Time Spent (min)', value: task => (task.taskType === 'Lecture' ? task.minutes : task.durationMinutes ?? '') },
+    { header: 'Rating', value: task => getLectureRating(task) ?? '' },
+    { header: 'Student Responses', value: task => task.feedbackCount ?? '' },
+    { header: 'Status', value: task => getTaskStatus(task) },
+    { header: 'Assignment ID', value: task => task.assignmentId },
+    { header: 'Submitted By', value: task => task.submittedBy },
+    { header: 'Submitted At', value: task => task.submittedAt?.toISOString() ?? '' },
+    { header: 'Task ID', value: task => task.id },
+];
+
+const MENTOR_EXPORT_COLUMNS = [
+    { header: 'Name', value: mentor => mentor.name },
+    { header: 'Email', value: mentor => mentor.email },
+    { header: 'Base Rate (Rs/min)', value: mentor => mentor.baseRate },
+    { header: 'Teams', value: mentor => mentor.teams.join('; ') },
+    { header: 'Status', value: mentor => MENTOR_STATUSES[getMentorStatus(mentor)].label },
+    { header: 'Joined', value: mentor => toDateInputValue(mentor.joinDate) },
+    { header: 'Exited', value: mentor => toDateInputValue(mentor.exitDate) },
+    { header: 'Mentor ID', value: mentor => mentor.id },
+];
+
+// Rows are { mentor, summary } with summary from calculatePayment over the exported tasks
+const PAYOUT_EXPORT_COLUMNS = [
+    { header: 'Mentor', value: row => row.mentor.name },
+    { header: 'Email', value: row => row.mentor.email },
+    { header: 'Teams', value: row => row.mentor.teams.join('; ') },
+    { header: 'Base Rate (Rs/min)', value: row => row.summary.R_minute },
+    { header: 'Lectures', value: row => row.summary.lecturesCount },
+    { header: 'T_billable (min)', value: row => row.summary.T_billable },
+    { header: 'Avg Rating', value: row => row.summary.averageRating },
+    { header: 'M_rate', value: row => row.summary.M_rate },
+    { header: 'M_freq', value: row => row.summary.M_freq },
+    { header: 'Lecture Base Pay', value: row => row.summary.basePayLectures },
+    { header: 'Lecture Pay', value: row => row.summary.P_final_lectures },
+    { header: 'Other Pay', value: row => row.summary.P_final_other },
+    { header: 'Other Pay Breakdown', value: row => Object.entries(row.summary.otherByType).map(([type, item]) => `${type}: ${item.units} ${item.unit} x Rs ${item.rate}`).join('; ') },
+    { header: 'Total Pay', value: row => row.summary.P_final },
+    { header: 'Policy Version', value: row => row.summary.policyVersion },
+];
+
+// --- Analytics Helpers ---
+// All charts take approved tasks only, the same set calculatePayment pays for.
+
+const TEAM_CHART_COLORS = ['#4f46e5', '#16a34a', '#ca8a04', '#dc2626', '#0891b2', '#9333ea', '#db2777', '#65a30d'];
+
+// yyyy-mm in local time
+const toMonthKey = (date) => toDateInputValue(date).slice(0, 7);
+
+// Lecture minutes per Monday-based week and team; a mentor in several teams counts towards each of them
+const buildWeeklyTeamMinutes = (tasks, mentors) => {
+    const mentorTeams = new Map(mentors.map(m => [m.id, m.teams]));
+    const weeks = {};
+    tasks.forEach(task => {
+        if (task.taskType !== 'Lecture' || !task.date) return;
+        const week = toDateInputValue(getWeekStart(task.date));
+        weeks[week] = weeks[week] || {};
+        (mentorTeams.get(task.mentorId) || []).forEach(team => {
+            weeks[week][team] = (weeks[week][team] || 0) + (task.minutes || 0);
+        });
+    });
+    return Object.keys(weeks).sort().map(week => ({ week, byTeam: weeks[week] }));
+};
+
+// Estimated pay per calendar month; caps and frequency tiers are applied within each month
+const buildPayoutTrend = (tasks, mentors, policy) => {
+    const byMonth = {};
+    tasks.forEach(task => {
+        if (!task.date) return;
+        const month = toMonthKey(task.date);
+        (byMonth[month] = byMonth[month] || []).push(task);
+    });
+    return Object.keys(byMonth).sort().map(month => ({
+        month,
+        payout: mentors.reduce((sum, m) => (
+            sum + calculatePayment(byMonth[month].filter(t => t.mentorId === m.id), m.baseRate, policy).P_final
+        ), 0),
+    }));
+};
+
+// Count of lectures per star (1-5) for each mentor with rated lectures, best average first
+const buildRatingDistribution = (tasks, mentors) => mentors.map(mentor => {
+    const ratings = tasks
+        .filter(t => t.mentorId === mentor.id && t.taskType === 'Lecture' && getLectureRating(t))
+        .map(t => Number(getLectureRating(t)));
+    return {
+        mentor,
+        counts: [1, 2, 3, 4, 5].map(star => ratings.filter(r => Math.round(r) === star).length),
+        total: ratings.length,
+        average: ratings.length ? ratings.reduce((sum, r) => sum + r, 0) / ratings.length : 0,
+    };
+}).filter(row => row.total > 0).sort((a, b) => b.average - a.average);
+
+// Chapters ranked by raw (uncapped) lecture minutes
+const buildTopChapters = (tasks, syllabus, count = 10) => {
+    const chapters = {};
+    tasks.forEach(task => {
+        const key = getChapterKey(task);
+        if (task.taskType !== 'Lecture' || !key) return;
+        if (!chapters[key]) {
+            chapters[key] = { key, name: findChapter(syllabus, task)?.name || task.chapterName, minutes: 0, lectures: 0 };
+        }
+        chapters[key].minutes += task.minutes || 0;
+        chapters[key].lectures += 1;
+    });
+    return Object.values(chapters).sort((a, b) => b.minutes - a.minutes).slice(0, count);
+};
+
+// Task count and estimated pay per task type
+const buildTaskTypeShare = (tasks, mentors, policy) => {
+    const share = Object.fromEntries(TASK_TYPES.map(type => [type.value, { type: type.value, label: type.label, count: 0, pay: 0 }]));
+    tasks.forEach(task => {
+        if (share[task.taskType]) share[task.taskType].count += 1;
+    });
+    mentors.forEach(mentor => {
+        const summary = calculatePayment(tasks.filter(t => t.mentorId === mentor.id), mentor.baseRate, policy);
+        share.Lecture.pay += summary.P_final_lectures;
+        Object.entries(summary.otherByType).forEach(([type, item]) => {
+            if (share[type]) share[type].pay += item.pay;
+        });
+    });
+    return Object.values(share);
+};
+
+// --- List Controls ---
+// Search, filter, sort and paging for the mentor directory, the dashboard table and the work history.
+
+const MENTOR_PAGE_SIZE = 24;
+const TASK_PAGE_SIZE = 25;
+
+// Mentor rows are { mentor, stats } with stats from buildMentorStats
+const MENTOR_SORTS = {
+    name: { label: 'Name (A-Z)', compare: (a, b) => a.mentor.name.localeCompare(b.mentor.name) },
+    payout: { label: 'Est. payout (highest)', compare: (a, b) => b.stats.payment - a.stats.payment, needsPayouts: true },
+    tasks: { label: 'Tasks (most)', compare: (a, b) => b.stats.taskCount - a.stats.taskCount },
+    rating: { label: 'Avg. rating (highest)', compare: (a, b) => (b.stats.avgRating ?? 0) - (a.stats.avgRating ?? 0) },
+};
+
+const TASK_SORTS = {
+    newest: { label: 'Newest first', compare: (a, b) => (b.date || 0) - (a.date || 0) },
+    oldest: { label: 'Oldest first', compare: (a, b) => (a.date || 0) - (b.date || 0) },
+    quantity: { label: 'Minutes/units (most)', compare: (a, b) => (b.taskType === 'Lecture' ? b.minutes || 0 : getTaskUnits(b)) - (a.taskType === 'Lecture' ? a.minutes || 0 : getTaskUnits(a)) },
+    rating: { label: 'Rating (highest)', compare: (a, b) => (getLectureRating(b) ?? 0) - (getLectureRating(a) ?? 0) },
+};
+
+const DEFAULT_MENTOR_FILTERS = { search: '', team: '', taskType: '', sort: 'name', page: 1 };
+const DEFAULT_TASK_FILTERS = { search: '', taskType: '', status: '', sort: 'newest', page: 1 };
+
+const EMPTY_MENTOR_STATS = { taskCount: 0, lectureCount: 0, lectureMinutes: 0, units: 0, ratingSum: 0, ratedCount: 0, avgRating: null, payment: 0, taskTypes: new Set() };
+
+// Per-mentor totals over the given tasks in one pass, so list views don't re-filter tasks per mentor
+const buildMentorStats = (tasks, mentorPayments) => {
+    const stats = new Map();
+    const statsFor = (mentorId) => {
+        if (!stats.has(mentorId)) stats.set(mentorId, { ...EMPTY_MENTOR_STATS, taskTypes: new Set() });
+        return stats.get(mentorId);
+    };
+    tasks.forEach(task => {
+        const entry = statsFor(task.mentorId);
+        entry.taskCount += 1;
+        entry.taskTypes.add(task.taskType);
+        if (task.taskType === 'Lecture') {
+            entry.lectureCount += 1;
+            entry.lectureMinutes += task.minutes || 0;
+        } else {
+            entry.units += getTaskUnits(task);
+        }
+        const rating = task.taskType === 'Lecture' ? getLectureRating(task) : null;
+        if (rating != null) {
+            entry.ratingSum += Number(rating);
+            entry.ratedCount += 1;
+        }
+    });
+    mentorPayments.forEach(p => { statsFor(p.mentorId).payment = p.payment; });
+    stats.forEach(entry => { entry.avgRating = entry.ratedCount > 0 ? entry.ratingSum / entry.ratedCount : null; });
+    return stats;
+};
+
+// The same figures read from a stored task aggregate, paid at the mentor's current rate
+const getMentorStatsFromAggregate = ({ totals }, mentor, policy) => ({
+    taskCount: totals.taskCount,
+    lectureCount: totals.lectureCount,
+    lectureMinutes: totals.lectureMinutes,
+    units: totals.units,
+    ratingSum: totals.ratingSum,
+    ratedCount: totals.ratedCount,
+    avgRating: totals.ratedCount > 0 ? totals.ratingSum / totals.ratedCount : null,
+    payment: calculatePaymentFromTotals(totals.paymentTotals, mentor.baseRate, policy).P_final,
+    taskTypes: new Set(Object.keys(totals.taskTypeCounts).filter(type => totals.taskTypeCounts[type] > 0)),
+});
+
+// Mentor rows matching the search (name, email or team), team and task type filters, in the chosen order
+const filterMentorRows = (mentors, stats, filters) => {
+    const search = filters.search.trim().toLowerCase();
+    return mentors
+        .map(mentor => ({ mentor, stats: stats.get(mentor.id) || EMPTY_MENTOR_STATS }))
+        .filter(({ mentor, stats: row }) => {
+            if (filters.team && !mentor.teams.includes(filters.team)) return false;
+            if (filters.taskType && !row.taskTypes.has(filters.taskType)) return false;
+            if (search && ![mentor.name, mentor.email, ...mentor.teams].some(text => (text || '').toLowerCase().includes(search))) return false;
+            return true;
+        })
+        .sort((MENTOR_SORTS[filters.sort] || MENTOR_SORTS.name).compare);
+};
+
+// Tasks matching the search (description, chapter), type and status filters, in the chosen order
+const filterTaskRows = (tasks, filters) => {
+    const search = filters.search.trim().toLowerCase();
+    return tasks
+        .filter(task => {
+            if (filters.taskType && task.taskType !== filters.taskType) return false;
+            if (filters.status && getTaskStatus(task) !== filters.status) return false;
+            if (search && ![task.description, task.chapterName].some(text => (text || '').toLowerCase().includes(search))) return false;
+            return true;
+        })
+        .sort((TASK_SORTS[filters.sort] || TASK_SORTS.newest).compare);
+};
+
+// One page of items; the page number is clamped so shrinking results never leave an empty page
+const paginate = (items, page, pageSize) => {
+    const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+    const current = Math.min(Math.max(page, 1), pageCount);
+    return { pageItems: items.slice((current - 1) * pageSize, current * pageSize), page: current, pageCount };
+};
+
+// --- Import Helpers ---
+
+// Minimal RFC 4180 parser: quoted cells may contain commas, doubled quotes and line breaks
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const input = text.replace(/^\ufeff/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else cell += char;
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length) rows.push([...row, cell]);
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// Fields each import understands; aliases are matched against the sheet's header row
+const MENTOR_IMPORT_FIELDS = [
+    { key: 'name', label: 'Name', required: true, aliases: ['name', 'mentor', 'mentor name', 'full name'] },
+    { key: 'email', label: 'Email', required: true, aliases: ['email', 'email address', 'mail'] },
+    { key: 'baseRate', label: 'Base Rate (Rs/min)', aliases: ['base rate (rs/min)', 'base rate', 'rate'] },
+    { key: 'teams', label: 'Teams (separated by ;)', aliases: ['teams', 'team'] },
+];
+
+const TASK_IMPORT_FIELDS = [
+    { key: 'date', label: 'Date', required: true, aliases: ['date', 'work date', 'day'] },
+    { key: 'mentor', label: 'Mentor Email or ID', required: true, aliases: ['mentor email', 'email', 'mentor id'] },
+    { key: 'taskType', label: 'Task Type', required: true, aliases: ['task type', 'type'] },
+    { key: 'description', label: 'Description', required: true, aliases: ['description', 'title', 'topic'] },
+    { key: 'chapter', label: 'Chapter', aliases: ['chapter', 'chapter name'] },
+    { key: 'minutes', label: 'Minutes', aliases: ['minutes', 'duration', 'mins'] },
+    { key: 'units', label: 'Units', aliases: ['units', 'quantity', 'count'] },
+    { key: 'rating', label: 'Rating', aliases: ['rating'] },
+];
+
+// Default column for each field: the first header matching one of its aliases
+const guessColumnMapping = (headers, fields) => Object.fromEntries(fields.map(field => {
+    const index = headers.findIndex(header => field.aliases.includes(header.trim().toLowerCase()));
+    return [field.key, index];
+}));
+
+// Sheets use yyyy-mm-dd or the Indian dd/mm/yyyy; returns a local Date or null
+const parseImportDate = (value) => {
+    const text = (value || '').trim();
+    // Date rolls impossible days over (2024-02-31 becomes 2 March), so those are refused rather than moved
+    const toDate = (year, month, day) => {
+        const date = new Date(year, month - 1, day, 12);
+        return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+    };
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) return toDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (match) return toDate(Number(match[3]), Number(match[2]), Number(match[1]));
+    return null;
+};
+
+// Turn mapped sheet rows into mentor records, flagging duplicate emails (already on file or repeated in the sheet)
+const buildMentorImportRows = (rows, mapping, { mentors }) => {
+    const seen = new Set(mentors.map(m => (m.email || '').toLowerCase()).filter(Boolean));
+    return rows.map((row, index) => {
+        const cell = (key) => (mapping[key] >= 0 ? (row[mapping[key]] || '').trim() : '');
+        const data = {
+            name: cell('name'),
+            email: cell('email').toLowerCase(),
+            baseRate: cell('baseRate') ? parseFloat(cell('baseRate')) : 10,
+            teams: cell('teams').split(';').map(team => team.trim()).filter(Boolean),
+        };
+        let error = '';
+        if (!data.name) error = 'Name is required.';
+        else if (!/^\S+@\S+\.\S+$/.test(data.email)) error = 'A valid email is required.';
+        else if (!(data.baseRate > 0)) error = 'Base rate must be greater than zero.';
+        const duplicate = !error && seen.has(data.email);
+        if (!error) seen.add(data.email);
+        return { line: index + 2, data, error, duplicate };
+    });
+};
+
+// Turn mapped sheet rows into tasks using the TaskModal rules, keeping each row's original date.
+// Rows matching an existing task (same mentor, day, type and description) are flagged as duplicates.
+const buildTaskImportRows = (rows, mapping, { mentors, tasks, syllabus, payrollPeriods, policy }) => {
+    const taskKey = (task) => [task.mentorId, toDateInputValue(task.date), task.taskType, (task.description || '').trim().toLowerCase()].join('|');
+    const seen = new Set(tasks.map(taskKey));
+    return rows.map((row, index) => {
+        const cell = (key) => (mapping[key] >= 0 ? (row[mapping[key]] || '').trim() : '');
+        const mentorValue = cell('mentor').toLowerCase();
+        const mentor = mentors.find(m => (m.email || '').toLowerCase() === mentorValue || m.id.toLowerCase() === mentorValue);
+        const typeValue = cell('taskType').toLowerCase();
+        const taskType = TASK_TYPES.find(type => type.value.toLowerCase() === typeValue || type.label.toLowerCase() === typeValue)?.value || cell('taskType');
+        const chapter = CHAPTER_TASK_TYPES.includes(taskType) ? findChapter(syllabus, { chapterName: cell('chapter') }) : null;
+        const isLecture = taskType === 'Lecture';
+        const data = {
+            date: parseImportDate(cell('date')),
+            mentorId: mentor?.id || '',
+            mentorName: mentor?.name || cell('mentor'),
+            taskType,
+            description: cell('description'),
+            chapterId: chapter?.id || null,
+            chapterName: chapter?.name || '',
+            minutes: isLecture ? parseFloat(cell('minutes')) || 0 : 0,
+            units: isLecture ? 1 : parseFloat(cell('units')) || 0,
+            // Without a rating the lecture waits for student feedback; unrated lectures are left out of the average
+            rating: isLecture && cell('rating') ? parseFloat(cell('rating')) : null,
+            ...(isLecture ? {} : { unit: getRateCard(policy, taskType).unit }),
+        };
+        let error = '';
+        if (!data.date) error = `Unrecognised date "${cell('date')}" (use yyyy-mm-dd or dd/mm/yyyy).`;
+        else if (!mentor) error = `No mentor with email or ID "${cell('mentor')}".`;
+        else if (!data.description) error = 'Description is required.';
+        else if (CHAPTER_TASK_TYPES.includes(taskType) && cell('chapter') && !chapter) error = `Chapter "${cell('chapter')}" is not in the syllabus catalogue.`;
+        else if (isTaskLocked(data, payrollPeriods)) error = 'Falls in a locked payroll period.';
+        else error = validateTask(data);
+        const duplicate = !error && seen.has(taskKey(data));
+        if (!error) seen.add(taskKey(data));
+        return { line: index + 2, data, error, duplicate };
+    });
+};
+
+// --- Payment Slip PDF ---
+
+// Slip contents for one mentor and period. Locking a period stores exactly this (plus a slip number);
+// open periods can be previewed as a draft slip with the same layout.
+const buildPaymentSlip = (period, mentor, mentorTasks, policy) => ({
+    periodId: period.id,
+    periodName: period.name,
+    startDate: period.startDate,
+    endDate: period.endDate,
+    mentorId: mentor.id,
+    mentorName: mentor.name,
+    mentorEmail: mentor.email || '',
+    baseRate: mentor.baseRate,
+    summary: calculatePayment(mentorTasks, mentor.baseRate, policy),
+    // Only approved work is listed, as only it is paid. Student comments stay with the lecture;
+    // the slip only keeps the rating that was paid on
+    tasks: mentorTasks.filter(isPayableTask).map(task => Object.fromEntries(Object.entries(task).filter(([field]) => field !== 'feedbackComments'))),
+    policyVersion: policy.version,
+});
+
+const SLIP_BRAND = {
+    name: 'PREP4IISER',
+    tagline: 'IAT / IISER Aptitude Test Preparation',
+    color: [79, 70, 229], // indigo-600, as in the app header
+};
+
+// The built-in PDF fonts have no rupee glyph, so amounts are written as "Rs"
+const formatRupees = (amount) => `Rs ${Number(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+// Draw one slip starting on the current page of a jsPDF document (A4, mm)
+const renderPaymentSlip = (pdf, autoTable, slip, payout) => {
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const { summary } = slip;
+    const dateRange = `${slip.startDate?.toLocaleDateString()} - ${slip.endDate?.toLocaleDateString()}`;
+
+    // Header band
+    pdf.setFillColor(...SLIP_BRAND.color);
+    pdf.rect(0, 0, pageWidth, 28, 'F');
+    pdf.setTextColor(255, 255, 255);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(18);
+    pdf.text(SLIP_BRAND.name, 14, 13);
+    pdf.text('PAYMENT SLIP', pageWidth - 14, 13, { align: 'right' });
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(9);
+    pdf.text(SLIP_BRAND.tagline, 14, 20);
+    pdf.text(slip.slipNumber || 'DRAFT', pageWidth - 14, 20, { align: 'right' });
+
+    let y = 36;
+    if (slip.draft) {
+        pdf.setTextColor(220, 38, 38);
+        pdf.setFont('helvetica', 'bold');
+        pdf.setFontSize(10);
+        pdf.text('DRAFT - this period is not locked yet, figures may still change.', 14, y);
+        y += 4;
+    }
+    pdf.setTextColor(0, 0, 0);
+
+    autoTable(pdf, {
+        startY: y,
+        theme: 'plain',
+        styles: { fontSize: 9, cellPadding: 1.2 },
+        columnStyles: { 0: { fontStyle: 'bold', cellWidth: 28 }, 2: { fontStyle: 'bold', cellWidth: 28 } },
+        body: [
+            ['Mentor', slip.mentorName, 'Slip No.', slip.slipNumber || 'DRAFT'],
+            ['Email', slip.mentorEmail || '-', 'Period', slip.periodName],
+            ['Mentor ID', slip.mentorId, 'Dates', dateRange],
+            ['Base Rate', `${formatRupees(slip.baseRate)} / min`, 'Policy', `v${slip.policyVersion}`],
+        ],
+    });
+
+    // Itemised work; only approved tasks are paid
+    autoTable(pdf, {
+        startY: pdf.lastAutoTable.finalY + 6,
+        head: [['Date', 'Type', 'Description', 'Chapter', 'Qty', 'Rating', 'Status']],
+        body: slip.tasks.length > 0
+            ? slip.tasks.map(task => [
+                task.date?.toLocaleDateString() || '-',
+                task.taskType,
+                task.description,
+                task.chapterName || '-',
+                formatTaskQuantity(task),
+                task.taskType === 'Lecture' && getLectureRating(task) ? Number(getLectureRating(task)).toFixed(1) : '-',
+                getTaskStatus(task),
+            ])
+            : [[{ content: 'No work logged in this period.', colSpan: 7 }]],
+        headStyles: { fillColor: SLIP_BRAND.color },
+        styles: { fontSize: 8 },
+    });
+
+    // Calculation breakdown
+    const otherRows = Object.entries(summary.otherByType).map(([type, item]) => [
+        `${type}: ${item.units} ${item.unit}(s) x ${formatRupees(item.rate)}`,
+        formatRupees(item.pay),
+    ]);
+    autoTable(pdf, {
+        startY: pdf.lastAutoTable.finalY + 6,
+        head: [['Calculation', 'Amount']],
+        body: [
+            ['Billable lecture minutes (T_billable, capped per chapter)', `${summary.T_billable} min`],
+            ['Rate per minute (R_minute)', formatRupees(summary.R_minute)],
+            ['Lecture base pay', formatRupees(summary.basePayLectures)],
+            [`Quality multiplier (M_rate), avg. rating ${summary.averageRating}`, `x ${summary.M_rate}`],
+            [`Frequency multiplier (M_freq), ${summary.lecturesCount} lectures`, `x ${summary.M_freq}`],
+            [{ content: 'Lecture pay', styles: { fontStyle: 'bold' } }, { content: formatRupees(summary.P_final_lectures), styles: { fontStyle: 'bold' } }],
+            ...otherRows,
+            [{ content: 'Content/other pay', styles: { fontStyle: 'bold' } }, { content: formatRupees(summary.P_final_other), styles: { fontStyle: 'bold' } }],
+            [{ content: 'TOTAL PAYABLE', styles: { fontStyle: 'bold', fontSize: 11 } }, { content: formatRupees(summary.P_final), styles: { fontStyle: 'bold', fontSize: 11 } }],
+        ],
+        headStyles: { fillColor: SLIP_BRAND.color },
+        columnStyles: { 1: { halign: 'right', cellWidth: 40 } },
+        styles: { fontSize: 9 },
+    });
+    y = pdf.lastAutoTable.finalY + 8;
+
+    if (payout) {
+        pdf.setFontSize(9);
+        pdf.setFont('helvetica', 'normal');
+        const status = PAYOUT_STATUSES[payout.status]?.label || payout.status;
+        const paidText = payout.status === 'paid' ? ` via ${payout.method} on ${payout.paidOn?.toLocaleDateString()} (Ref: ${payout.reference || '-'})` : '';
+        pdf.text(`Payout: ${status}, ${formatRupees(payout.amount)}${paidText}`, 14, y);
+        y += 8;
+    }
+
+    // Signature fields, kept together on one page
+    if (y > pageHeight - 45) {
+        pdf.addPage();
+        y = 20;
+    }
+    y += 14;
+    const signatures = ['Prepared by (Finance)', 'Approved by (Admin)', 'Received by (Mentor)'];
+    const boxWidth = (pageWidth - 28 - 20) / signatures.length;
+    pdf.setFontSize(9);
+    signatures.forEach((label, index) => {
+        const x = 14 + index * (boxWidth + 10);
+        pdf.line(x, y, x + boxWidth, y);
+        pdf.text(label, x, y + 5);
+        pdf.text('Date:', x, y + 11);
+    });
+
+    pdf.setFontSize(7);
+    pdf.setTextColor(107, 114, 128);
+    pdf.text(`Generated ${new Date().toLocaleString()} | Computed under Payment Policy v${slip.policyVersion} | Only approved work is paid.`, 14, pageHeight - 8);
+    pdf.setTextColor(0, 0, 0);
+};
+
+// Build one PDF with each slip starting on a new page and download it; the PDF libraries load on demand
+const downloadPaymentSlips = async (slips, payouts, filename) => {
+    const [{ jsPDF }, { autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+    const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+    slips.forEach((slip, index) => {
+        if (index > 0) pdf.addPage();
+        renderPaymentSlip(pdf, autoTable, slip, payouts.find(p => p.slipId === slip.id));
+    });
+    pdf.save(filename);
+};
+
+// --- Custom Components ---
+
+const Panel = ({ title, children, className = '' }) => (
+    <div className={`bg-white shadow-xl rounded-xl p-6 ${className}`}>
+        <h2 className="text-xl font-bold text-indigo-800 mb-4 border-b pb-2">{title}</h2>
+        {children}
+    </div>
+);
+
+const Button = ({ children, onClick, type = 'button', title, disabled = false, className = 'bg-indigo-600 hover:bg-indigo-700' }) => (
+    <button
+        type={type}
+        title={title}
+        onClick={onClick}
+        disabled={disabled}
+        className={`py-2 px-4 rounded-lg text-white font-semibold transition duration-150 ${className} ${disabled ? 'opacity-50 cursor-not-allowed' : ''}`}
+    >
+        {children}
+    </button>
+);
+
+// Chapter picker grouped by subject, listing each chapter with its unit
+const ChapterSelect = ({ syllabus, value, onChange, name = 'chapterId', required = false, className = '' }) => {
+    const subjects = [...new Set(syllabus.map(chapter => chapter.subject))];
+    return (
+        <select name={name} value={value} onChange={onChange} required={required} className={className}>
+            <option value="">-- Select chapter --</option>
+            {subjects.map(subject => (
+                <optgroup key={subject} label={subject}>
+                    {syllabus.filter(chapter => chapter.subject === subject).map(chapter => (
+                        <option key={chapter.id} value={chapter.id}>{chapter.unit}: {chapter.name}</option>
+                    ))}
+                </optgroup>
+            ))}
+        </select>
+    );
+};
+
+// Horizontal bar chart: rows are { label, value }, bar widths are relative to the largest value
+const BarList = ({ rows, format = (value) => value.toLocaleString(), color = '#4f46e5' }) => {
+    const max = Math.max(...rows.map(row => row.value), 0);
+    if (rows.length === 0) return <p className="text-sm text-gray-500">No data in this period.</p>;
+    return (
+        <div className="space-y-2">
+            {rows.map(row => (
+                <div key={row.label} className="flex items-center text-sm">
+                    <span className="w-48 truncate text-gray-700" title={row.label}>{row.label}</span>
+                    <div className="flex-grow bg-gray-100 rounded h-4 mx-2">
+                        <div className="h-4 rounded" style={{ width: `${max ? (row.value / max) * 100 : 0}%`, backgroundColor: color }} />
+                    </div>
+                    <span className="w-28 text-right font-semibold text-gray-800">{format(row.value)}</span>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// Reporting period bar; lives outside App so the date inputs keep focus while App re-renders
+const PeriodSelector = ({ value, onChange, payrollPeriods, range }) => {
+    const update = (field) => (e) => onChange({ ...value, [field]: e.target.value });
+    const inputClass = "rounded-lg border-gray-300 shadow-sm p-2 border text-sm focus:ring-indigo-500 focus:border-indigo-500";
+    return (
+        <div className="no-print flex flex-wrap items-center gap-3 px-6 pt-4 text-sm">
+            <span className="font-semibold text-gray-700">Reporting period:</span>
+            <select value={value.type} onChange={update('type')} className={inputClass}>
+                {Object.entries(REPORT_PERIOD_TYPES).map(([type, label]) => (
+                    <option key={type} value={type}>{label}</option>
+                ))}
+            </select>
+            {value.type === 'payroll' && (
+                <select value={value.periodId} onChange={update('periodId')} className={inputClass}>
+                    <option value="">-- Select cycle --</option>
+                    {payrollPeriods.map(period => (
+                        <option key={period.id} value={period.id}>{period.name}</option>
+                    ))}
+                </select>
+            )}
+            {value.type === 'custom' && (
+                <>
+                    <input type="date" value={value.from} onChange={update('from')} className={inputClass} />
+                    <span className="text-gray-500">to</span>
+                    <input type="date" value={value.to} onChange={update('to')} className={inputClass} />
+                </>
+            )}
+            <span className="text-xs text-gray-500">
+                {range.start ? range.start.toLocaleDateString() : 'First task'} - {range.end ? range.end.toLocaleDateString() : 'present'}
+            </span>
+        </div>
+    );
+};
+
+// Search, team, task type and sort controls for mentor lists; filters is a DEFAULT_MENTOR_FILTERS-shaped object.
+// Lives outside App so the search box keeps focus while the list re-renders.
+const MentorFilterBar = ({ filters, onChange, teams, showPayouts }) => {
+    const update = (field) => (e) => onChange({ ...filters, [field]: e.target.value, page: 1 });
+    const inputClass = "rounded-lg border-gray-300 shadow-sm p-2 border text-sm focus:ring-indigo-500 focus:border-indigo-500";
+    return (
+        <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+            <input type="search" value={filters.search} onChange={update('search')} placeholder="Search name, email or team" className={`${inputClass} flex-grow min-w-[12rem]`} />
+            <select value={filters.team} onChange={update('team')} className={inputClass}>
+                <option value="">All teams</option>
+                {teams.map(team => <option key={team} value={team}>{team}</option>)}
+            </select>
+            <select value={filters.taskType} onChange={update('taskType')} className={inputClass} title="Mentors with work of this type in the reporting period">
+                <option value="">Any task type</option>
+                {TASK_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+            </select>
+            <select value={filters.sort} onChange={update('sort')} className={inputClass}>
+                {Object.entries(MENTOR_SORTS).filter(([, sort]) => showPayouts || !sort.needsPayouts).map(([key, sort]) => (
+                    <option key={key} value={key}>Sort: {sort.label}</option>
+                ))}
+            </select>
+        </div>
+    );
+};
+
+// Search, task type, status and sort controls for task lists; filters is a DEFAULT_TASK_FILTERS-shaped object
+const TaskFilterBar = ({ filters, onChange }) => {
+    const update = (field) => (e) => onChange({ ...filters, [field]: e.target.value, page: 1 });
+    const inputClass = "rounded-lg border-gray-300 shadow-sm p-2 border text-sm focus:ring-indigo-500 focus:border-indigo-500";
+    return (
+        <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+            <input type="search" value={filters.search} onChange={update('search')} placeholder="Search description or chapter" className={`${inputClass} flex-grow min-w-[12rem]`} />
+            <select value={filters.taskType} onChange={update('taskType')} className={inputClass}>
+                <option value="">All task types</option>
+                {TASK_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+            </select>
+            <select value={filters.status} onChange={update('status')} className={inputClass}>
+                <option value="">All statuses</option>
+                {Object.keys(TASK_STATUSES).map(status => <option key={status} value={status}>{status}</option>)}
+            </select>
+            <select value={filters.sort} onChange={update('sort')} className={inputClass}>
+                {Object.entries(TASK_SORTS).map(([key, sort]) => <option key={key} value={key}>Sort: {sort.label}</option>)}
+            </select>
+        </div>
+    );
+};
+
+// Previous/next paging with a "showing x-y of n" count
+const Pagination = ({ page, pageCount, pageSize, total, onChange }) => {
+    if (total <= pageSize) return null;
+    const first = (page - 1) * pageSize + 1;
+    return (
+        <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+            <span>Showing {first}-{Math.min(first + pageSize - 1, total)} of {total}</span>
+            <div className="flex items-center space-x-2">
+                <Button onClick={() => onChange(page - 1)} disabled={page <= 1} className="bg-gray-500 hover:bg-gray-600 px-3 py-1 text-xs">Previous</Button>
+                <span>Page {page} of {pageCount}</span>
+                <Button onClick={() => onChange(page + 1)} disabled={page >= pageCount} className="bg-gray-500 hover:bg-gray-600 px-3 py-1 text-xs">Next</Button>
+            </div>
+        </div>
+    );
+};
+
+// Sign-in screen shown whenever no Firebase user is signed in
+const LoginScreen = ({ auth }) => {
+    const [mode, setMode] = useState('signin'); // signin, signup
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [message, setMessage] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setMessage('');
+        try {
+            if (mode === 'signin') {
+                await signInWithEmailAndPassword(auth, email, password);
+            } else {
+                // Mentors are linked by email, so the address has to be verified first
+                const credential = await createUserWithEmailAndPassword(auth, email, password);
+                await sendEmailVerification(credential.user);
+            }
+        } catch (err) {
+            console.error("Email sign-in failed:", err);
+            setMessage(err.code === 'auth/invalid-credential' ? 'Incorrect email or password.' : 'Sign-in failed. Please try again.');
+        }
+    };
+
+    const handleGoogleSignIn = async () => {
+        setMessage('');
+        try {
+            await signInWithPopup(auth, new GoogleAuthProvider());
+        } catch (err) {
+            console.error("Google sign-in failed:", err);
+            setMessage('Google sign-in failed. Please try again.');
+        }
+    };
+
+    return (
+        <div className="flex items-center justify-center min-h-screen bg-gray-100 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-sm p-6">
+                <h1 className="text-2xl font-black text-indigo-800 tracking-wider mb-1">PREP4IISER</h1>
+                <p className="text-sm text-gray-500 mb-6">{mode === 'signin' ? 'Sign in to the Management Portal' : 'Create an account (an admin will assign your role)'}</p>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <input
+                        type="email"
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        placeholder="Email"
+                        required
+                        className="block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                    <input
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        placeholder="Password"
+                        minLength="6"
+                        required
+                        className="block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                    {message && <p className="text-sm text-red-600">{message}</p>}
+                    <Button type="submit" className="bg-indigo-600 hover:bg-indigo-700 w-full">
+                        {mode === 'signin' ? 'Sign In' : 'Create Account'}
+                    </Button>
+                </form>
+                <Button onClick={handleGoogleSignIn} className="bg-gray-700 hover:bg-gray-800 w-full mt-3">
+                    Continue with Google
+                </Button>
+                <button
+                    type="button"
+                    onClick={() => setMode(mode === 'signin' ? 'signup' : 'signin')}
+                    className="text-sm text-indigo-600 hover:text-indigo-800 mt-4"
+                >
+                    {mode === 'signin' ? 'No account yet? Create one' : 'Already have an account? Sign in'}
+                </button>
+                {isEmulatorMode && (
+                    <p className="text-xs text-gray-500 mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+                        Local emulator. After <code>npm run seed</code>, sign in as admin@prep4iiser.test (or finance@, lead.lectures@, a mentor's email) with password <code>password123</code>.
+                    </p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Anonymous feedback form students open from a lecture's link; they are signed in anonymously
+// so each device can answer a lecture once, and nothing identifying is stored with the response
+const StudentFeedbackPage = ({ db, auth, userId, formId }) => {
+    const [form, setForm] = useState(undefined); // undefined while loading, null if missing
+    const [rating, setRating] = useState(0);
+    const [comment, setComment] = useState('');
+    const [state, setState] = useState('idle'); // idle, saving, done, failed
+    // Someone already signed in to the portal (a mentor checking their own link) is not a student
+    const isStaffSession = !!userId && auth?.currentUser?.isAnonymous === false;
+
+    useEffect(() => {
+        if (!auth || userId) return;
+        signInAnonymously(auth).catch(e => {
+            console.error("Anonymous sign-in failed:", e);
+            setForm(null);
+        });
+    }, [auth, userId]);
+
+    useEffect(() => {
+        if (!db || !userId) return;
+        getDoc(doc(db, `/artifacts/${appId}/public/data/feedbackForms/${formId}`))
+            .then(docSnap => setForm(docSnap.exists() ? { id: docSnap.id, ...docSnap.data(), lectureDate: docSnap.data().lectureDate?.toDate() } : null))
+            .catch(e => {
+                console.error("Error loading feedback form:", e);
+                setForm(null);
+            });
+    }, [db, userId, formId]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!rating) return;
+        setState('saving');
+        try {
+            // The document id ties the response to this sign-in, so a second answer is rejected by the rules
+            await setDoc(doc(db, `/artifacts/${appId}/public/data/feedback/${formId}_${userId}`), {
+                taskId: formId,
+                mentorId: form.mentorId,
+                rating,
+                comment: comment.trim().slice(0, FEEDBACK_COMMENT_MAX),
+                at: serverTimestamp(),
+            });
+            setState('done');
+        } catch (err) {
+            console.error("Error submitting feedback:", err);
+            setState('failed');
+        }
+    };
+
+    let body;
+    if (form === undefined) {
+        body = <p className="text-gray-500">Loading...</p>;
+    } else if (!form || !form.open) {
+        body = <p className="text-gray-700">This feedback form is not available. It may have been closed by the organisers.</p>;
+    } else if (isStaffSession) {
+        body = <p className="text-gray-700">You are signed in to the PREP4IISER portal, so you cannot rate this lecture. Students should open this link in their own browser.</p>;
+    } else if (state === 'done') {
+        body = <p className="text-green-700 font-semibold">Thank you! Your feedback has been recorded anonymously.</p>;
+    } else {
+        body = (
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                    <p className="font-semibold text-gray-900">{form.chapterName || form.description}</p>
+                    <p className="text-sm text-gray-500">{form.mentorName}{form.lectureDate && ` - ${form.lectureDate.toLocaleDateString()}`}</p>
+                </div>
+                <div>
+                    <p className="text-sm font-medium text-gray-700 mb-2">How would you rate this lecture?</p>
+                    <div className="flex space-x-2">
+                        {[1, 2, 3, 4, 5].map(star => (
+                            <button
+                                key={star}
+                                type="button"
+                                onClick={() => setRating(star)}
+                                className={`w-10 h-10 rounded-full font-bold ${rating >= star ? 'bg-yellow-400 text-white' : 'bg-gray-100 text-gray-500'}`}
+                            >
+                                {star}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                <textarea
+                    value={comment}
+                    onChange={(e) => setComment(e.target.value)}
+                    maxLength={FEEDBACK_COMMENT_MAX}
+                    rows="4"
+                    placeholder="Comments (optional)"
+                    className="block w-full rounded-lg border-gray-300 shadow-sm p-3 border text-sm focus:ring-indigo-500 focus:border-indigo-500"
+                />
+                {state === 'failed' && <p className="text-sm text-red-600">Could not submit your feedback. You may have already rated this lecture.</p>}
+                <Button type="submit" disabled={!rating || state === 'saving'} className="bg-indigo-600 hover:bg-indigo-700 w-full">
+                    Submit Feedback
+                </Button>
+            </form>
+        );
+    }
+
+    return (
+        <div className="flex items-center justify-center min-h-screen bg-gray-100 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-sm p-6">
+                <h1 className="text-2xl font-black text-indigo-800 tracking-wider mb-1">PREP4IISER</h1>
+                <p className="text-sm text-gray-500 mb-6">Lecture Feedback</p>
+                {body}
+            </div>
+        </div>
+    );
+};
+
+// --- Main App Component ---
+
+const App = () => {
+    // 1. FIREBASE STATE
+    const [db, setDb] = useState(null);
+    const [auth, setAuth] = useState(null);
+    const [userId, setUserId] = useState(null);
+    const [userProfile, setUserProfile] = useState(null); // users/{uid} document: role, teams, mentorId
+    const [isAuthReady, setIsAuthReady] = useState(false);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    // 2. APPLICATION DATA STATE
+    const [mentors, setMentors] = useState([]);
+    const [mentorsLoaded, setMentorsLoaded] = useState(false); // Queued work is only checked against a loaded roster
+    // Raw task documents from the live queries (see Task Queries); use `tasks` below, which merges them and adds student ratings
+    const [taskDocs, setTaskDocs] = useState([]); // Tasks in the reporting period (the latest taskLimit when it is open-ended)
+    const [reviewTaskDocs, setReviewTaskDocs] = useState([]); // Every task still waiting for review
+    const [profileTaskDocs, setProfileTaskDocs] = useState([]); // Latest work of the profile being viewed
+    const [taskLimit, setTaskLimit] = useState(TASK_QUERY_LIMIT);
+    const [profileTaskLimit, setProfileTaskLimit] = useState(PROFILE_TASK_LIMIT);
+    const [taskAggregates, setTaskAggregates] = useState([]); // Cached per-mentor totals, see Task Aggregates
+    const defaultTeams = useMemo(() => ([
+        'Lecture Team',
+        'Content Team (Chapterwise)',
+        'Test Series Team',
+        'Doubt Session Team',
+        'Mentorship Team',
+    ]), []);
+    const [teamDocs, setTeamDocs] = useState(() => defaultTeams.map(name => normalizeTeam('', { name }))); // { id, name, description, leadUserId, leadName, defaultBaseRate, allowedTaskTypes }
+    const teams = useMemo(() => teamDocs.map(team => team.name), [teamDocs]); // Team names, as referenced by mentors
+    const [paymentPolicy, setPaymentPolicy] = useState(DEFAULT_PAYMENT_POLICY);
+    const [syllabus, setSyllabus] = useState(DEFAULT_SYLLABUS); // Catalogue chapters: { id, subject, unit, name }
+    const [payrollPeriods, setPayrollPeriods] = useState([]);
+    const [paymentSlips, setPaymentSlips] = useState([]);
+    const [payouts, setPayouts] = useState([]);
+    const [users, setUsers] = useState([]); // users/{uid} profiles, only loaded for admins
+    const [assignments, setAssignments] = useState([]); // Planned work per mentor; mentors only load their own
+    const [feedbackForms, setFeedbackForms] = useState([]); // One per lecture, keyed by task id
+    const [feedback, setFeedback] = useState([]); // Anonymous student responses to those forms
+    const [auditLog, setAuditLog] = useState([]); // Most recent auditLog entries, only loaded for admins and finance
+    const [taskQueue, setTaskQueue] = useState([]); // Work logged on this device that the server has not acknowledged yet
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
+    const isSyncingRef = useRef(false);
+    // Lecture ratings come from student feedback wherever there is some
+    const tasks = useMemo(
+        () => applyStudentFeedback(mergeTaskLists(taskDocs, reviewTaskDocs, profileTaskDocs), feedback),
+        [taskDocs, reviewTaskDocs, profileTaskDocs, feedback],
+    );
+
+    // 3. UI STATE
+    const [activeTab, setActiveTab] = useState('dashboard'); // dashboard, mentors, teams, tasks, analytics, review, assignments, syllabus, payroll, policy, users, activity, import
+    const [selectedMentor, setSelectedMentor] = useState(null);
+    const [showMentorModal, setShowMentorModal] = useState(false);
+    const [showTeamModal, setShowTeamModal] = useState(false);
+    const [currentMentorData, setCurrentMentorData] = useState({
+        name: '',
+        email: '',
+        baseRate: 10,
+        teams: [],
+        photoURL: 'https://placehold.co/100x100/4F46E5/FFFFFF?text=P4I',
+        status: 'active',
+        joinDate: null,
+        exitDate: null,
+    });
+    const [showArchivedMentors, setShowArchivedMentors] = useState(false); // Directory toggle
+    const [payoutDraft, setPayoutDraft] = useState(null); // Payout being recorded/edited in PayoutModal
+    // This hook state was causing the hook order issue and must be declared at the top level
+    const [taskMentor, setTaskMentor] = useState(null); 
+    const [taskAssignment, setTaskAssignment] = useState(null); // Assignment that new work in TaskModal is logged against
+    const [editingTask, setEditingTask] = useState(null); // Task being corrected in TaskModal
+    const [reportPeriod, setReportPeriod] = useState({ type: 'all', periodId: '', from: '', to: '' }); // Global period selector
+
+    // --- FIREBASE INITIALIZATION & AUTH ---
+    useEffect(() => {
+        // Enable Firebase debug logging for better error visibility
+        setLogLevel('debug');
+        
+        if (!firebaseConfig) {
+            setError("Firebase configuration is missing.");
+            setIsLoading(false);
+            return;
+        }
+
+        try {
+            const app = initializeApp(firebaseConfig);
+            const firestore = getFirestore(app);
+            const authInstance = getAuth(app);
+            // Effects run twice in StrictMode, and the emulators can only be connected once per instance
+            if (isEmulatorMode && !authInstance.emulatorConfig) {
+                connectAuthEmulator(authInstance, `http://${EMULATOR_HOST}:9099`, { disableWarnings: true });
+                connectFirestoreEmulator(firestore, EMULATOR_HOST, 8080);
+            }
+
+            setDb(firestore);
+            setAuth(authInstance);
+
+            const unsubscribe = onAuthStateChanged(authInstance, (user) => {
+                // Signed-out users get the LoginScreen; only students on a feedback link are signed in anonymously
+                setUserId(user ? user.uid : null);
+                if (!user) setUserProfile(null);
+                setIsAuthReady(true);
+                setIsLoading(false);
+            });
+
+            // Handle custom token sign-in
+            const handleSignIn = async () => {
+                try {
+                    await signInWithCustomToken(authInstance, initialAuthToken);
+                } catch (e) {
+                    console.error("Custom token sign-in failed, falling back to the login screen:", e);
+                }
+            };
+
+            if (initialAuthToken) {
+                handleSignIn();
+            }
+
+            return () => unsubscribe();
+        } catch (e) {
+            console.error("Firebase Initialization Error:", e);
+            setError("Failed to initialize Firebase services.");
+            setIsLoading(false);
+        }
+    }, []);
+
+    // --- USER PROFILE (ROLE) LISTENER ---
+    useEffect(() => {
+        // Students answering a feedback form never get a profile
+        if (!db || !auth || !userId || feedbackFormId) return;
+
+        const profileRef = doc(db, `/artifacts/${appId}/public/data/users/${userId}`);
+
+        // A verified email that matches a mentor document links the account to that mentor;
+        // anyone else registers as pending so an admin can assign a role
+        const linkOrRegister = async (exists) => {
+            const user = auth.currentUser;
+            const profileData = {
+                email: user?.email || '',
+                displayName: user?.displayName || '',
+            };
+            try {
+                if (user?.email && user.emailVerified) {
+                    const matches = await getDocs(query(
+                        collection(db, `/artifacts/${appId}/public/data/mentors`),
+                        where('email', '==', user.email.toLowerCase())
+                    ));
+                    if (!matches.empty) {
+                        await setDoc(profileRef, {
+                            ...profileData,
+                            role: 'mentor',
+                            mentorId: matches.docs[0].id,
+                            linkedAt: serverTimestamp(),
+                        }, { merge: true });
+                        return;
+                    }
+                }
+                if (!exists) {
+                    await setDoc(profileRef, { ...profileData, role: 'pending', createdAt: serverTimestamp() });
+                }
+            } catch (e) {
+                console.error("Failed to register user profile:", e);
+            }
+        };
+
+        const unsubscribeProfile = onSnapshot(profileRef, (docSnap) => {
+            if (docSnap.exists()) {
+                setUserProfile({ id: docSnap.id, ...docSnap.data() });
+                if (docSnap.data().role === 'pending') linkOrRegister(true);
+                return;
+            }
+            linkOrRegister(false);
+        }, (err) => console.error("User Profile Snapshot Error:", err));
+
+        return () => unsubscribeProfile();
+    }, [db, auth, userId]);
+
+    // --- CONNECTIVITY & OFFLINE QUEUE ---
+    useEffect(() => {
+        const goOnline = () => setIsOnline(true);
+        const goOffline = () => setIsOnline(false);
+        window.addEventListener('online', goOnline);
+        window.addEventListener('offline', goOffline);
+        return () => {
+            window.removeEventListener('online', goOnline);
+            window.removeEventListener('offline', goOffline);
+        };
+    }, []);
+
+    useEffect(() => {
+        setTaskQueue(userId ? loadTaskQueue(userId) : []);
+    }, [userId]);
+
+    const can = useCallback((permission) => hasPermission(userProfile, permission), [userProfile]);
+    const userRole = userProfile?.role;
+    const canViewPayouts = hasPermission(userProfile, 'viewPayouts');
+    const canViewAuditLog = hasPermission(userProfile, 'viewAuditLog');
+    // Mentors only ever load their own mentor record, tasks, slips and payouts
+    const ownMentorId = userRole === 'mentor' ? userProfile.mentorId || null : null;
+
+    // --- FIRESTORE DATA LISTENERS ---
+    useEffect(() => {
+        // IMPORTANT: Prevent Firestore queries before authentication and role assignment are confirmed
+        if (!db || !isAuthReady || !userId || !userRole || userRole === 'pending' || (userRole === 'mentor' && !ownMentorId)) {
+            console.log("Waiting for DB, Auth or Role readiness. DB:", !!db, "AuthReady:", isAuthReady, "UserID:", !!userId, "Role:", userRole);
+            return;
+        }
+        console.log("Authentication complete. Attaching Firestore listeners.");
+
+        const pathPrefix = `/artifacts/${appId}/public/data`;
+
+        // 1. Teams Listener (Public Data) - one document per team
+        const teamsRef = collection(db, `${pathPrefix}/teams`);
+        
+        // Create the team documents on an admin's first load, carrying over the old settings/teams name list
+        const checkAndSeedTeams = async () => {
+             try {
+                if (userRole !== 'admin') return;
+                const existing = await getDocs(teamsRef);
+                if (!existing.empty) return;
+                const legacySnap = await getDoc(doc(db, `${pathPrefix}/settings/teams`));
+                const names = legacySnap.exists() && legacySnap.data().list ? legacySnap.data().list : defaultTeams;
+                console.log("Teams collection empty. Seeding it from", legacySnap.exists() ? "settings/teams." : "the default teams.");
+                const batch = writeBatch(db);
+                names.forEach(name => {
+                    batch.set(doc(teamsRef), { ...getTeamFields({ name }), createdAt: serverTimestamp() });
+                });
+                await batch.commit();
+            } catch (e) {
+                // This is expected to fail if permissions are missing for both read and write
+                console.error("Failed to seed teams (likely permission issue):", e);
+            }
+        }
+        checkAndSeedTeams();
+
+
+        const unsubscribeTeams = onSnapshot(teamsRef, (snapshot) => {
+            // Until an admin has seeded the collection everyone sees the default teams
+            setTeamDocs(snapshot.empty
+                ? defaultTeams.map(name => normalizeTeam('', { name }))
+                : snapshot.docs.map(doc => normalizeTeam(doc.id, doc.data())).sort((a, b) => a.name.localeCompare(b.name)));
+        }, (err) => console.error("Teams Snapshot Error:", err));
+
+        // 1b. Payment Policy Listener (Public Data) - falls back to DEFAULT_PAYMENT_POLICY until saved
+        const policyRef = doc(db, `${pathPrefix}/settings/paymentPolicy`);
+        const unsubscribePolicy = onSnapshot(policyRef, (docSnap) => {
+            setPaymentPolicy(docSnap.exists() ? normalizePaymentPolicy(docSnap.data()) : DEFAULT_PAYMENT_POLICY);
+        }, (err) => console.error("Payment Policy Snapshot Error:", err));
+
+        // 1c. Syllabus Listener (Public Data) - falls back to DEFAULT_SYLLABUS until saved
+        const syllabusRef = doc(db, `${pathPrefix}/settings/syllabus`);
+        const unsubscribeSyllabus = onSnapshot(syllabusRef, (docSnap) => {
+            setSyllabus(docSnap.exists() && docSnap.data().chapters ? docSnap.data().chapters : DEFAULT_SYLLABUS);
+        }, (err) => console.error("Syllabus Snapshot Error:", err));
+
+        // Restricts a collection to the signed-in mentor's own documents (no-op for other roles)
+        const scopeToOwnMentor = (ref) => (ownMentorId ? query(ref, where('mentorId', '==', ownMentorId)) : ref);
+
+        // 2. Mentors Listener (Public Data)
+        const toMentor = (docSnap) => ({
+            id: docSnap.id,
+            ...docSnap.data(),
+            teams: docSnap.data().teams || [],
+            joinDate: docSnap.data().joinDate?.toDate() || null,
+            exitDate: docSnap.data().exitDate?.toDate() || null,
+        });
+        const mentorsRef = collection(db, `${pathPrefix}/mentors`);
+        const unsubscribeMentors = ownMentorId
+            ? onSnapshot(doc(mentorsRef, ownMentorId), (docSnap) => {
+                setMentors(docSnap.exists() ? [toMentor(docSnap)] : []);
+                setMentorsLoaded(true);
+            }, (err) => console.error("Mentor Snapshot Error:", err))
+            : onSnapshot(mentorsRef, (snapshot) => {
+                setMentors(snapshot.docs.map(toMentor));
+                setMentorsLoaded(true);
+            }, (err) => console.error("Mentors Snapshot Error:", err));
+
+        // 3. Tasks, their student feedback and task aggregates are queried separately, driven by the reporting period (see below)
+
+        // 4. Payroll Periods Listener (Public Data)
+        const periodsRef = collection(db, `${pathPrefix}/payrollPeriods`);
+        const unsubscribePeriods = onSnapshot(periodsRef, (snapshot) => {
+            const periodList = snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data(),
+                startDate: doc.data().startDate?.toDate(),
+                endDate: doc.data().endDate?.toDate(),
+            }));
+            setPayrollPeriods(periodList.sort((a, b) => b.startDate - a.startDate)); // Most recent first
+        }, (err) => console.error("Payroll Periods Snapshot Error:", err));
+
+        // 5. Payment Slips Listener (Public Data) - slips are written once when a period is locked
+        // Slips and payouts are only readable by roles that can view payouts, and by mentors for their own
+        const noop = () => {};
+        const canLoadPay = canViewPayouts || !!ownMentorId;
+        const slipsRef = collection(db, `${pathPrefix}/paymentSlips`);
+        const unsubscribeSlips = !canLoadPay ? noop : onSnapshot(scopeToOwnMentor(slipsRef), (snapshot) => {
+            const slipList = snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data(),
+                startDate: doc.data().startDate?.toDate(),
+                endDate: doc.data().endDate?.toDate(),
+                tasks: (doc.data().tasks || []).map(task => ({ ...task, date: task.date?.toDate() })),
+            }));
+            setPaymentSlips(slipList.sort((a, b) => b.startDate - a.startDate));
+        }, (err) => console.error("Payment Slips Snapshot Error:", err));
+
+        // 6. Payouts Listener (Public Data) - one record per mentor per period
+        const payoutsRef = collection(db, `${pathPrefix}/payouts`);
+        const unsubscribePayouts = !canLoadPay ? noop : onSnapshot(scopeToOwnMentor(payoutsRef), (snapshot) => {
+            const payoutList = snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data(),
+                paidOn: doc.data().paidOn?.toDate(),
+            }));
+            setPayouts(payoutList);
+        }, (err) => console.error("Payouts Snapshot Error:", err));
+
+        // 7. Users Listener (Admin only) - for role assignment
+        const usersRef = collection(db, `${pathPrefix}/users`);
+        const unsubscribeUsers = userRole !== 'admin' ? noop : onSnapshot(usersRef, (snapshot) => {
+            setUsers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => console.error("Users Snapshot Error:", err));
+
+        // 8. Assignments Listener (Public Data) - planned work, scoped like tasks
+        const assignmentsRef = collection(db, `${pathPrefix}/assignments`);
+        const unsubscribeAssignments = onSnapshot(scopeToOwnMentor(assignmentsRef), (snapshot) => {
+            const assignmentList = snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data(),
+                dueDate: doc.data().dueDate?.toDate(),
+            }));
+            setAssignments(assignmentList.sort((a, b) => a.dueDate - b.dueDate)); // Soonest due first
+        }, (err) => console.error("Assignments Snapshot Error:", err));
+
+        // 9. Audit Log Listener (Admin/Finance only) - newest first, capped so the Activity tab stays fast
+        const auditQuery = query(collection(db, `${pathPrefix}/auditLog`), orderBy('at', 'desc'), limit(AUDIT_LOG_LIMIT));
+        const unsubscribeAudit = !canViewAuditLog ? noop : onSnapshot(auditQuery, (snapshot) => {
+            setAuditLog(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), at: doc.data().at?.toDate() })));
+        }, (err) => console.error("Audit Log Snapshot Error:", err));
+
+        return () => {
+            unsubscribeTeams();
+            unsubscribePolicy();
+            unsubscribeSyllabus();
+            unsubscribeMentors();
+            unsubscribePeriods();
+            unsubscribeSlips();
+            unsubscribePayouts();
+            unsubscribeUsers();
+            unsubscribeAssignments();
+            unsubscribeAudit();
+        };
+    }, [db, isAuthReady, userId, userRole, ownMentorId, canViewPayouts, canViewAuditLog, defaultTeams]);
+
+    // Everything on the dashboard, directory, team cards and profiles is cut to the selected reporting period
+    const reportRange = useMemo(() => resolveReportRange(reportPeriod, payrollPeriods), [reportPeriod, payrollPeriods]);
+    // Scope whose stored aggregates stand in for the period's figures: all time or a payroll cycle
+    const reportAggregateScope = reportPeriod.type === 'all' ? ALL_TIME_SCOPE : (reportPeriod.type === 'payroll' && reportPeriod.periodId) || null;
+    const profileMentorId = selectedMentor?.id || ownMentorId;
+
+    // --- TASK QUERY LISTENERS ---
+    // Same readiness rule as the listeners above; the range is passed as numbers so a new but equal
+    // reportRange object doesn't restart the query
+    const isTaskQueryReady = !!db && isAuthReady && !!userId && !!userRole && userRole !== 'pending' && !(userRole === 'mentor' && !ownMentorId);
+    const rangeStartMs = reportRange.start ? reportRange.start.getTime() : null;
+    const rangeEndMs = reportRange.end ? reportRange.end.getTime() : null;
+
+    // 3a. Tasks in the reporting period; an open-ended period loads the newest taskLimit tasks
+    useEffect(() => {
+        if (!isTaskQueryReady) return;
+        const tasksRef = collection(db, `/artifacts/${appId}/public/data/tasks`);
+        const taskQuery = buildTaskQuery(tasksRef, {
+            mentorId: ownMentorId,
+            start: rangeStartMs === null ? null : new Date(rangeStartMs),
+            end: rangeEndMs === null ? null : new Date(rangeEndMs),
+            max: rangeStartMs === null ? taskLimit : null,
+        });
+        return onSnapshot(taskQuery, (snapshot) => {
+            setTaskDocs(snapshot.docs.map(toTask));
+        }, (err) => console.error("Tasks Snapshot Error:", err));
+    }, [db, isTaskQueryReady, ownMentorId, rangeStartMs, rangeEndMs, taskLimit]);
+
+    // 3b. Open review queue, whatever its dates
+    useEffect(() => {
+        if (!isTaskQueryReady) return;
+        const tasksRef = collection(db, `/artifacts/${appId}/public/data/tasks`);
+        return onSnapshot(buildTaskQuery(tasksRef, { mentorId: ownMentorId, statuses: OPEN_REVIEW_STATUSES }), (snapshot) => {
+            setReviewTaskDocs(snapshot.docs.map(toTask));
+        }, (err) => console.error("Review Tasks Snapshot Error:", err));
+    }, [db, isTaskQueryReady, ownMentorId]);
+
+    // 3c. Latest work of the profile on screen, profileTaskLimit at a time
+    useEffect(() => {
+        setProfileTaskLimit(PROFILE_TASK_LIMIT);
+    }, [profileMentorId]);
+    useEffect(() => {
+        if (!isTaskQueryReady || !profileMentorId) {
+            setProfileTaskDocs([]);
+            return;
+        }
+        const tasksRef = collection(db, `/artifacts/${appId}/public/data/tasks`);
+        return onSnapshot(buildTaskQuery(tasksRef, { mentorId: profileMentorId, max: profileTaskLimit }), (snapshot) => {
+            setProfileTaskDocs(snapshot.docs.map(toTask));
+        }, (err) => console.error("Profile Tasks Snapshot Error:", err));
+    }, [db, isTaskQueryReady, profileMentorId, profileTaskLimit]);
+
+    // 3d. Feedback forms and student responses for the lectures loaded above, scoped like tasks
+    const lectureIdsKey = useMemo(() => mergeTaskLists(taskDocs, reviewTaskDocs, profileTaskDocs)
+        .filter(task => task.taskType === 'Lecture').map(task => task.id).sort().join(','), [taskDocs, reviewTaskDocs, profileTaskDocs]);
+    useEffect(() => {
+        if (!isTaskQueryReady || !lectureIdsKey) {
+            setFeedbackForms([]);
+            setFeedback([]);
+            return;
+        }
+        const chunks = chunkList(lectureIdsKey.split(','));
+        const formChunks = chunks.map(() => []);
+        const responseChunks = chunks.map(() => []);
+        const unsubscribes = chunks.flatMap((taskIds, i) => {
+            const constraints = [where('taskId', 'in', taskIds)];
+            if (ownMentorId) constraints.push(where('mentorId', '==', ownMentorId));
+            return [
+                onSnapshot(query(collection(db, `/artifacts/${appId}/public/data/feedbackForms`), ...constraints), (snapshot) => {
+                    formChunks[i] = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                    setFeedbackForms(formChunks.flat());
+                }, (err) => console.error("Feedback Forms Snapshot Error:", err)),
+                onSnapshot(query(collection(db, `/artifacts/${appId}/public/data/feedback`), ...constraints), (snapshot) => {
+                    responseChunks[i] = snapshot.docs.map(toFeedbackResponse);
+                    setFeedback(responseChunks.flat());
+                }, (err) => console.error("Feedback Snapshot Error:", err)),
+            ];
+        });
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [db, isTaskQueryReady, ownMentorId, lectureIdsKey]);
+
+    // 3e. Task aggregates for all time, the selected payroll cycle and every open cycle ('in' takes up to 30 values)
+    const aggregateScopeKey = [...new Set([
+        ALL_TIME_SCOPE,
+        ...(reportAggregateScope ? [reportAggregateScope] : []),
+        ...payrollPeriods.filter(period => period.status !== 'locked').map(period => period.id),
+    ])].slice(0, 30).join(',');
+    useEffect(() => {
+        if (!isTaskQueryReady) return;
+        const constraints = [where('scope', 'in', aggregateScopeKey.split(','))];
+        if (ownMentorId) constraints.push(where('mentorId', '==', ownMentorId));
+        return onSnapshot(query(collection(db, `/artifacts/${appId}/public/data/taskAggregates`), ...constraints), (snapshot) => {
+            setTaskAggregates(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => console.error("Task Aggregates Snapshot Error:", err));
+    }, [db, isTaskQueryReady, ownMentorId, aggregateScopeKey]);
+
+    // A mentor's stored aggregate for a scope, or null when it is missing or out of date
+    const getTaskAggregate = useCallback((scope, mentor) => {
+        const aggregate = taskAggregates.find(a => a.id === getAggregateId(scope, mentor.id));
+        return isAggregateCurrent(aggregate) ? aggregate : null;
+    }, [taskAggregates]);
+
+
+    // --- CRUD Operations ---
+
+    // New auditLog document reference, for writes that go into a batch with the change itself
+    const newAuditRef = useCallback(() => doc(collection(db, `/artifacts/${appId}/public/data/auditLog`)), [db]);
+
+    // Append an auditLog entry after a change has been written; a failed log write never undoes the change
+    const recordAudit = useCallback(async (action, target, changes, details) => {
+        if (!db || !userProfile) return;
+        try {
+            await setDoc(newAuditRef(), buildAuditEntry(userProfile, action, target, changes, details));
+        } catch (e) {
+            console.error("Error writing audit log:", e);
+        }
+    }, [db, userProfile, newAuditRef]);
+
+    // One-off read of the feedback forms or responses (mapped with toItem) for the given tasks, scoped like tasks
+    const fetchFeedbackFor = useCallback(async (collectionName, taskIds, toItem) => {
+        const feedbackRef = collection(db, `/artifacts/${appId}/public/data/${collectionName}`);
+        const snapshots = await Promise.all(chunkList(taskIds).map(ids => {
+            const constraints = [where('taskId', 'in', ids)];
+            if (ownMentorId) constraints.push(where('mentorId', '==', ownMentorId));
+            return getDocs(query(feedbackRef, ...constraints));
+        }));
+        return snapshots.flatMap(snapshot => snapshot.docs.map(toItem));
+    }, [db, ownMentorId]);
+
+    // One-off indexed read of tasks outside the live queries (exports, locking, imports), with student ratings applied.
+    // Mentors can only query their own work, so their mentorId is always part of the query.
+    const fetchTasks = useCallback(async (filters = {}) => {
+        const tasksRef = collection(db, `/artifacts/${appId}/public/data/tasks`);
+        const snapshot = await getDocs(buildTaskQuery(tasksRef, { ...filters, mentorId: ownMentorId || filters.mentorId || null }));
+        const fetched = snapshot.docs.map(toTask);
+        const lectureIds = fetched.filter(task => task.taskType === 'Lecture').map(task => task.id);
+        return applyStudentFeedback(fetched, await fetchFeedbackFor('feedback', lectureIds, toFeedbackResponse));
+    }, [db, ownMentorId, fetchFeedbackFor]);
+
+    // Commit a list of batch writes (functions taking the batch) in chunks that fit Firestore's 500-write limit
+    const commitInChunks = useCallback(async (writes) => {
+        for (let i = 0; i < writes.length; i += 400) {
+            const batch = writeBatch(db);
+            writes.slice(i, i + 400).forEach(write => write(batch));
+            await batch.commit();
+        }
+    }, [db]);
+
+    const taskAggregateRef = useCallback((scope, mentorId) => doc(db, `/artifacts/${appId}/public/data/taskAggregates/${getAggregateId(scope, mentorId)}`), [db]);
+
+    // Rebuild every aggregate of a mentor from their whole history: the first time, and on a recalculation.
+    // Months that no longer have any work are zeroed, so the all-time totals stay the sum of the months.
+    const rebuildTaskAggregates = useCallback(async (mentor) => {
+        const mentorTasks = await fetchTasks({ mentorId: mentor.id });
+        const storedSnap = await getDocs(query(collection(db, `/artifacts/${appId}/public/data/taskAggregates`), where('mentorId', '==', mentor.id)));
+        const tasksByScope = { [ALL_TIME_SCOPE]: mentorTasks };
+        storedSnap.docs.map(aggregateDoc => aggregateDoc.data().scope).filter(scope => scope?.startsWith('month-')).forEach(scope => {
+            tasksByScope[scope] = [];
+        });
+        mentorTasks.filter(task => task.date).forEach(task => {
+            const scope = getMonthScope(task.date);
+            (tasksByScope[scope] = tasksByScope[scope] || []).push(task);
+        });
+        payrollPeriods.filter(period => period.status !== 'locked').forEach(period => {
+            tasksByScope[period.id] = mentorTasks.filter(t => isWithinPeriod(t.date, period));
+        });
+        await commitInChunks(Object.entries(tasksByScope).map(([scope, scopeTasks]) => (batch) => batch.set(taskAggregateRef(scope, mentor.id), {
+            ...buildTaskAggregate(scope, mentor, getTaskTotals(scopeTasks)),
+            updatedBy: userId,
+            updatedAt: serverTimestamp(),
+        })));
+    }, [db, userId, payrollPeriods, fetchTasks, commitInChunks, taskAggregateRef]);
+
+    // Bring a mentor's aggregates up to date after a change to work dated `dates`: the months and open payroll
+    // periods covering those dates are rebuilt from their own tasks, and the all-time totals move by the change
+    // in those months. Failures are only logged: the aggregates are a cache, and a recalculation repairs them.
+    // A mentor's own submissions are picked up when a reviewer next touches work in the same month.
+    const refreshTaskAggregates = useCallback(async (mentor, dates = []) => {
+        if (!db || !mentor || !canWriteTaskAggregates(userProfile, mentor)) return;
+        try {
+            if (!isAggregateCurrent(taskAggregates.find(a => a.id === getAggregateId(ALL_TIME_SCOPE, mentor.id)))) {
+                await rebuildTaskAggregates(mentor);
+                return;
+            }
+            const workDates = dates.filter(Boolean);
+            for (const monthScope of new Set(workDates.map(getMonthScope))) {
+                const { start, end } = getMonthRange(monthScope);
+                const totals = getTaskTotals(await fetchTasks({ mentorId: mentor.id, start, end }));
+                // A transaction, so two people refreshing the same month can't both add its change to the all-time totals
+                await runTransaction(db, async (transaction) => {
+                    const monthSnap = await transaction.get(taskAggregateRef(monthScope, mentor.id));
+                    const delta = diffTotals(totals, monthSnap.exists() ? monthSnap.data().totals : {});
+                    const stamp = { updatedBy: userId, updatedAt: serverTimestamp() };
+                    transaction.set(taskAggregateRef(monthScope, mentor.id), { ...buildTaskAggregate(monthScope, mentor, totals), ...stamp });
+                    transaction.set(taskAggregateRef(ALL_TIME_SCOPE, mentor.id), { ...buildTaskAggregate(ALL_TIME_SCOPE, mentor, toIncrements(delta)), ...stamp }, { merge: true });
+                });
+            }
+            const periods = [...new Set(workDates.map(date => getPeriodForDate(payrollPeriods, date)))].filter(period => period && period.status !== 'locked');
+            for (const period of periods) {
+                const periodTasks = (await fetchTasks({ mentorId: mentor.id, start: period.startDate, end: period.endDate })).filter(t => isWithinPeriod(t.date, period));
+                await setDoc(taskAggregateRef(period.id, mentor.id), {
+                    ...buildTaskAggregate(period.id, mentor, getTaskTotals(periodTasks)),
+                    updatedBy: userId,
+                    updatedAt: serverTimestamp(),
+                });
+            }
+        } catch (e) {
+            console.error(`Error refreshing task aggregates for ${mentor.name}:`, e);
+        }
+    }, [db, userId, userProfile, payrollPeriods, taskAggregates, fetchTasks, rebuildTaskAggregates, taskAggregateRef]);
+
+    // Student responses change lecture ratings, which the stored totals carry. A response newer than its mentor's
+    // all-time totals can't be counted in them yet, so whoever may write them refreshes the lecture's month (once a session)
+    const refreshedFeedbackRef = useRef(new Set());
+    useEffect(() => {
+        const datesByMentor = new Map();
+        feedback.forEach(response => {
+            if (refreshedFeedbackRef.current.has(response.id)) return;
+            const task = tasks.find(t => t.id === response.taskId);
+            const mentor = task && mentors.find(m => m.id === task.mentorId);
+            const updatedAt = mentor && taskAggregates.find(a => a.id === getAggregateId(ALL_TIME_SCOPE, mentor.id))?.updatedAt?.toDate();
+            if (!task?.date || !updatedAt || !canWriteTaskAggregates(userProfile, mentor) || !(response.at > updatedAt)) return;
+            refreshedFeedbackRef.current.add(response.id);
+            datesByMentor.set(mentor, [...(datesByMentor.get(mentor) || []), task.date]);
+        });
+        datesByMentor.forEach((dates, mentor) => refreshTaskAggregates(mentor, dates));
+    }, [feedback, tasks, mentors, taskAggregates, userProfile, refreshTaskAggregates]);
+
+    // Rebuild every aggregate this user may write (to pick up new student ratings, or repair a failed refresh)
+    const recalculateTaskAggregates = useCallback(async () => {
+        if (!db || !userProfile) return;
+        const writable = mentors.filter(mentor => canWriteTaskAggregates(userProfile, mentor));
+        for (const mentor of writable) {
+            try {
+                await rebuildTaskAggregates(mentor);
+            } catch (e) {
+                console.error(`Error recalculating task aggregates for ${mentor.name}:`, e);
+            }
+        }
+        console.log(`Task aggregates recalculated for ${writable.length} mentors.`);
+    }, [db, userProfile, mentors, rebuildTaskAggregates]);
+
+    // Save Team (Public Data) - creates or updates one team; a rename is written through to every
+    // mentor, user profile and assignment that refers to the old name. Returns true once saved.
+    const saveTeam = useCallback(async (teamData) => {
+        if (!db || !userId || !can('manageTeams')) return false;
+        const name = teamData.name.trim();
+        const existing = teamDocs.find(team => team.id && team.id === teamData.id);
+        if (!name || teamDocs.some(team => team.name.toLowerCase() === name.toLowerCase() && team.id !== existing?.id)) {
+            console.error("Validation Failed: Team names must be unique and not empty.");
+            return false;
+        }
+        const lead = users.find(u => u.id === teamData.leadUserId);
+        const teamId = existing?.id || crypto.randomUUID();
+        const record = {
+            name,
+            description: (teamData.description || '').trim(),
+            leadUserId: lead?.id || '',
+            leadName: lead ? lead.email || lead.displayName || lead.id : '',
+            defaultBaseRate: teamData.defaultBaseRate > 0 ? teamData.defaultBaseRate : null,
+            allowedTaskTypes: teamData.allowedTaskTypes,
+        };
+        const pathPrefix = `/artifacts/${appId}/public/data`;
+        const renamedFrom = existing && existing.name !== name ? existing.name : null;
+        const references = [];
+        if (renamedFrom) {
+            const rename = (list) => list.map(team => (team === renamedFrom ? name : team));
+            mentors.filter(m => m.teams.includes(renamedFrom)).forEach(m => references.push([`mentors/${m.id}`, { teams: rename(m.teams), lastUpdated: serverTimestamp() }]));
+            users.filter(u => (u.teams || []).includes(renamedFrom)).forEach(u => references.push([`users/${u.id}`, { teams: rename(u.teams) }]));
+            assignments.filter(a => a.team === renamedFrom).forEach(a => references.push([`assignments/${a.id}`, { team: name }]));
+        }
+        // The team lead's review scope has to include the team they lead
+        if (lead?.role === 'lead') references.push([`users/${lead.id}`, { teams: arrayUnion(name) }]);
+        try {
+            await commitInChunks([
+                (batch) => batch.set(doc(db, `${pathPrefix}/teams/${teamId}`), {
+                    ...record,
+                    ...(existing ? {} : { createdAt: serverTimestamp() }),
+                    lastUpdated: serverTimestamp(),
+                }, { merge: true }),
+                (batch) => batch.set(newAuditRef(), buildAuditEntry(
+                    userProfile,
+                    !existing ? 'team.create' : renamedFrom ? 'team.rename' : 'team.update',
+                    { type: 'team', id: teamId, name },
+                    diffFields(existing || {}, record, TEAM_AUDIT_FIELDS),
+                    renamedFrom ? { renamedFrom, updatedReferences: references.length } : null,
+                )),
+                ...references.map(([path, data]) => (batch) => batch.update(doc(db, `${pathPrefix}/${path}`), data)),
+            ]);
+            return true;
+        } catch (e) {
+            console.error("Error saving team:", e);
+            setError("Failed to save team.");
+            return false;
+        }
+    }, [db, userId, userProfile, can, teamDocs, users, mentors, assignments, newAuditRef, commitInChunks]);
+
+    // Delete Team (Public Data) - mentors and user profiles drop the team; assignments keep the name as history
+    const deleteTeam = useCallback(async (team) => {
+        if (!db || !userId || !can('manageTeams') || !team.id) return;
+        if (teamDocs.length <= 1) {
+            console.error("Validation Failed: Keep at least one team.");
+            return;
+        }
+        if (!window.confirm(`Delete the team "${team.name}"? Mentors and team leads will be removed from it.`)) return;
+        const pathPrefix = `/artifacts/${appId}/public/data`;
+        const without = (list) => list.filter(name => name !== team.name);
+        try {
+            await commitInChunks([
+                (batch) => batch.delete(doc(db, `${pathPrefix}/teams/${team.id}`)),
+                (batch) => batch.set(newAuditRef(), buildAuditEntry(userProfile, 'team.delete', { type: 'team', id: team.id, name: team.name }, diffFields(team, {}, TEAM_AUDIT_FIELDS))),
+                ...mentors.filter(m => m.teams.includes(team.name)).map(m => (batch) => (
+                    batch.update(doc(db, `${pathPrefix}/mentors/${m.id}`), { teams: without(m.teams), lastUpdated: serverTimestamp() })
+                )),
+                ...users.filter(u => (u.teams || []).includes(team.name)).map(u => (batch) => (
+                    batch.update(doc(db, `${pathPrefix}/users/${u.id}`), { teams: without(u.teams) })
+                )),
+            ]);
+        } catch (e) {
+            console.error("Error deleting team:", e);
+            setError("Failed to delete team.");
+        }
+    }, [db, userId, userProfile, can, teamDocs, mentors, users, newAuditRef, commitInChunks]);
+
+    // Save Payment Policy (Public Data)
+    // Every save bumps the version and archives a copy under settings/paymentPolicy/versions
+    const savePaymentPolicy = useCallback(async (policyData) => {
+        if (!db || !userId || !can('editRates')) return;
+        const policyRef = doc(db, `/artifacts/${appId}/public/data/settings/paymentPolicy`);
+        try {
+            // The version is read and bumped in one transaction, so two people saving at once can't both write it
+            await runTransaction(db, async (transaction) => {
+                const currentSnap = await transaction.get(policyRef);
+                const current = currentSnap.exists() ? normalizePaymentPolicy(currentSnap.data()) : DEFAULT_PAYMENT_POLICY;
+                const version = (current.version || 0) + 1;
+                const policyDoc = {
+                    ...normalizePaymentPolicy(policyData),
+                    version,
+                    updatedBy: userId,
+                    lastUpdated: serverTimestamp(),
+                };
+                transaction.set(doc(db, `/artifacts/${appId}/public/data/settings/paymentPolicy/versions/v${version}`), policyDoc);
+                transaction.set(policyRef, policyDoc);
+                transaction.set(newAuditRef(), buildAuditEntry(userProfile, 'policy.update', { type: 'policy', id: `v${version}`, name: `Payment policy v${version}` }, diffFields(current, policyDoc, POLICY_AUDIT_FIELDS)));
+            });
+        } catch (e) {
+            console.error("Error saving payment policy:", e);
+            setError("Failed to save payment policy.");
+        }
+    }, [db, userId, userProfile, can, newAuditRef]);
+
+    // Save Syllabus Catalogue (Public Data) - `chapter` is the one added or removed, for the audit log
+    const saveSyllabus = useCallback(async (newSyllabus, action, chapter) => {
+        if (!db || !userId || !can('manageSyllabus')) return;
+        try {
+            await setDoc(doc(db, `/artifacts/${appId}/public/data/settings/syllabus`), { chapters: newSyllabus, lastUpdated: serverTimestamp() });
+            const fields = ['subject', 'unit', 'name'];
+            await recordAudit(action, { type: 'syllabus', id: chapter.id, name: chapter.name },
+                action === 'syllabus.remove' ? diffFields(chapter, {}, fields) : diffFields({}, chapter, fields));
+        } catch (e) {
+            console.error("Error saving syllabus:", e);
+            setError("Failed to save syllabus.");
+        }
+    }, [db, userId, can, recordAudit]);
+
+
+    // Add/Update Mentor (Public Data)
+    const updateMentor = useCallback(async (mentorData) => {
+        if (!db || !userId || !(can('manageMentors') || can('editRates'))) return;
+        try {
+            const mentorId = mentorData.id || crypto.randomUUID();
+            const mentorRef = doc(db, `/artifacts/${appId}/public/data/mentors/${mentorId}`);
+            const existing = mentors.find(m => m.id === mentorData.id) || {};
+            const target = { type: 'mentor', id: mentorId, name: mentorData.name || existing.name };
+            if (!can('manageMentors')) {
+                // Rate editors (finance) may only change an existing mentor's base rate
+                if (!mentorData.id) return;
+                await updateDoc(mentorRef, { baseRate: mentorData.baseRate, lastUpdated: serverTimestamp() });
+                await recordAudit('mentor.update', target, diffFields(existing, mentorData, ['baseRate']));
+                setShowMentorModal(false);
+                return;
+            }
+            const status = mentorData.status || 'active';
+            // Only leavers have an exit date; switching a mentor back to active clears it
+            const hasExited = MENTOR_EXIT_STATUSES.includes(status);
+            const mentorRecord = {
+                name: mentorData.name,
+                email: (mentorData.email || '').trim().toLowerCase(), // Matched against sign-in emails
+                baseRate: mentorData.baseRate || 10,
+                teams: mentorData.teams || [],
+                photoURL: mentorData.photoURL || 'https://placehold.co/100x100/4F46E5/FFFFFF?text=P4I',
+                status,
+                joinDate: mentorData.joinDate || null,
+                // Leaving without an exit date records today as the last day
+                exitDate: hasExited ? (mentorData.exitDate || new Date()) : null,
+            };
+            await setDoc(mentorRef, { ...mentorRecord, lastUpdated: serverTimestamp() }, { merge: true });
+            const changes = diffFields(existing, mentorRecord, MENTOR_AUDIT_FIELDS);
+            if (!mentorData.id || Object.keys(changes).length > 0) {
+                await recordAudit(mentorData.id ? 'mentor.update' : 'mentor.create', target, changes);
+            }
+            setShowMentorModal(false);
+        } catch (e) {
+            console.error("Error saving mentor:", e);
+            setError("Failed to save mentor.");
+        }
+    }, [db, userId, can, mentors, recordAudit]);
+
+    // Permanently Delete Mentor (Admin only, Public Data) - leaving mentors are archived instead.
+    // Only archived mentors without any payment slips, payouts or locked work can be deleted, and the admin has to type the name.
+    const deleteMentor = useCallback(async (mentorId) => {
+        if (!db || !userId || !can('manageMentors')) return;
+        const mentor = mentors.find(m => m.id === mentorId);
+        if (!mentor) return;
+        if (!isArchivedMentor(mentor)) {
+            console.error("Validation Failed: Archive the mentor before deleting them permanently.");
+            return;
+        }
+        if (paymentSlips.some(s => s.mentorId === mentorId) || payouts.some(p => p.mentorId === mentorId)) {
+            console.error("Validation Failed: This mentor has payment slips or payouts; keep them archived to preserve payroll history.");
+            return;
+        }
+        try {
+            const mentorTasks = await fetchTasks({ mentorId });
+            if (mentorTasks.some(t => isTaskLocked(t, payrollPeriods))) {
+                console.error("Validation Failed: This mentor has work in a locked payroll period; keep them archived to preserve payroll history.");
+                return;
+            }
+            if (window.prompt(`This permanently deletes ${mentor.name}, their tasks and their lectures' student feedback. Type the mentor's name to confirm:`) !== mentor.name) return;
+            const byMentor = (collectionName) => getDocs(query(collection(db, `/artifacts/${appId}/public/data/${collectionName}`), where('mentorId', '==', mentorId)));
+            const [aggregatesSnap, formsSnap, responsesSnap] = await Promise.all([byMentor('taskAggregates'), byMentor('feedbackForms'), byMentor('feedback')]);
+
+            // Delete associated tasks, each with its own audit entry (two writes per task, batches hold 500)
+            for (let i = 0; i < mentorTasks.length; i += 250) {
+                const batch = writeBatch(db);
+                mentorTasks.slice(i, i + 250).forEach(task => {
+                    batch.delete(doc(db, `/artifacts/${appId}/public/data/tasks/${task.id}`));
+                    batch.set(newAuditRef(), buildAuditEntry(userProfile, 'task.delete', { type: 'task', id: task.id, name: `${mentor.name}: ${task.description}` }, diffFields(task, {}, TASK_EDITABLE_FIELDS), { reason: 'mentor.delete' }));
+                });
+                await batch.commit();
+            }
+            await commitInChunks([...responsesSnap.docs, ...formsSnap.docs, ...aggregatesSnap.docs].map(snap => (batch) => batch.delete(snap.ref)));
+
+            // The mentor goes last: the rules only let feedback go while its archived mentor is on file,
+            // and a failure part way leaves them in place to delete again
+            await deleteDoc(doc(db, `/artifacts/${appId}/public/data/mentors/${mentorId}`));
+            await recordAudit('mentor.delete', { type: 'mentor', id: mentorId, name: mentor.name }, diffFields(mentor, {}, MENTOR_AUDIT_FIELDS), {
+                deletedTasks: mentorTasks.length,
+                deletedFeedback: responsesSnap.size,
+            });
+
+            console.log(`Mentor ${mentorId} and ${mentorTasks.length} tasks deleted.`);
+        } catch (e) {
+            console.error("Error deleting mentor:", e);
+            setError("Failed to delete mentor.");
+        }
+    }, [db, userId, userProfile, can, mentors, payrollPeriods, paymentSlips, payouts, fetchTasks, recordAudit, newAuditRef, commitInChunks]);
+
+    // Open (creating it on first use) or close a lecture's student feedback form
+    const setFeedbackFormOpen = useCallback(async (task, open) => {
+        const mentor = mentors.find(m => m.id === task.mentorId);
+        if (!db || !userId || !mentor || task.taskType !== 'Lecture') return;
+        const formRef = doc(db, `/artifacts/${appId}/public/data/feedbackForms/${task.id}`);
+        try {
+            if (feedbackForms.some(form => form.id === task.id)) {
+                if (!canReviewWorkFor(userProfile, mentor)) return;
+                await updateDoc(formRef, { open, lastUpdated: serverTimestamp() });
+                return;
+            }
+            if (!open || !canSubmitWorkFor(userProfile, mentor)) return;
+            // Only what a student needs to recognise the session; no pay or review data
+            await setDoc(formRef, {
+                taskId: task.id,
+                mentorId: mentor.id,
+                mentorName: mentor.name,
+                chapterName: task.chapterName || '',
+                description: task.description || '',
+                lectureDate: task.date || serverTimestamp(),
+                open: true,
+                createdBy: userId,
+                createdAt: serverTimestamp(),
+            });
+        } catch (e) {
+            console.error("Error saving feedback form:", e);
+            setError("Failed to update the student feedback form.");
+        }
+    }, [db, userId, userProfile, mentors, feedbackForms]);
+
+    // Writes a queued task under its queue id, then its audit entry and (for lectures) feedback form; throws if the
+    // task write fails or is not acknowledged in time. The same id on every attempt means a retry can't duplicate it.
+    // taskData.date is the work date picked in TaskModal; submittedAt records when it reached the server.
+    const writeNewTask = useCallback(async (mentor, taskData, taskId, extraFields = {}) => {
+        await withWriteTimeout(setDoc(doc(db, `/artifacts/${appId}/public/data/tasks/${taskId}`), {
+            ...taskData,
+            // Every task starts in review; only approved tasks count towards pay
+            status: 'Submitted',
+            reviewTrail: [{ status: 'Submitted', comment: '', by: userId, byName: userProfile.email || '', at: new Date() }],
+            submittedAt: serverTimestamp(),
+            submittedBy: userId,
+            ...extraFields,
+        }));
+        // Not awaited: the task is saved, and these report their own errors
+        recordAudit('task.create', { type: 'task', id: taskId, name: `${mentor.name}: ${taskData.description}` }, diffFields({}, taskData, TASK_EDITABLE_FIELDS));
+        if (taskData.taskType === 'Lecture') {
+            setFeedbackFormOpen({ id: taskId, ...taskData }, true);
+        }
+        refreshTaskAggregates(mentor, [taskData.date]);
+    }, [db, userId, userProfile, recordAudit, setFeedbackFormOpen, refreshTaskAggregates]);
+
+    // Whether a queued task reached the server on an attempt that timed out or whose answer was lost
+    const isTaskSaved = useCallback((taskId) => (
+        withWriteTimeout(getDoc(doc(db, `/artifacts/${appId}/public/data/tasks/${taskId}`))).then(snap => snap.exists(), () => false)
+    ), [db]);
+
+    // Offline queue updates are mirrored to localStorage straight away so a reload loses nothing
+    const updateTaskQueue = useCallback((updater) => {
+        setTaskQueue(prev => {
+            const next = updater(prev);
+            saveTaskQueue(userId, next);
+            return next;
+        });
+    }, [userId]);
+
+    const queueTask = useCallback((taskData, conflict = '') => {
+        const entry = { localId: crypto.randomUUID(), taskData, queuedAt: new Date().toISOString(), conflict };
+        updateTaskQueue(prev => [...prev, entry]);
+        return entry;
+    }, [updateTaskQueue]);
+
+    const flagQueuedTask = useCallback((localId, conflict) => {
+        updateTaskQueue(prev => prev.map(e => (e.localId === localId ? { ...e, conflict } : e)));
+    }, [updateTaskQueue]);
+
+    // Queue entries being written right now, which syncTaskQueue leaves alone
+    const inFlightTasksRef = useRef(new Set());
+
+    // Add Task (Public Data) - work is queued first and leaves the local queue only once the server has it,
+    // so nothing is lost to a dropped connection or a write that never comes back
+    const addTask = useCallback(async (taskData) => {
+        const mentor = mentors.find(m => m.id === taskData.mentorId);
+        if (!db || !userId || !mentor || !canSubmitWorkFor(userProfile, mentor)) return;
+        // Work logged against an assignment keeps the assignment's type even if the team has since dropped it
+        if (!taskData.assignmentId && !getAllowedTaskTypes(mentor, teamDocs).some(type => type.value === taskData.taskType)) {
+            console.error(`Validation Failed: ${mentor.name}'s teams do not take '${taskData.taskType}' work.`);
+            return;
+        }
+        // Backdated work may not land in a period that has already been paid out
+        if (isTaskLocked(taskData, payrollPeriods)) {
+            console.error("Validation Failed: The payroll period for this work date is locked.");
+            return;
+        }
+        const entry = queueTask(taskData);
+        if (!navigator.onLine) return;
+        inFlightTasksRef.current.add(entry.localId);
+        try {
+            await writeNewTask(mentor, taskData, entry.localId);
+            updateTaskQueue(prev => prev.filter(e => e.localId !== entry.localId));
+        } catch (e) {
+            console.error("Error adding task, keeping it in the offline queue:", e);
+            if (!isRetryableWriteError(e)) flagQueuedTask(entry.localId, 'The server rejected this entry. Check it, then retry or discard it.');
+        } finally {
+            inFlightTasksRef.current.delete(entry.localId);
+        }
+    }, [db, userId, userProfile, mentors, teamDocs, payrollPeriods, queueTask, flagQueuedTask, updateTaskQueue, writeNewTask]);
+
+    // Submit queued work in the order it was logged. Entries that no longer fit (deleted mentor, locked
+    // period, lost permission) are flagged instead of submitted; a connection error or timeout stops the run.
+    const syncTaskQueue = useCallback(async () => {
+        if (!db || !userProfile || !navigator.onLine || isSyncingRef.current) return;
+        const ready = taskQueue.filter(entry => !entry.conflict && !inFlightTasksRef.current.has(entry.localId));
+        if (ready.length === 0) return;
+        isSyncingRef.current = true;
+        const remove = (localId) => updateTaskQueue(prev => prev.filter(e => e.localId !== localId));
+        try {
+            for (const entry of ready) {
+                const conflict = getQueuedTaskConflict(entry, { mentors, profile: userProfile, payrollPeriods });
+                if (conflict) {
+                    flagQueuedTask(entry.localId, conflict);
+                    continue;
+                }
+                inFlightTasksRef.current.add(entry.localId);
+                try {
+                    const mentor = mentors.find(m => m.id === entry.taskData.mentorId);
+                    // The work keeps the time it was logged, not the time it reached the server
+                    await writeNewTask(mentor, getQueuedTaskData(entry), entry.localId, { queuedAt: new Date(entry.queuedAt) });
+                    remove(entry.localId);
+                } catch (e) {
+                    console.error("Error syncing queued task:", e);
+                    if (isRetryableWriteError(e)) break;
+                    // A second write to a task that already exists is refused, so check before flagging it
+                    if (await isTaskSaved(entry.localId)) remove(entry.localId);
+                    else flagQueuedTask(entry.localId, 'The server rejected this entry. Check it, then retry or discard it.');
+                } finally {
+                    inFlightTasksRef.current.delete(entry.localId);
+                }
+            }
+        } finally {
+            isSyncingRef.current = false;
+        }
+    }, [db, userProfile, taskQueue, mentors, payrollPeriods, updateTaskQueue, flagQueuedTask, writeNewTask, isTaskSaved]);
+
+    useEffect(() => {
+        if (isOnline && mentorsLoaded) syncTaskQueue();
+    }, [isOnline, mentorsLoaded, syncTaskQueue]);
+
+    // Conflict resolution: retry as is, move the work to another mentor, or drop it
+    const retryQueuedTask = useCallback((localId, mentor = null) => {
+        updateTaskQueue(prev => prev.map(e => (e.localId === localId ? {
+            ...e,
+            conflict: '',
+            taskData: mentor ? { ...e.taskData, mentorId: mentor.id, mentorName: mentor.name } : e.taskData,
+        } : e)));
+    }, [updateTaskQueue]);
+
+    const discardQueuedTask = useCallback((localId) => {
+        if (!window.confirm('Discard this unsynced entry? It has not been saved anywhere else.')) return;
+        updateTaskQueue(prev => prev.filter(e => e.localId !== localId));
+    }, [updateTaskQueue]);
+
+
+    // Update Task (Public Data) - writes the change and an append-only taskHistory entry together
+    const updateTask = useCallback(async (task, taskData) => {
+        const mentor = mentors.find(m => m.id === task.mentorId);
+        if (!db || !userId || !mentor || !canEditTask(userProfile, mentor, task) || isTaskLocked(task, payrollPeriods)) return;
+        // Moving the work date must not carry the task into a locked period either
+        if (taskData.date && isTaskLocked(taskData, payrollPeriods)) {
+            console.error("Validation Failed: The payroll period for the new work date is locked.");
+            return;
+        }
+        const changes = diffFields(task, taskData, TASK_EDITABLE_FIELDS.filter(field => field in taskData));
+        if (Object.keys(changes).length === 0) return;
+        try {
+            const batch = writeBatch(db);
+            const update = { ...taskData, lastUpdated: serverTimestamp(), lastUpdatedBy: userId };
+            // A mentor fixing work that was sent back puts it in the review queue again
+            if (!canReviewWorkFor(userProfile, mentor) && getTaskStatus(task) === 'Needs Changes') {
+                update.status = 'Submitted';
+                update.reviewTrail = arrayUnion({ status: 'Submitted', comment: 'Resubmitted after changes', by: userId, byName: userProfile.email || '', at: new Date() });
+            } else if (!canReviewWorkFor(userProfile, mentor) && task.status === 'Pending') {
+                // Legacy 'Pending' work is stored under its current name once its mentor edits it
+                update.status = 'Submitted';
+            }
+            batch.update(doc(db, `/artifacts/${appId}/public/data/tasks/${task.id}`), update);
+            batch.set(doc(collection(db, `/artifacts/${appId}/public/data/taskHistory`)), {
+                taskId: task.id,
+                mentorId: task.mentorId,
+                action: 'update',
+                changes,
+                by: userId,
+                byName: userProfile.email || '',
+                at: serverTimestamp(),
+            });
+            batch.set(newAuditRef(), buildAuditEntry(userProfile, 'task.update', { type: 'task', id: task.id, name: `${mentor.name}: ${task.description}` }, changes));
+            await batch.commit();
+            refreshTaskAggregates(mentor, [task.date, taskData.date].filter(Boolean));
+        } catch (e) {
+            console.error("Error updating task:", e);
+            setError("Failed to update task.");
+        }
+    }, [db, userId, userProfile, mentors, payrollPeriods, newAuditRef, refreshTaskAggregates]);
+
+    // Delete Task (Public Data) - the final state of the task is kept in taskHistory
+    const deleteTask = useCallback(async (task) => {
+        const mentor = mentors.find(m => m.id === task.mentorId);
+        if (!db || !userId || !mentor || !canEditTask(userProfile, mentor, task) || isTaskLocked(task, payrollPeriods)) return;
+        if (!window.confirm(`Delete "${task.description}"? This cannot be undone.`)) return;
+        try {
+            const changes = diffFields(task, {}, TASK_EDITABLE_FIELDS);
+            const batch = writeBatch(db);
+            batch.delete(doc(db, `/artifacts/${appId}/public/data/tasks/${task.id}`));
+            batch.set(doc(collection(db, `/artifacts/${appId}/public/data/taskHistory`)), {
+                taskId: task.id,
+                mentorId: task.mentorId,
+                action: 'delete',
+                changes,
+                by: userId,
+                byName: userProfile.email || '',
+                at: serverTimestamp(),
+            });
+            batch.set(newAuditRef(), buildAuditEntry(userProfile, 'task.delete', { type: 'task', id: task.id, name: `${mentor.name}: ${task.description}` }, changes));
+            await batch.commit();
+            refreshTaskAggregates(mentor, [task.date]);
+        } catch (e) {
+            console.error("Error deleting task:", e);
+            setError("Failed to delete task.");
+        }
+    }, [db, userId, userProfile, mentors, payrollPeriods, newAuditRef, refreshTaskAggregates]);
+
+    // Move a task through review (Admin, or Team Lead for their teams' mentors); every step is appended to reviewTrail
+    const reviewTask = useCallback(async (task, status, comment = '') => {
+        const mentor = mentors.find(m => m.id === task.mentorId);
+        if (!db || !userId || !mentor || !canReviewWorkFor(userProfile, mentor)) return;
+        if (COMMENT_REQUIRED_STATUSES.includes(status) && !comment.trim()) {
+            console.error(`Validation Failed: A comment is required to mark a task as ${status}.`);
+            return;
+        }
+        try {
+            await updateDoc(doc(db, `/artifacts/${appId}/public/data/tasks/${task.id}`), {
+                status,
+                reviewTrail: arrayUnion({ status, comment: comment.trim(), by: userId, byName: userProfile.email || '', at: new Date() }),
+                reviewedBy: userId,
+                reviewedAt: serverTimestamp(),
+            });
+            await recordAudit('task.review', { type: 'task', id: task.id, name: `${mentor.name}: ${task.description}` }, diffFields({ status: getTaskStatus(task) }, { status }, ['status']), comment.trim() ? { comment: comment.trim() } : null);
+            refreshTaskAggregates(mentor, [task.date]);
+        } catch (e) {
+            console.error("Error reviewing task:", e);
+            setError("Failed to update task review.");
+        }
+    }, [db, userId, userProfile, mentors, recordAudit, refreshTaskAggregates]);
+
+    // Import Mentors from CSV (Admin only) - rows come from buildMentorImportRows, duplicates already removed
+    const importMentors = useCallback(async (mentorRows) => {
+        if (!db || !userId || !can('importData') || mentorRows.length === 0) return false;
+        try {
+            const importBatch = crypto.randomUUID();
+            for (let i = 0; i < mentorRows.length; i += 400) {
+                const batch = writeBatch(db);
+                mentorRows.slice(i, i + 400).forEach(mentor => {
+                    batch.set(doc(db, `/artifacts/${appId}/public/data/mentors/${crypto.randomUUID()}`), {
+                        ...mentor,
+                        photoURL: 'https://placehold.co/100x100/4F46E5/FFFFFF?text=P4I',
+                        importBatch,
+                        lastUpdated: serverTimestamp(),
+                    });
+                });
+                await batch.commit();
+            }
+            await recordAudit('mentors.import', { type: 'import', id: importBatch, name: `${mentorRows.length} mentors` }, {}, { count: mentorRows.length });
+            return true;
+        } catch (e) {
+            console.error("Error importing mentors:", e);
+            setError("Failed to import mentors.");
+            return false;
+        }
+    }, [db, userId, can, recordAudit]);
+
+    // Import historical Tasks from CSV (Admin only) - keeps each row's original date; `status` is
+    // 'Approved' for work that was already reviewed outside the app, or 'Submitted' to send it to review
+    const importTasks = useCallback(async (taskRows, status) => {
+        if (!db || !userId || !can('importData') || taskRows.length === 0) return false;
+        try {
+            const importBatch = crypto.randomUUID();
+            const comment = 'Imported from CSV';
+            for (let i = 0; i < taskRows.length; i += 400) {
+                const batch = writeBatch(db);
+                taskRows.slice(i, i + 400).forEach(task => {
+                    batch.set(doc(collection(db, `/artifacts/${appId}/public/data/tasks`)), {
+                        ...task,
+                        status,
+                        reviewTrail: [{ status, comment, by: userId, byName: userProfile.email || '', at: new Date() }],
+                        submittedBy: userId,
+                        importBatch,
+                        importedAt: serverTimestamp(),
+                        submittedAt: serverTimestamp(),
+                    });
+                });
+                await batch.commit();
+            }
+            await recordAudit('tasks.import', { type: 'import', id: importBatch, name: `${taskRows.length} tasks` }, {}, { count: taskRows.length, status });
+            // One aggregate refresh per mentor, covering every open period the imported work falls in
+            for (const mentor of mentors.filter(m => taskRows.some(task => task.mentorId === m.id))) {
+                await refreshTaskAggregates(mentor, taskRows.filter(task => task.mentorId === mentor.id).map(task => task.date));
+            }
+            return true;
+        } catch (e) {
+            console.error("Error importing tasks:", e);
+            setError("Failed to import tasks.");
+            return false;
+        }
+    }, [db, userId, userProfile, can, mentors, recordAudit, refreshTaskAggregates]);
+
+    // Create Assignment (Public Data) - planned work for one mentor, counted against one of their teams
+    const createAssignment = useCallback(async (assignmentData) => {
+        const mentor = mentors.find(m => m.id === assignmentData.mentorId);
+        if (!db || !userId || !mentor || !canAssignWorkTo(userProfile, mentor)) return;
+        try {
+            const assignment = {
+                mentorId: mentor.id,
+                mentorName: mentor.name,
+                team: assignmentData.team,
+                title: assignmentData.title,
+                taskType: assignmentData.taskType,
+                chapterId: assignmentData.chapterId || null,
+                chapterName: assignmentData.chapterName || '',
+                expected: assignmentData.expected,
+                unit: getAssignmentUnit(assignmentData, paymentPolicy),
+                dueDate: assignmentData.dueDate,
+            };
+            const assignmentRef = await addDoc(collection(db, `/artifacts/${appId}/public/data/assignments`), {
+                ...assignment,
+                status: 'open',
+                createdBy: userId,
+                createdAt: serverTimestamp(),
+            });
+            await recordAudit('assignment.create', { type: 'assignment', id: assignmentRef.id, name: `${mentor.name}: ${assignment.title}` }, diffFields({}, assignment, ['title', 'taskType', 'chapterId', 'chapterName', 'expected', 'unit', 'dueDate', 'team']));
+        } catch (e) {
+            console.error("Error creating assignment:", e);
+            setError("Failed to create assignment.");
+        }
+    }, [db, userId, userProfile, mentors, paymentPolicy, recordAudit]);
+
+    // Close (complete/cancel) or reopen an assignment
+    const updateAssignmentStatus = useCallback(async (assignment, status) => {
+        const mentor = mentors.find(m => m.id === assignment.mentorId);
+        if (!db || !userId || !mentor || !canAssignWorkTo(userProfile, mentor)) return;
+        try {
+            await updateDoc(doc(db, `/artifacts/${appId}/public/data/assignments/${assignment.id}`), {
+                status,
+                lastUpdated: serverTimestamp(),
+                lastUpdatedBy: userId,
+            });
+            await recordAudit('assignment.status', { type: 'assignment', id: assignment.id, name: `${mentor.name}: ${assignment.title}` }, diffFields(assignment, { status }, ['status']));
+        } catch (e) {
+            console.error("Error updating assignment:", e);
+            setError("Failed to update assignment.");
+        }
+    }, [db, userId, userProfile, mentors, recordAudit]);
+
+    // Create Payroll Period (Public Data)
+    const createPayrollPeriod = useCallback(async (periodData) => {
+        if (!db || !userId || !can('managePayroll')) return;
+        try {
+            const periodRef = await addDoc(collection(db, `/artifacts/${appId}/public/data/payrollPeriods`), {
+                ...periodData,
+                status: 'open',
+                createdBy: userId,
+                createdAt: serverTimestamp(),
+            });
+            await recordAudit('payroll.create', { type: 'payrollPeriod', id: periodRef.id, name: periodData.name }, diffFields({}, { ...periodData, status: 'open' }, ['name', 'startDate', 'endDate', 'status']));
+        } catch (e) {
+            console.error("Error creating payroll period:", e);
+            setError("Failed to create payroll period.");
+        }
+    }, [db, userId, can, recordAudit]);
+
+    // Move a payroll period between open and review (locking goes through lockPayrollPeriod)
+    const updatePayrollPeriodStatus = useCallback(async (periodId, status) => {
+        if (!db || !userId || !can('managePayroll')) return;
+        try {
+            await updateDoc(doc(db, `/artifacts/${appId}/public/data/payrollPeriods/${periodId}`), {
+                status,
+                lastUpdated: serverTimestamp(),
+            });
+            const period = payrollPeriods.find(p => p.id === periodId) || {};
+            await recordAudit('payroll.status', { type: 'payrollPeriod', id: periodId, name: period.name }, diffFields(period, { status }, ['status']));
+        } catch (e) {
+            console.error("Error updating payroll period:", e);
+            setError("Failed to update payroll period.");
+        }
+    }, [db, userId, can, payrollPeriods, recordAudit]);
+
+    // Lock Payroll Period: snapshot every mentor's calculatePayment output and tasks into a slip
+    const lockPayrollPeriod = useCallback(async (period) => {
+        if (!db || !userId || !can('managePayroll')) return;
+        const earlierOpenPeriod = payrollPeriods.find(p => p.status !== 'locked' && p.endDate < period.startDate);
+        if (earlierOpenPeriod) {
+            console.error(`Validation Failed: Lock "${earlierOpenPeriod.name}" first; payroll periods are locked in order.`);
+            return;
+        }
+        try {
+            // Straight from Firestore, so the slips cover every task in the period and not just what is on screen
+            const loadedTasks = (await fetchTasks({ start: period.startDate, end: period.endDate })).filter(t => isWithinPeriod(t.date, period));
+            // Approval decides pay, so every review in the period must be settled before its slips are fixed
+            const openReviewCount = loadedTasks.filter(t => OPEN_REVIEW_STATUSES.includes(t.status)).length;
+            if (openReviewCount > 0) {
+                console.error(`Validation Failed: ${openReviewCount} task(s) in "${period.name}" are still waiting for review.`);
+                return;
+            }
+            if (!window.confirm(`Lock "${period.name}"? Payment slips will be generated from its approved work, which can no longer be changed. Work not approved by now is left unpaid.`)) return;
+            // Only approved work is paid, so only it goes on the slips and is stamped as locked
+            const periodTasks = loadedTasks.filter(isPayableTask);
+            const batch = writeBatch(db);
+            // The period id keeps numbers unique when several custom periods start in the same month
+            const slipPrefix = `P4I-${toDateInputValue(period.startDate).slice(0, 7).replace('-', '')}-${period.id}`;
+            let slipCount = 0;
+
+            mentors.forEach(mentor => {
+                const mentorTasks = periodTasks.filter(t => t.mentorId === mentor.id);
+                if (mentorTasks.length === 0) return;
+                slipCount += 1;
+                batch.set(doc(db, `/artifacts/${appId}/public/data/paymentSlips/${period.id}_${mentor.id}`), {
+                    ...buildPaymentSlip(period, mentor, mentorTasks, paymentPolicy),
+                    slipNumber: `${slipPrefix}-${String(slipCount).padStart(3, '0')}`,
+                    createdBy: userId,
+                    createdAt: serverTimestamp(),
+                });
+            });
+
+            // Ratings are frozen into the slips, so feedback on these lectures closes with the period
+            const periodLectureIds = loadedTasks.filter(t => t.taskType === 'Lecture').map(t => t.id);
+            const periodForms = await fetchFeedbackFor('feedbackForms', periodLectureIds, formDoc => ({ id: formDoc.id, ...formDoc.data() }));
+            periodForms.filter(form => form.open).forEach(form => {
+                batch.update(doc(db, `/artifacts/${appId}/public/data/feedbackForms/${form.id}`), { open: false, lastUpdated: serverTimestamp() });
+            });
+
+            batch.update(doc(db, `/artifacts/${appId}/public/data/payrollPeriods/${period.id}`), {
+                status: 'locked',
+                slipCount,
+                policyVersion: paymentPolicy.version,
+                lockedBy: userId,
+                lockedAt: serverTimestamp(),
+            });
+            // The rules refuse new, moved or changed work dated up to here; periods locked before this was kept are covered too
+            const lockedThrough = getLockedThrough(payrollPeriods);
+            batch.set(doc(db, `/artifacts/${appId}/public/data/settings/payroll`), {
+                lockedThrough: lockedThrough && lockedThrough > period.endDate ? lockedThrough : period.endDate,
+                updatedBy: userId,
+                lastUpdated: serverTimestamp(),
+            });
+            batch.set(newAuditRef(), buildAuditEntry(userProfile, 'payroll.lock', { type: 'payrollPeriod', id: period.id, name: period.name }, diffFields(period, { status: 'locked' }, ['status']), { slipCount, policyVersion: paymentPolicy.version }));
+            // The rules refuse any change to a task carrying `locked`. Stamped first, so a failure leaves the period open to lock again
+            await commitInChunks(periodTasks.map(task => (taskBatch) => taskBatch.update(doc(db, `/artifacts/${appId}/public/data/tasks/${task.id}`), { locked: true, payrollPeriodId: period.id })));
+            await batch.commit();
+            console.log(`Payroll period ${period.id} locked with ${slipCount} slips.`);
+        } catch (e) {
+            console.error("Error locking payroll period:", e);
+            setError("Failed to lock payroll period.");
+        }
+    }, [db, userId, userProfile, can, mentors, payrollPeriods, paymentPolicy, fetchTasks, fetchFeedbackFor, newAuditRef, commitInChunks]);
+
+
+    // Save Payout (Public Data) - keyed by period and mentor so each slip has at most one payout record
+    const savePayout = useCallback(async (payoutData) => {
+        if (!db || !userId || !can('managePayouts')) return;
+        try {
+            const payoutId = `${payoutData.periodId}_${payoutData.mentorId}`;
+            const existing = payouts.find(p => p.id === payoutId);
+            const payoutRef = doc(db, `/artifacts/${appId}/public/data/payouts/${payoutId}`);
+            await setDoc(payoutRef, {
+                mentorId: payoutData.mentorId,
+                mentorName: payoutData.mentorName,
+                periodId: payoutData.periodId,
+                periodName: payoutData.periodName,
+                slipId: payoutData.slipId,
+                amount: payoutData.amount,
+                status: payoutData.status,
+                method: payoutData.method,
+                reference: payoutData.reference || '',
+                paidOn: payoutData.paidOn || null,
+                notes: payoutData.notes || '',
+                updatedBy: userId,
+                lastUpdated: serverTimestamp(),
+            }, { merge: true });
+            await recordAudit(existing ? 'payout.update' : 'payout.create', { type: 'payout', id: payoutId, name: `${payoutData.mentorName} - ${payoutData.periodName}` }, diffFields(existing || {}, {
+                ...payoutData,
+                reference: payoutData.reference || '',
+                paidOn: payoutData.paidOn || null,
+                notes: payoutData.notes || '',
+            }, ['amount', 'status', 'method', 'reference', 'paidOn', 'notes']));
+            setPayoutDraft(null);
+        } catch (e) {
+            console.error("Error saving payout:", e);
+            setError("Failed to save payout.");
+        }
+    }, [db, userId, can, payouts, recordAudit]);
+
+    // Assign a role (and the teams or mentor record it applies to) to a user (Admin only)
+    const saveUserRole = useCallback(async (uid, roleData) => {
+        if (!db || !userId || !can('manageUsers')) return;
+        try {
+            const assignment = {
+                role: roleData.role,
+                teams: roleData.role === 'lead' ? roleData.teams || [] : [],
+                mentorId: roleData.role === 'mentor' ? roleData.mentorId || null : null,
+            };
+            await updateDoc(doc(db, `/artifacts/${appId}/public/data/users/${uid}`), {
+                ...assignment,
+                updatedBy: userId,
+                lastUpdated: serverTimestamp(),
+            });
+            const user = users.find(u => u.id === uid) || {};
+            await recordAudit('user.role', { type: 'user', id: uid, name: user.email }, diffFields(user, assignment, ['role', 'teams', 'mentorId']));
+        } catch (e) {
+            console.error("Error saving user role:", e);
+            setError("Failed to save user role.");
+        }
+    }, [db, userId, can, users, recordAudit]);
+
+    // Start recording a payout for a slip, or edit the existing record for it
+    const openPayoutForSlip = (slip) => {
+        const existing = payouts.find(p => p.slipId === slip.id);
+        setPayoutDraft(existing || {
+            mentorId: slip.mentorId,
+            mentorName: slip.mentorName,
+            periodId: slip.periodId,
+            periodName: slip.periodName,
+            slipId: slip.id,
+            amount: slip.summary.P_final,
+            status: 'pending',
+            method: PAYOUT_METHODS[0],
+            reference: '',
+            paidOn: null,
+            notes: '',
+        });
+    };
+
+
+    // --- View/UI Handlers ---
+
+    const handleEditMentor = (mentor) => {
+        setCurrentMentorData(mentor);
+        setShowMentorModal(true);
+    };
+
+    const handleNewMentor = () => {
+        setCurrentMentorData({
+            name: '',
+            email: '',
+            baseRate: paymentPolicy.defaultRatePerMinute,
+            teams: [],
+            photoURL: 'https://placehold.co/100x100/4F46E5/FFFFFF?text=P4I',
+            status: 'active',
+            joinDate: new Date(),
+            exitDate: null,
+        });
+        setShowMentorModal(true);
+    };
+
+    const handlePhotoUpload = (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            // NOTE: In a production environment, you would upload this to Firebase Storage
+            // and get a URL. Here, we use a simple FileReader to show a local preview.
+            const reader = new FileReader();
+            reader.onloadend = () => {
+                setCurrentMentorData(prev => ({ ...prev, photoURL: reader.result }));
+            };
+            reader.readAsDataURL(file);
+        }
+    };
+
+    // Download payment slips as one PDF, named after the slip (or the period for a batch)
+    const handleDownloadSlips = async (slips, name) => {
+        try {
+            await downloadPaymentSlips(slips, payouts, `${name.replace(/[^a-zA-Z0-9_-]+/g, '-')}.pdf`);
+        } catch (e) {
+            console.error("Error generating payment slip PDF:", e);
+            setError("Failed to generate payment slip PDF.");
+        }
+    };
+
+    // --- Data Processing & Aggregation ---
+
+    const rangeTasks = useMemo(() => tasks.filter(t => isWithinRange(t.date, reportRange)), [tasks, reportRange]);
+
+    // Per-mentor totals for the reporting period, shared by the dashboard, directory and team cards.
+    // All-time and payroll-cycle figures come from the stored task aggregates where they are current;
+    // everything else is computed from the loaded tasks (bounded periods are always loaded in full).
+    const mentorStats = useMemo(() => {
+        const tasksByMentor = rangeTasks.reduce((acc, task) => {
+            (acc[task.mentorId] = acc[task.mentorId] || []).push(task);
+            return acc;
+        }, {});
+        const stats = new Map();
+        const computedPayments = [];
+        mentors.forEach(mentor => {
+            const aggregate = reportAggregateScope ? getTaskAggregate(reportAggregateScope, mentor) : null;
+            if (aggregate) {
+                stats.set(mentor.id, getMentorStatsFromAggregate(aggregate, mentor, paymentPolicy));
+            } else {
+                // Pass mentor.baseRate to the calculation
+                computedPayments.push({ mentorId: mentor.id, payment: calculatePayment(tasksByMentor[mentor.id] || [], mentor.baseRate, paymentPolicy).P_final });
+            }
+        });
+        const computedIds = new Set(computedPayments.map(p => p.mentorId));
+        buildMentorStats(rangeTasks.filter(t => computedIds.has(t.mentorId)), computedPayments).forEach((entry, mentorId) => stats.set(mentorId, entry));
+        return stats;
+    }, [mentors, rangeTasks, reportAggregateScope, getTaskAggregate, paymentPolicy]);
+
+    // Open-ended periods only load the newest taskLimit tasks, so mentors without a current aggregate may be undercounted
+    const isTaskListTruncated = rangeStartMs === null && taskDocs.length >= taskLimit;
+    const missingAggregateCount = reportAggregateScope
+        ? mentors.filter(mentor => !getTaskAggregate(reportAggregateScope, mentor) && (mentorStats.get(mentor.id)?.taskCount || taskAggregates.some(a => a.id === getAggregateId(reportAggregateScope, mentor.id)))).length
+        : 0;
+
+    const dashboardSummary = useMemo(() => {
+        const totalMentors = mentors.filter(m => !isArchivedMentor(m)).length;
+        const mentorTotals = mentors.map(mentor => mentorStats.get(mentor.id) || EMPTY_MENTOR_STATS);
+        const sumOf = (field) => mentorTotals.reduce((sum, entry) => sum + entry[field], 0);
+        const totalTasks = sumOf('taskCount');
+        // The review backlog is a to-do list, so it is never cut to the period
+        const awaitingReview = tasks.filter(t => ['Submitted', 'Under Review'].includes(getTaskStatus(t))).length;
+        const totalLectures = sumOf('lectureCount');
+        const totalMinutes = sumOf('lectureMinutes');
+        
+        // Aggregate all chapters/units completed across all mentors for non-lecture tasks
+        const totalUnits = sumOf('units');
+
+
+        const mentorPayments = mentors.map((mentor, index) => ({
+            mentorId: mentor.id,
+            mentorName: mentor.name,
+            payment: mentorTotals[index].payment,
+        }));
+
+        const totalPayments = mentorPayments.reduce((sum, p) => sum + p.payment, 0);
+        // Payouts belong to payroll cycles; count those whose cycle overlaps the reporting period
+        const isUnbounded = !reportRange.start && !reportRange.end;
+        const rangePayouts = payouts.filter(p => {
+            const period = payrollPeriods.find(pp => pp.id === p.periodId);
+            return period ? periodOverlapsRange(period, reportRange) : isUnbounded;
+        });
+        const sumPayouts = (status) => rangePayouts.filter(p => p.status === status).reduce((sum, p) => sum + (p.amount || 0), 0);
+        const totalPaid = sumPayouts('paid');
+        const totalDisputed = sumPayouts('disputed');
+
+        return {
+            totalMentors,
+            totalTasks,
+            awaitingReview,
+            totalLectures,
+            totalMinutes,
+            totalUnits,
+            totalPayments,
+            totalPaid,
+            totalDisputed,
+            totalOutstanding: Math.max(totalPayments - totalPaid, 0),
+            mentorPayments,
+        };
+    }, [mentors, tasks, mentorStats, reportRange, payouts, payrollPeriods]);
+
+
+    // --- UI Renderers ---
+
+    if (isLoading) {
+        return (
+            <div className="flex items-center justify-center min-h-screen bg-gray-50">
+                <div className="text-xl font-medium text-indigo-600">Loading PREP4IISER System...</div>
+            </div>
+        );
+    }
+
+    if (error) {
+        return (
+            <div className="flex items-center justify-center min-h-screen bg-red-50 text-red-700 p-8">
+                <p>Error: {error}</p>
+            </div>
+        );
+    }
+
+    if (feedbackFormId) {
+        return <StudentFeedbackPage db={db} auth={auth} userId={userId} formId={feedbackFormId} />;
+    }
+
+    if (!userId) {
+        return <LoginScreen auth={auth} />;
+    }
+
+    if (!userProfile || userProfile.role === 'pending' || (userProfile.role === 'mentor' && !ownMentorId)) {
+        const emailUnverified = auth?.currentUser && !auth.currentUser.emailVerified;
+        return (
+            <div className="flex flex-col items-center justify-center min-h-screen bg-gray-50 p-8 text-center">
+                <div className="text-xl font-medium text-indigo-600 mb-2">
+                    {!userProfile
+                        ? 'Loading your profile...'
+                        : userProfile.role === 'mentor'
+                            ? 'Your account is not linked to a mentor record yet.'
+                            : 'Waiting for an admin to assign your role.'}
+                </div>
+                {emailUnverified && (
+                    <p className="text-sm text-yellow-700 mb-2">
+                        Mentors are linked by email: verify your address from the link we sent, then reload this page.
+                    </p>
+                )}
+                <p className="text-sm text-gray-500 mb-4">
+                    Signed in as {auth?.currentUser?.email || userId}. Share your user ID with an admin: <code className="text-xs bg-gray-100 p-1 rounded">{userId}</code>
+                </p>
+                <Button onClick={() => signOut(auth)} className="bg-gray-500 hover:bg-gray-600 text-sm">
+                    Sign Out
+                </Button>
+            </div>
+        );
+    }
+
+    // A. Mentor Modal (Add/Edit)
+    const MentorModal = ({ mentor, onClose }) => {
+        const isEditing = !!mentor.id;
+        const [formData, setFormData] = useState(mentor);
+        const [dateError, setDateError] = useState('');
+        // Rate editors without manageMentors (finance) only get the base rate field
+        const canEditProfile = can('manageMentors');
+
+        const handleChange = (e) => {
             const { name, value, type, checked } = e.target;
             setFormData(prev => ({
                 ...prev,
@@ -540,525 +3164,2657 @@ const App = () => {
             }));
         };
 
-        const handleTeamToggle = (teamName) => {
-            setFormData(prev => {
-                const newTeams = prev.teams.includes(teamName)
-                    ? prev.teams.filter(t => t !== teamName)
-                    : [...prev.teams, teamName];
-                return { ...prev, teams: newTeams };
-            });
+        const handleDateChange = (e) => {
+            const { name, value } = e.target;
+            setFormData(prev => ({ ...prev, [name]: value ? new Date(`${value}T00:00:00`) : null }));
+            setDateError('');
+        };
+
+        const handleTeamToggle = (teamName) => {
+            if (!canEditProfile) return;
+            setFormData(prev => {
+                const newTeams = prev.teams.includes(teamName)
+                    ? prev.teams.filter(t => t !== teamName)
+                    : [...prev.teams, teamName];
+                // New mentors start on their team's default rate; existing rates are never overwritten here
+                const teamRate = isEditing ? null : getTeamDefaultRate(newTeams, teamDocs);
+                return { ...prev, teams: newTeams, ...(teamRate ? { baseRate: teamRate } : {}) };
+            });
+        };
+
+        const handleSubmit = (e) => {
+            e.preventDefault();
+            // The exit date only counts for leavers; it is cleared when a mentor is set back to active
+            const hasExited = MENTOR_EXIT_STATUSES.includes(getMentorStatus(formData));
+            if (hasExited && formData.joinDate && formData.exitDate && formData.exitDate < formData.joinDate) {
+                setDateError('The exit date cannot be before the join date.');
+                return;
+            }
+            updateMentor(formData);
+        };
+
+        return (
+            <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6 animate-fade-in">
+                    <h3 className="text-2xl font-bold text-indigo-800 mb-6 border-b pb-3">{isEditing ? 'Edit Mentor' : 'Add New Mentor'}</h3>
+                    <form onSubmit={handleSubmit}>
+                        <div className="space-y-4">
+                            {/* Photo Upload */}
+                            <div className="flex flex-col items-center">
+                                <img
+                                    src={formData.photoURL}
+                                    alt="Mentor Photo"
+                                    className="w-24 h-24 rounded-full object-cover ring-4 ring-indigo-300 shadow-md mb-3"
+                                />
+                                <input
+                                    type="file"
+                                    id="photo-upload"
+                                    accept="image/*"
+                                    onChange={handlePhotoUpload}
+                                    disabled={!canEditProfile}
+                                    className="hidden"
+                                />
+                                <label
+                                    htmlFor="photo-upload"
+                                    className="cursor-pointer text-sm text-indigo-600 font-medium hover:text-indigo-800 transition"
+                                >
+                                    Change Photo
+                                </label>
+                            </div>
+
+                            <label className="block">
+                                <span className="text-gray-700 font-medium">Name:</span>
+                                <input
+                                    type="text"
+                                    name="name"
+                                    value={formData.name}
+                                    onChange={handleChange}
+                                    disabled={!canEditProfile}
+                                    required
+                                    className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
+                                />
+                            </label>
+
+                            <label className="block">
+                                <span className="text-gray-700 font-medium">Email:</span>
+                                <input
+                                    type="email"
+                                    name="email"
+                                    value={formData.email}
+                                    onChange={handleChange}
+                                    disabled={!canEditProfile}
+                                    className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
+                                />
+                            </label>
+
+                            <label className="block">
+                                <span className="text-gray-700 font-medium">Base Rate (Rs/min):</span>
+                                <input
+                                    type="number"
+                                    name="baseRate"
+                                    value={formData.baseRate}
+                                    onChange={handleChange}
+                                    disabled={!can('editRates')}
+                                    min="1"
+                                    step="0.01"
+                                    required
+                                    className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
+                                />
+                            </label>
+
+                            <div className="grid grid-cols-3 gap-3">
+                                <label className="block">
+                                    <span className="text-gray-700 font-medium">Status:</span>
+                                    <select
+                                        name="status"
+                                        value={getMentorStatus(formData)}
+                                        onChange={handleChange}
+                                        disabled={!canEditProfile}
+                                        className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
+                                    >
+                                        {Object.entries(MENTOR_STATUSES).map(([value, { label }]) => (
+                                            <option key={value} value={value}>{label}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <label className="block">
+                                    <span className="text-gray-700 font-medium">Joined:</span>
+                                    <input
+                                        type="date"
+                                        name="joinDate"
+                                        value={toDateInputValue(formData.joinDate)}
+                                        onChange={handleDateChange}
+                                        disabled={!canEditProfile}
+                                        className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
+                                    />
+                                </label>
+                                <label className="block">
+                                    <span className="text-gray-700 font-medium">Exited:</span>
+                                    <input
+                                        type="date"
+                                        name="exitDate"
+                                        value={toDateInputValue(formData.exitDate)}
+                                        onChange={handleDateChange}
+                                        disabled={!canEditProfile || !MENTOR_EXIT_STATUSES.includes(getMentorStatus(formData))}
+                                        className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
+                                    />
+                                </label>
+                            </div>
+                            {dateError && <p className="text-sm text-red-600">{dateError}</p>}
+                            {getMentorStatus(formData) === 'archived' && (
+                                <p className="text-xs text-gray-500">Archived mentors are hidden from the directory and cannot receive new work. Their history, slips and payouts are kept.</p>
+                            )}
+
+                            <div className="mt-4">
+                                <span className="text-gray-700 font-medium block mb-2">Teams: (Select all that apply)</span>
+                                <div className="flex flex-wrap gap-2 max-h-32 overflow-y-auto p-2 border rounded-lg bg-gray-50">
+                                    {teams.map(team => (
+                                        <div
+                                            key={team}
+                                            onClick={() => handleTeamToggle(team)}
+                                            className={`cursor-pointer px-3 py-1 text-sm rounded-full transition duration-150 ${
+                                                formData.teams.includes(team)
+                                                    ? 'bg-indigo-600 text-white shadow-md'
+                                                    : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                                            }`}
+                                        >
+                                            {team}
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        </div>
+
+                        <div className="flex justify-end space-x-3 mt-6">
+                            <Button type="button" onClick={onClose} className="bg-gray-500 hover:bg-gray-600">
+                                Cancel
+                            </Button>
+                            {isEditing && canEditProfile && isArchivedMentor(mentor) && (
+                                <Button type="button" onClick={() => deleteMentor(mentor.id)} className="bg-red-500 hover:bg-red-600" title="Only for archived mentors without payroll history">
+                                    Delete Permanently
+                                </Button>
+                            )}
+                            <Button type="submit">
+                                {isEditing ? 'Save Changes' : 'Add Mentor'}
+                            </Button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        );
+    };
+
+    // B. Teams Modal (Add/Edit)
+    const TeamsModal = ({ onClose }) => {
+        const emptyTeam = normalizeTeam('', {});
+        const [formData, setFormData] = useState(emptyTeam);
+        const isEditing = !!formData.id;
+        const leadCandidates = users.filter(u => u.role === 'lead' || u.role === 'admin');
+
+        const handleChange = (e) => {
+            const { name, value, type } = e.target;
+            setFormData(prev => ({ ...prev, [name]: type === 'number' ? (value === '' ? null : parseFloat(value)) : value }));
+        };
+
+        const handleTypeToggle = (typeValue) => {
+            setFormData(prev => ({
+                ...prev,
+                allowedTaskTypes: prev.allowedTaskTypes.includes(typeValue)
+                    ? prev.allowedTaskTypes.filter(t => t !== typeValue)
+                    : [...prev.allowedTaskTypes, typeValue],
+            }));
+        };
+
+        const handleSubmit = async (e) => {
+            e.preventDefault();
+            if (formData.allowedTaskTypes.length === 0) {
+                console.error("Validation Failed: A team must allow at least one task type.");
+                return;
+            }
+            if (await saveTeam(formData)) setFormData(emptyTeam);
+        };
+
+        return (
+            <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl p-6 animate-fade-in max-h-[90vh] overflow-y-auto">
+                    <h3 className="text-2xl font-bold text-indigo-800 mb-6 border-b pb-3">Manage Teams/Roles</h3>
+
+                    {/* Add / Edit Team */}
+                    <form onSubmit={handleSubmit} className="mb-6 border p-4 rounded-lg bg-indigo-50 space-y-3">
+                        <h4 className="font-semibold text-lg text-indigo-700">{isEditing ? `Edit "${teamDocs.find(t => t.id === formData.id)?.name}"` : 'Add New Category'}</h4>
+                        <label className="block">
+                            <span className="text-gray-700 font-medium text-sm">Name:</span>
+                            <input
+                                type="text"
+                                name="name"
+                                value={formData.name}
+                                onChange={handleChange}
+                                placeholder="e.g., Curriculum Design"
+                                required
+                                className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
+                            />
+                            {isEditing && formData.name.trim() !== teamDocs.find(t => t.id === formData.id)?.name && (
+                                <span className="text-xs text-amber-700">Renaming updates every mentor, team lead and assignment in this team.</span>
+                            )}
+                        </label>
+                        <label className="block">
+                            <span className="text-gray-700 font-medium text-sm">Description:</span>
+                            <textarea
+                                name="description"
+                                value={formData.description}
+                                onChange={handleChange}
+                                rows={2}
+                                className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
+                            />
+                        </label>
+                        <div className="grid grid-cols-2 gap-3">
+                            <label className="block">
+                                <span className="text-gray-700 font-medium text-sm">Team Lead:</span>
+                                <select
+                                    name="leadUserId"
+                                    value={formData.leadUserId}
+                                    onChange={handleChange}
+                                    className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
+                                >
+                                    <option value="">No lead</option>
+                                    {leadCandidates.map(u => (
+                                        <option key={u.id} value={u.id}>{u.email || u.displayName || u.id} ({u.role})</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label className="block">
+                                <span className="text-gray-700 font-medium text-sm">Default Base Rate (Rs/min):</span>
+                                <input
+                                    type="number"
+                                    name="defaultBaseRate"
+                                    value={formData.defaultBaseRate ?? ''}
+                                    onChange={handleChange}
+                                    min="0"
+                                    step="any"
+                                    placeholder="None"
+                                    className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
+                                />
+                            </label>
+                        </div>
+                        <div>
+                            <span className="text-gray-700 font-medium text-sm">Allowed Task Types:</span>
+                            <div className="mt-1 grid grid-cols-2 gap-1">
+                                {TASK_TYPES.map(type => (
+                                    <label key={type.value} className="flex items-center space-x-2 text-sm">
+                                        <input
+                                            type="checkbox"
+                                            checked={formData.allowedTaskTypes.includes(type.value)}
+                                            onChange={() => handleTypeToggle(type.value)}
+                                            className="form-checkbox h-4 w-4 text-indigo-600 rounded"
+                                        />
+                                        <span>{type.label}</span>
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+                        <div className="flex justify-end space-x-2">
+                            {isEditing && (
+                                <Button onClick={() => setFormData(emptyTeam)} className="bg-gray-500 hover:bg-gray-600">
+                                    Cancel Edit
+                                </Button>
+                            )}
+                            <Button type="submit" disabled={!formData.name.trim()}>
+                                {isEditing ? 'Save Team' : 'Add'}
+                            </Button>
+                        </div>
+                    </form>
+
+                    {/* Current Teams List */}
+                    <div>
+                        <h4 className="font-semibold text-lg mb-3">Current Teams ({teamDocs.length})</h4>
+                        <div className="space-y-2">
+                            {teamDocs.map(team => (
+                                <div key={team.id || team.name} className="flex justify-between items-center bg-gray-100 p-3 rounded-lg shadow-sm">
+                                    <div>
+                                        <span className="font-medium text-gray-800">{team.name}</span>
+                                        <p className="text-xs text-gray-500">
+                                            {team.leadName ? `Lead: ${team.leadName}` : 'No lead'}
+                                            {team.defaultBaseRate ? ` · Default Rs ${team.defaultBaseRate}/min` : ''}
+                                            {` · ${team.allowedTaskTypes.length}/${TASK_TYPES.length} task types`}
+                                        </p>
+                                    </div>
+                                    <div className="flex space-x-2">
+                                        <Button
+                                            onClick={() => setFormData(team)}
+                                            disabled={!team.id}
+                                            title={team.id ? undefined : 'Default teams become editable once an admin has loaded the app'}
+                                            className="bg-indigo-500 hover:bg-indigo-600 px-3 py-1 text-sm"
+                                        >
+                                            Edit
+                                        </Button>
+                                        <Button
+                                            onClick={() => deleteTeam(team)}
+                                            disabled={!team.id}
+                                            className="bg-red-500 hover:bg-red-600 px-3 py-1 text-sm"
+                                        >
+                                            Delete
+                                        </Button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="flex justify-end mt-6">
+                        <Button onClick={onClose} className="bg-indigo-600 hover:bg-indigo-700">
+                            Done
+                        </Button>
+                    </div>
+                </div>
+            </div>
+        );
+    };
+
+    // C. Task/Work Submission Modal
+    // Pass `task` to correct an existing record instead of submitting a new one
+    const TaskModal = ({ mentor, task = null, assignment = null, onClose }) => {
+        const isEditing = !!task;
+        const openAssignments = assignments.filter(a => a.mentorId === mentor.id && a.status === 'open');
+        const allowedTypes = getAllowedTaskTypes(mentor, teamDocs);
+        const now = new Date();
+        const [formData, setFormData] = useState(isEditing ? {
+            workDate: toDateInputValue(task.date),
+            workTime: toTimeInputValue(task.date),
+            durationMinutes: task.durationMinutes ?? null,
+            taskType: task.taskType,
+            description: task.description || '',
+            chapterId: findChapter(syllabus, task)?.id || '', // Older free-text chapters are matched by name
+            minutes: task.minutes || 0,
+            units: getTaskUnits(task) || 1,
+            rating: task.rating ?? null,
+        } : {
+            mentorId: mentor.id,
+            mentorName: mentor.name,
+            assignmentId: assignment?.id || '', // Planned work this task counts towards, if any
+            workDate: toDateInputValue(now), // When the work was performed; may be backdated
+            workTime: toTimeInputValue(now),
+            durationMinutes: null, // Optional time spent on non-lecture work (lectures use minutes)
+            taskType: assignment?.taskType || allowedTypes[0]?.value || 'Lecture',
+            description: '',
+            chapterId: (assignment && findChapter(syllabus, assignment)?.id) || '', // Required for Lecture cap calculation
+            minutes: 0, // Required for Lecture payment
+            units: 1, // Non-lecture tasks, counted in the rate card unit for the task type
+            rating: null, // Admin-only fallback; students rate the lecture through its feedback form
+            status: 'Submitted',
+        });
+
+        const handleChange = (e) => {
+            const { name, value, type } = e.target;
+            setFormData(prev => ({
+                ...prev,
+                [name]: type === 'number' ? (value === '' ? null : parseFloat(value)) : value,
+            }));
+        };
+
+        // Logging against an assignment takes its task type (and chapter, for lectures)
+        const handleAssignmentChange = (e) => {
+            const selected = openAssignments.find(a => a.id === e.target.value);
+            setFormData(prev => ({
+                ...prev,
+                assignmentId: selected?.id || '',
+                taskType: selected ? selected.taskType : prev.taskType,
+                chapterId: (selected && findChapter(syllabus, selected)?.id) || prev.chapterId,
+            }));
+        };
+
+        const handleSubmit = (e) => {
+            e.preventDefault();
+            
+            // Basic validation
+            const needsChapter = CHAPTER_TASK_TYPES.includes(formData.taskType);
+            const chapter = syllabus.find(c => c.id === formData.chapterId);
+            // The date and time inputs only feed workDate; they are not stored on the task
+            const fields = Object.fromEntries(Object.entries(formData).filter(([field]) => !['workDate', 'workTime'].includes(field)));
+            // Lectures already record their duration in minutes
+            const durationMinutes = formData.taskType === 'Lecture' ? null : formData.durationMinutes;
+            const validationError = validateTask({ ...fields, date: workDate, durationMinutes, chapterId: chapter?.id });
+            if (validationError) {
+                console.error(`Validation Failed: ${validationError}`);
+                return;
+            }
+            if (isLocked) {
+                console.error("Validation Failed: The payroll period for this work is locked.");
+                return;
+            }
+            
+            // The catalogue name is stored alongside the id so older views and exports keep working
+            const chapterFields = needsChapter ? { chapterId: chapter.id, chapterName: chapter.name } : { chapterId: null, chapterName: '' };
+            const taskData = formData.taskType === 'Lecture'
+                ? { ...fields, date: workDate, durationMinutes, ...chapterFields }
+                : { ...fields, date: workDate, durationMinutes, ...chapterFields, unit: getRateCard(paymentPolicy, formData.taskType).unit };
+            if (isEditing) {
+                // Only send the fields that apply to the (possibly changed) task type
+                const { date, taskType, description, minutes, rating, units, unit } = taskData;
+                updateTask(task, taskType === 'Lecture'
+                    ? { date, taskType, description, ...chapterFields, minutes, durationMinutes, ...(can('rateLectures') ? { rating } : {}) }
+                    : { date, taskType, description, ...(needsChapter ? chapterFields : {}), units, unit, durationMinutes });
+            } else {
+                addTask({ ...taskData, assignmentId: taskData.assignmentId || null });
+            }
+            onClose();
+        };
+
+        const isLecture = formData.taskType === 'Lecture';
+        const rateCard = getRateCard(paymentPolicy, formData.taskType);
+        // Work counts in the period of its work date; a locked task can't be edited or moved out of its period
+        const keepsOriginalDate = isEditing && formData.workDate === toDateInputValue(task.date) && formData.workTime === toTimeInputValue(task.date);
+        const workDate = keepsOriginalDate ? task.date : fromDateTimeInputs(formData.workDate, formData.workTime);
+        const originalPeriod = isEditing ? getPeriodForDate(payrollPeriods, task.date) : null;
+        const currentPeriod = getPeriodForDate(payrollPeriods, workDate);
+        const lockedPeriod = [originalPeriod, currentPeriod].find(period => period?.status === 'locked');
+        // Work dated up to the end of the last locked period is closed even where no period covers it
+        const lockedThrough = getLockedThrough(payrollPeriods);
+        const isClosedDate = (date) => !!lockedThrough && date <= lockedThrough;
+        const isOriginalClosed = isEditing && isClosedDate(task.date);
+        const isLocked = !!lockedPeriod || isOriginalClosed || isClosedDate(workDate);
+
+
+        return (
+            <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6 animate-fade-in">
+                    <h3 className="text-2xl font-bold text-indigo-800 mb-6 border-b pb-3">{isEditing ? 'Edit Work' : 'Submit Work'} for {mentor.name}</h3>
+                    {isLocked && (
+                        <p className="mb-4 p-3 bg-red-50 text-red-700 text-sm rounded-lg">
+                            {lockedPeriod
+                                ? <>Payroll period "{lockedPeriod.name}" is locked. {lockedPeriod === originalPeriod ? 'This task can no longer be changed.' : 'Pick a work date outside it.'}</>
+                                : <>Payroll is closed for work dated up to {lockedThrough.toLocaleDateString()}. {isOriginalClosed ? 'This task can no longer be changed.' : 'Pick a later work date.'}</>}
+                        </p>
+                    )}
+                    <form onSubmit={handleSubmit}>
+                        <div className="space-y-4">
+                            {!isEditing && openAssignments.length > 0 && (
+                                <label className="block">
+                                    <span className="text-gray-700 font-medium">Assignment:</span>
+                                    <select
+                                        value={formData.assignmentId}
+                                        onChange={handleAssignmentChange}
+                                        className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
+                                    >
+                                        <option value="">-- Not part of an assignment --</option>
+                                        {openAssignments.map(a => (
+                                            <option key={a.id} value={a.id}>{a.title} (due {a.dueDate?.toLocaleDateString()})</option>
+                                        ))}
+                                    </select>
+                                    <p className="text-xs text-gray-500 mt-1">Logged work counts towards the assignment's progress.</p>
+                                </label>
+                            )}
+
+                            <div className="grid grid-cols-2 gap-3">
+                                <label className="block">
+                                    <span className="text-gray-700 font-medium">Work Performed On:</span>
+                                    <input
+                                        type="date"
+                                        name="workDate"
+                                        value={formData.workDate}
+                                        onChange={handleChange}
+                                        max={toDateInputValue(now)}
+                                        required
+                                        className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
+                                    />
+                                </label>
+                                <label className="block">
+                                    <span className="text-gray-700 font-medium">Start Time:</span>
+                                    <input
+                                        type="time"
+                                        name="workTime"
+                                        value={formData.workTime}
+                                        onChange={handleChange}
+                                        className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
+                                    />
+                                </label>
+                            </div>
+                            <p className="text-xs text-gray-500 -mt-2">
+                                Decides the week and payroll period this work counts in.
+                                {isEditing && task.submittedAt && ` Logged ${task.submittedAt.toLocaleString()}.`}
+                            </p>
+
+                            <label className="block">
+                                <span className="text-gray-700 font-medium">Task Type:</span>
+                                <select
+                                    name="taskType"
+                                    value={formData.taskType}
+                                    onChange={handleChange}
+                                    disabled={!!formData.assignmentId}
+                                    required
+                                    className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
+                                >
+                                    {/* Only the types the mentor's teams allow; an existing task or assignment keeps its own type */}
+                                    {TASK_TYPES.filter(type => type.value === formData.taskType || allowedTypes.includes(type)).map(type => (
+                                        <option key={type.value} value={type.value}>{type.label}</option>
+                                    ))}
+                                </select>
+                            </label>
+
+                            <label className="block">
+                                <span className="text-gray-700 font-medium">Description/Title of Work:</span>
+                                <input
+                                    type="text"
+                                    name="description"
+                                    value={formData.description}
+                                    onChange={handleChange}
+                                    required
+                                    className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
+                                />
+                            </label>
+
+                            {CHAPTER_TASK_TYPES.includes(formData.taskType) && (
+                                <label className="block">
+                                    <span className="text-gray-700 font-medium">Chapter{isLecture ? ' (for cap)' : ''}:</span>
+                                    <ChapterSelect
+                                        syllabus={syllabus}
+                                        value={formData.chapterId}
+                                        onChange={handleChange}
+                                        required
+                                        className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
+                                    />
+                                    {isEditing && !formData.chapterId && task.chapterName && (
+                                        <p className="text-xs text-orange-600 mt-1">"{task.chapterName}" is not in the syllabus catalogue; pick the matching chapter.</p>
+                                    )}
+                                    {isLecture && <p className="text-xs text-gray-500 mt-1">Required for payment calculation ({paymentPolicy.chapterCapMinutes} min cap per chapter).</p>}
+                                </label>
+                            )}
+
+                            {isLecture && (
+                                <>
+                                    <label className="block">
+                                        <span className="text-gray-700 font-medium">Duration (Minutes Delivered):</span>
+                                        <input
+                                            type="number"
+                                            name="minutes"
+                                            value={formData.minutes}
+                                            onChange={handleChange}
+                                            min="0"
+                                            required
+                                            className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
+                                        />
+                                        <p className="text-xs text-gray-500 mt-1">Used for T_billable calculation.</p>
+                                    </label>
+                                </>
+                            )}
+                            
+                            {!isLecture && (
+                                <label className="block">
+                                    <span className="text-gray-700 font-medium capitalize">Number of {rateCard.unit}s:</span>
+                                    <input
+                                        type="number"
+                                        name="units"
+                                        value={formData.units}
+                                        onChange={handleChange}
+                                        min="0"
+                                        step={rateCard.unit === 'hour' ? '0.25' : '1'}
+                                        required
+                                        className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
+                                    />
+                                    <p className="text-xs text-gray-500 mt-1">Used for payment calculation (Rs {rateCard.rate} per {rateCard.unit}).</p>
+                                </label>
+                            )}
+
+                            {!isLecture && (
+                                <label className="block">
+                                    <span className="text-gray-700 font-medium">Time Spent (minutes, optional):</span>
+                                    <input
+                                        type="number"
+                                        name="durationMinutes"
+                                        value={formData.durationMinutes ?? ''}
+                                        onChange={handleChange}
+                                        min="1"
+                                        className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
+                                    />
+                                    <p className="text-xs text-gray-500 mt-1">For reporting only; pay follows the {rateCard.unit} count.</p>
+                                </label>
+                            )}
+
+
+                            {isLecture && can('rateLectures') && (
+                                <label className="block">
+                                    <span className="text-gray-700 font-medium">Fallback Rating (1.0 to 5.0, optional):</span>
+                                    <input
+                                        type="number"
+                                        name="rating"
+                                        value={formData.rating ?? ''}
+                                        onChange={handleChange}
+                                        min="1"
+                                        max="5"
+                                        step="0.1"
+                                        className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
+                                    />
+                                    <p className="text-xs text-gray-500 mt-1">Used for the Quality Modifier (M_rate) only until students rate this lecture.</p>
+                                </label>
+                            )}
+                            {isLecture && !can('rateLectures') && (
+                                <p className="text-xs text-gray-500">The rating for this lecture comes from student feedback. Share the feedback link from the work history once it is saved.</p>
+                            )}
+
+                        </div>
+
+                        <div className="flex justify-end space-x-3 mt-6">
+                            <Button type="button" onClick={onClose} className="bg-gray-500 hover:bg-gray-600">
+                                Cancel
+                            </Button>
+                            <Button type="submit" disabled={isLocked}>
+                                {isEditing ? 'Save Changes' : 'Submit Work'}
+                            </Button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        );
+    };
+
+    // C2. Payout Record Modal
+    const PayoutModal = ({ payout, onClose }) => {
+        const [formData, setFormData] = useState({
+            ...payout,
+            paidOn: toDateInputValue(payout.paidOn),
+        });
+
+        const handleChange = (e) => {
+            const { name, value, type } = e.target;
+            setFormData(prev => ({
+                ...prev,
+                [name]: type === 'number' ? parseFloat(value) : value,
+            }));
+        };
+
+        const handleSubmit = (e) => {
+            e.preventDefault();
+            if (formData.status === 'paid' && (!formData.paidOn || !formData.reference)) {
+                console.error("Validation Failed: Paid payouts need a payment date and transaction reference.");
+                return;
+            }
+            savePayout({
+                ...formData,
+                paidOn: formData.paidOn ? new Date(`${formData.paidOn}T00:00:00`) : null,
+            });
+        };
+
+        const inputClass = "mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500";
+
+        return (
+            <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6 animate-fade-in">
+                    <h3 className="text-2xl font-bold text-indigo-800 mb-6 border-b pb-3">Payout: {payout.mentorName} ({payout.periodName})</h3>
+                    <form onSubmit={handleSubmit}>
+                        <div className="space-y-4">
+                            <label className="block">
+                                <span className="text-gray-700 font-medium">Status:</span>
+                                <select name="status" value={formData.status} onChange={handleChange} className={inputClass}>
+                                    {Object.entries(PAYOUT_STATUSES).map(([value, { label }]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label className="block">
+                                <span className="text-gray-700 font-medium">Amount (Rs):</span>
+                                <input type="number" name="amount" value={formData.amount} onChange={handleChange} min="0" step="0.01" required className={inputClass} />
+                            </label>
+                            <div className="grid grid-cols-2 gap-4">
+                                <label className="block">
+                                    <span className="text-gray-700 font-medium">Method:</span>
+                                    <select name="method" value={formData.method} onChange={handleChange} className={inputClass}>
+                                        {PAYOUT_METHODS.map(method => (
+                                            <option key={method} value={method}>{method}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <label className="block">
+                                    <span className="text-gray-700 font-medium">Paid On:</span>
+                                    <input type="date" name="paidOn" value={formData.paidOn} onChange={handleChange} className={inputClass} />
+                                </label>
+                            </div>
+                            <label className="block">
+                                <span className="text-gray-700 font-medium">Transaction Reference (UTR/UPI Ref):</span>
+                                <input type="text" name="reference" value={formData.reference} onChange={handleChange} className={inputClass} />
+                            </label>
+                            <label className="block">
+                                <span className="text-gray-700 font-medium">Notes:</span>
+                                <textarea name="notes" value={formData.notes} onChange={handleChange} placeholder="e.g., Mentor disputes Week 2 minutes" className={inputClass} />
+                            </label>
+                        </div>
+
+                        <div className="flex justify-end space-x-3 mt-6">
+                            <Button onClick={onClose} className="bg-gray-500 hover:bg-gray-600">
+                                Cancel
+                            </Button>
+                            <Button type="submit">
+                                Save Payout
+                            </Button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        );
+    };
+
+    // C3. Task Change History (append-only taskHistory entries for one task)
+    const TaskHistory = ({ taskId, mentorId }) => {
+        const [entries, setEntries] = useState(null);
+
+        useEffect(() => {
+            const historyRef = collection(db, `/artifacts/${appId}/public/data/taskHistory`);
+            // Mentors may only read history for their own tasks, so the query has to say so
+            const constraints = [where('taskId', '==', taskId)];
+            if (ownMentorId) constraints.push(where('mentorId', '==', mentorId));
+            getDocs(query(historyRef, ...constraints))
+                .then(snapshot => setEntries(snapshot.docs
+                    .map(doc => ({ id: doc.id, ...doc.data(), at: doc.data().at?.toDate() }))
+                    .sort((a, b) => b.at - a.at)))
+                .catch(e => {
+                    console.error("Error loading task history:", e);
+                    setEntries([]);
+                });
+        }, [taskId, mentorId]);
+
+        if (!entries) return <p className="text-xs text-gray-500 p-3">Loading history...</p>;
+
+        return (
+            <ul className="text-xs bg-gray-50 rounded-lg p-3 mb-2 space-y-2">
+                {entries.length === 0 && <li className="text-gray-500">No changes since submission.</li>}
+                {entries.map(entry => (
+                    <li key={entry.id}>
+                        <span className="font-semibold capitalize">{entry.action}</span> by {entry.byName || entry.by} on {entry.at?.toLocaleString()}
+                        <ul className="pl-4 list-disc text-gray-600">
+                            {Object.entries(entry.changes || {}).map(([field, { from, to }]) => (
+                                <li key={field}>
+                                    {field}: {String(from ?? '-')}{entry.action === 'update' && <> &rarr; {String(to ?? '-')}</>}
+                                </li>
+                            ))}
+                        </ul>
+                    </li>
+                ))}
+            </ul>
+        );
+    };
+
+    // C4. Assignment Row (planned work with progress from the tasks logged against it)
+    const AssignmentRow = ({ assignment, showMentor = false }) => {
+        const mentor = mentors.find(m => m.id === assignment.mentorId);
+        const { logged, percent } = getAssignmentProgress(assignment, tasks);
+        const overdue = isAssignmentOverdue(assignment);
+        const isOpen = assignment.status === 'open';
+        const canManage = mentor && canAssignWorkTo(userProfile, mentor);
+        const status = ASSIGNMENT_STATUSES[assignment.status] || ASSIGNMENT_STATUSES.open;
+
+        return (
+            <div className={`p-3 rounded-lg border text-sm ${overdue ? 'bg-red-50 border-red-200' : 'bg-gray-50'}`}>
+                <div className="flex justify-between items-start">
+                    <div>
+                        <p className="font-bold text-gray-900">
+                            {assignment.title}
+                            <span className={`ml-2 px-2 py-0.5 text-xs rounded-full font-medium ${status.className}`}>{status.label}</span>
+                        </p>
+                        <p className="text-xs text-gray-600">
+                            {showMentor && <span className="font-semibold">{assignment.mentorName} | </span>}
+                            {assignment.taskType}{assignment.chapterName && ` - ${assignment.chapterName}`} | {assignment.team}
+                        </p>
+                        <p className={`text-xs ${overdue ? 'text-red-700 font-semibold' : 'text-gray-600'}`}>
+                            Due {assignment.dueDate?.toLocaleDateString()}{overdue && ' (overdue)'}
+                        </p>
+                    </div>
+                    <div className="space-x-2 text-xs whitespace-nowrap no-print">
+                        {isOpen && mentor && canSubmitWorkFor(userProfile, mentor) && (
+                            <button type="button" onClick={() => { setTaskAssignment(assignment); setTaskMentor(mentor); }} className="text-blue-600 hover:text-blue-800 font-medium">
+                                Log Progress
+                            </button>
+                        )}
+                        {isOpen && canManage && (
+                            <>
+                                <button type="button" onClick={() => updateAssignmentStatus(assignment, 'completed')} className="text-green-700 hover:text-green-900">
+                                    Complete
+                                </button>
+                                <button type="button" onClick={() => updateAssignmentStatus(assignment, 'cancelled')} className="text-gray-600 hover:text-gray-800">
+                                    Cancel
+                                </button>
+                            </>
+                        )}
+                        {!isOpen && canManage && (
+                            <button type="button" onClick={() => updateAssignmentStatus(assignment, 'open')} className="text-indigo-600 hover:text-indigo-800">
+                                Reopen
+                            </button>
+                        )}
+                    </div>
+                </div>
+                <div className="mt-2">
+                    <div className="w-full bg-gray-200 rounded-full h-2">
+                        <div className={`h-2 rounded-full ${percent >= 100 ? 'bg-green-500' : 'bg-indigo-500'}`} style={{ width: `${percent}%` }} />
+                    </div>
+                    <p className="text-xs text-gray-600 mt-1">{logged} / {assignment.expected} {assignment.unit}(s) logged ({percent}%)</p>
+                </div>
+            </div>
+        );
+    };
+
+    // C5. Export Panel (CSV downloads from the dashboard, or for one mentor from their profile)
+    const ExportPanel = ({ mentor = null, className = '' }) => {
+        // Starts from the global reporting period; can be narrowed per export
+        const [filters, setFilters] = useState({ from: toDateInputValue(reportRange.start), to: toDateInputValue(reportRange.end), team: '' });
+        const scopeMentors = mentor ? [mentor] : mentors;
+        const showPay = canViewPayouts || (!!mentor && mentor.id === ownMentorId);
+        const exportMentors = filterMentorsForExport(scopeMentors, filters);
+        const [isExporting, setIsExporting] = useState(false);
+
+        const suffix = [mentor?.name, filters.team, filters.from && `from-${filters.from}`, filters.to && `to-${filters.to}`]
+            .filter(Boolean).join('_').replace(/[^a-zA-Z0-9_-]+/g, '-');
+        const filename = (name) => `p4i-${name}${suffix ? `_${suffix}` : ''}.csv`;
+
+        // Only part of the tasks collection is loaded, so exports query the chosen range afresh
+        const loadExportTasks = async () => {
+            const loaded = await fetchTasks({
+                mentorId: mentor?.id || null,
+                start: filters.from ? new Date(`${filters.from}T00:00:00`) : null,
+                end: filters.to ? new Date(`${filters.to}T23:59:59.999`) : null,
+            });
+            return filterTasksForExport(loaded, scopeMentors, filters);
+        };
+
+        const runExport = async (build) => {
+            setIsExporting(true);
+            try {
+                await build();
+            } catch (e) {
+                console.error("Error exporting tasks:", e);
+                setError("Failed to load tasks for the export.");
+            }
+            setIsExporting(false);
+        };
+
+        const exportTasks = () => runExport(async () => {
+            downloadCsv(filename('tasks'), await loadExportTasks(), TASK_EXPORT_COLUMNS);
+        });
+
+        const exportPayouts = () => runExport(async () => {
+            const exportedTasks = await loadExportTasks();
+            const rows = exportMentors.map(m => ({
+                mentor: m,
+                summary: calculatePayment(exportedTasks.filter(t => t.mentorId === m.id), m.baseRate, paymentPolicy),
+            }));
+            downloadCsv(filename('payouts'), rows, PAYOUT_EXPORT_COLUMNS);
+        });
+
+        const inputClass = "mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-2 border text-sm focus:ring-indigo-500 focus:border-indigo-500";
+
+        return (
+            <Panel title="Export to CSV" className={className}>
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                    <label className="block text-sm font-medium text-gray-700">
+                        From
+                        <input type="date" value={filters.from} onChange={(e) => setFilters(prev => ({ ...prev, from: e.target.value }))} className={inputClass} />
+                    </label>
+                    <label className="block text-sm font-medium text-gray-700">
+                        To
+                        <input type="date" value={filters.to} onChange={(e) => setFilters(prev => ({ ...prev, to: e.target.value }))} className={inputClass} />
+                    </label>
+                    {!mentor && (
+                        <label className="block text-sm font-medium text-gray-700">
+                            Team
+                            <select value={filters.team} onChange={(e) => setFilters(prev => ({ ...prev, team: e.target.value }))} className={inputClass}>
+                                <option value="">All teams</option>
+                                {teams.map(team => <option key={team} value={team}>{team}</option>)}
+                            </select>
+                        </label>
+                    )}
+                </div>
+                <div className="flex flex-wrap gap-3 mt-4">
+                    <Button onClick={exportTasks} disabled={isExporting} className="bg-indigo-500 hover:bg-indigo-600 text-sm">
+                        {isExporting ? 'Exporting...' : 'Tasks'}
+                    </Button>
+                    {!mentor && (
+                        <Button onClick={() => downloadCsv(filename('mentors'), exportMentors, MENTOR_EXPORT_COLUMNS)} className="bg-indigo-500 hover:bg-indigo-600 text-sm">
+                            Mentor Roster ({exportMentors.length})
+                        </Button>
+                    )}
+                    {showPay && (
+                        <Button onClick={exportPayouts} disabled={isExporting} className="bg-green-600 hover:bg-green-700 text-sm">
+                            Payout Breakdown
+                        </Button>
+                    )}
+                </div>
+                <p className="text-xs text-gray-500 mt-3">CSV files open directly in Excel and Google Sheets. Payouts count approved work only, under Payment Policy v{paymentPolicy.version}.</p>
+            </Panel>
+        );
+    };
+
+    // C6. Lecture Feedback (shareable student link, aggregated score and anonymous comments for one lecture)
+    const LectureFeedback = ({ task, mentor }) => {
+        const form = feedbackForms.find(f => f.id === task.id);
+        const isLocked = isTaskLocked(task, payrollPeriods);
+        const canToggle = canReviewWorkFor(userProfile, mentor) && !isLocked;
+        const canCreate = canSubmitWorkFor(userProfile, mentor) && !isLocked;
+        const link = getFeedbackLink(task.id);
+
+        return (
+            <div className="text-xs bg-gray-50 rounded-lg p-3 mb-2 space-y-2">
+                <p>
+                    <span className="font-semibold">Student rating:</span>{' '}
+                    {task.feedbackCount
+                        ? `${task.studentRating.toFixed(2)} from ${task.feedbackCount} response${task.feedbackCount === 1 ? '' : 's'}`
+                        : 'No responses yet'}
+                    {task.rating != null && <span className="text-gray-500"> (admin fallback: {Number(task.rating).toFixed(1)}{task.feedbackCount ? ', not used' : ''})</span>}
+                </p>
+                {form ? (
+                    <p className="no-print">
+                        <span className="font-semibold">Form:</span> {form.open ? 'Open' : 'Closed'}{' '}
+                        {form.open && (
+                            <>
+                                <code className="bg-white border rounded px-1 break-all">{link}</code>{' '}
+                                <button type="button" onClick={() => navigator.clipboard?.writeText(link)} className="text-indigo-600 hover:text-indigo-800">Copy link</button>
+                            </>
+                        )}
+                        {canToggle && (
+                            <button type="button" onClick={() => setFeedbackFormOpen(task, !form.open)} className="ml-2 text-yellow-700 hover:text-yellow-900">
+                                {form.open ? 'Close form' : 'Reopen form'}
+                            </button>
+                        )}
+                    </p>
+                ) : canCreate && (
+                    <p className="no-print">
+                        <button type="button" onClick={() => setFeedbackFormOpen(task, true)} className="text-indigo-600 hover:text-indigo-800">Create feedback link</button>
+                    </p>
+                )}
+                {(task.feedbackComments || []).length > 0 && (
+                    <ul className="space-y-1">
+                        {task.feedbackComments.map((entry, index) => (
+                            <li key={index} className="text-gray-700">
+                                <span className="font-mono text-indigo-600">{entry.rating}/5</span> "{entry.comment}"
+                                <span className="text-gray-400"> - {entry.at?.toLocaleDateString()}</span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        );
+    };
+
+    // D. Mentor Profile View
+    const MentorProfile = ({ mentor, onBack }) => {
+        const mentorTasks = tasks.filter(t => t.mentorId === mentor.id);
+        const mentorSlips = paymentSlips.filter(s => s.mentorId === mentor.id);
+        const mentorAssignments = assignments.filter(a => a.mentorId === mentor.id);
+        // Work so far in the payroll period covering today, as a draft slip until the period is locked
+        const currentPeriod = getPeriodForDate(payrollPeriods, new Date());
+        const draftPeriod = currentPeriod && currentPeriod.status !== 'locked' ? currentPeriod : null;
+        // Straight from Firestore, as only the latest work is loaded here
+        const downloadDraftSlip = async () => {
+            try {
+                const loaded = await fetchTasks({ mentorId: mentor.id, start: draftPeriod.startDate, end: draftPeriod.endDate });
+                const draftSlip = { ...buildPaymentSlip(draftPeriod, mentor, loaded.filter(t => isWithinPeriod(t.date, draftPeriod)), paymentPolicy), draft: true };
+                handleDownloadSlips([draftSlip], `P4I-DRAFT_${mentor.name}_${draftPeriod.name}`);
+            } catch (e) {
+                console.error("Error loading tasks for the draft slip:", e);
+                setError("Failed to load the period's tasks for the draft slip.");
+            }
+        };
+        const showPay = canViewPayouts || mentor.id === ownMentorId;
+        const [expanded, setExpanded] = useState({ taskId: null, view: null }); // view: trail, history
+        const [historyFilters, setHistoryFilters] = useState(DEFAULT_TASK_FILTERS);
+        const historyRows = filterTaskRows(mentorTasks, historyFilters);
+        const historyPage = paginate(historyRows, historyFilters.page, TASK_PAGE_SIZE);
+        const toggleExpanded = (taskId, view) => setExpanded(prev => (
+            prev.taskId === taskId && prev.view === view ? { taskId: null, view: null } : { taskId, view }
+        ));
+
+        // Summary for the selected reporting period
+        const periodTasks = mentorTasks.filter(t => isWithinRange(t.date, reportRange));
+        // Only the latest work is loaded, so all-time and payroll-cycle totals come from the stored aggregates
+        const periodAggregate = reportAggregateScope ? getTaskAggregate(reportAggregateScope, mentor) : null;
+        const overallAggregate = getTaskAggregate(ALL_TIME_SCOPE, mentor);
+        const periodSummary = calculatePaymentFromTotals(periodAggregate?.totals.paymentTotals || getPaymentTotals(periodTasks), mentor.baseRate, paymentPolicy);
+        const overallSummary = calculatePaymentFromTotals(overallAggregate?.totals.paymentTotals || getPaymentTotals(mentorTasks), mentor.baseRate, paymentPolicy);
+        const hasOlderWork = mentor.id === profileMentorId && profileTaskDocs.length >= profileTaskLimit;
+        // Until the all-time totals are stored, the overall figures only cover the work loaded here
+        const isOverallPartial = !overallAggregate && (mentor.id !== profileMentorId || hasOlderWork);
+
+        // Group tasks by week for payment slip view
+        const tasksByWeek = periodTasks.reduce((acc, task) => {
+            if (!task.date) return acc;
+            const weekStart = toDateInputValue(getWeekStart(task.date));
+
+            if (!acc[weekStart]) {
+                acc[weekStart] = [];
+            }
+            acc[weekStart].push(task);
+            return acc;
+        }, {});
+
+        return (
+            <div className="p-6">
+                <div className="flex justify-between items-center mb-6">
+                    {onBack ? (
+                        <Button onClick={onBack} className="bg-gray-500 hover:bg-gray-600 text-sm">
+                            &larr; Back to Mentors
+                        </Button>
+                    ) : <span />}
+                    <div className="space-x-3">
+                        {canSubmitWorkFor(userProfile, mentor) && (
+                            <Button onClick={() => setTaskMentor(mentor)} className="bg-blue-500 hover:bg-blue-600 text-sm">
+                                + Submit Work
+                            </Button>
+                        )}
+                        {showPay && draftPeriod && (
+                            <Button onClick={downloadDraftSlip} className="bg-green-600 hover:bg-green-700 text-sm">
+                                Draft Slip for {draftPeriod.name} (PDF)
+                            </Button>
+                        )}
+                    </div>
+                </div>
+
+                <div className="space-y-8 print-friendly">
+                    {/* Mentor Header Section */}
+                    <Panel title="Mentor Profile" className="col-span-1 md:col-span-3">
+                        <div className="flex flex-col md:flex-row items-start md:items-center space-y-4 md:space-y-0 md:space-x-6">
+                            <img
+                                src={mentor.photoURL}
+                                alt={`${mentor.name} Photo`}
+                                className="w-24 h-24 rounded-full object-cover ring-4 ring-indigo-300 shadow-lg flex-shrink-0"
+                            />
+                            <div>
+                                <h1 className="text-3xl font-extrabold text-gray-900">
+                                    {mentor.name}
+                                    <span className={`ml-3 align-middle px-3 py-1 text-sm rounded-full font-medium ${MENTOR_STATUSES[getMentorStatus(mentor)].className}`}>
+                                        {MENTOR_STATUSES[getMentorStatus(mentor)].label}
+                                    </span>
+                                </h1>
+                                <p className="text-indigo-600 font-medium">{mentor.email}</p>
+                                <p className="text-sm text-gray-600">
+                                    Joined {mentor.joinDate ? mentor.joinDate.toLocaleDateString() : '-'}
+                                    {mentor.exitDate && ` | Exited ${mentor.exitDate.toLocaleDateString()}`}
+                                </p>
+                                <p className="text-sm text-gray-500 mt-1">
+                                    **User ID (for cross-reference):** <code className="text-xs bg-gray-100 p-1 rounded">{mentor.id}</code>
+                                </p>
+                            </div>
+                        </div>
+                        <div className="mt-4 pt-4 border-t">
+                            <h4 className="font-semibold text-gray-700 mb-2">Assigned Teams/Roles:</h4>
+                            <div className="flex flex-wrap gap-2">
+                                {mentor.teams.map(team => (
+                                    <span key={team} className="bg-indigo-100 text-indigo-700 px-3 py-1 text-sm rounded-full font-medium">
+                                        {team}
+                                    </span>
+                                ))}
+                            </div>
+                        </div>
+                    </Panel>
+
+                    {/* Summary Section */}
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                        <div className="bg-indigo-50 p-4 rounded-xl shadow-md">
+                            <p className="text-lg font-semibold text-indigo-800">Overall Lectures</p>
+                            <p className="text-3xl font-bold text-indigo-600">{overallSummary.lecturesCount}</p>
+                        </div>
+                        <div className="bg-indigo-50 p-4 rounded-xl shadow-md">
+                            <p className="text-lg font-semibold text-indigo-800">Overall Chapters/Units</p>
+                            <p className="text-3xl font-bold text-indigo-600">{overallSummary.totalChaptersCompleted}</p>
+                        </div>
+                        {showPay && (
+                            <div className="bg-green-50 p-4 rounded-xl shadow-md">
+                                <p className="text-lg font-semibold text-green-800">Total Est. Pay (Overall)</p>
+                                <p className="text-3xl font-bold text-green-600">Rs {overallSummary.P_final.toLocaleString()}</p>
+                            </div>
+                        )}
+                        <div className="bg-yellow-50 p-4 rounded-xl shadow-md">
+                            <p className="text-lg font-semibold text-yellow-800">Overall Avg. Rating (Lec.)</p>
+                            <p className="text-3xl font-bold text-yellow-600">{overallSummary.averageRating} / 5.0</p>
+                        </div>
+                        {isOverallPartial && (
+                            <p className="md:col-span-2 lg:col-span-4 text-sm text-gray-500">
+                                Overall figures cover only the latest {mentorTasks.length} tasks until this mentor's stored totals are built.
+                            </p>
+                        )}
+                    </div>
+
+                    {/* Payment Slip/Details for the reporting period */}
+                    {showPay && (
+                    <Panel title={`Payment Summary (${reportRange.label})`}>
+                        <p className="text-sm text-gray-600 mb-4">
+                            This summary covers approved tasks dated from {reportRange.start ? reportRange.start.toLocaleDateString() : 'the first recorded task'} to {reportRange.end ? reportRange.end.toLocaleDateString() : 'present'}.
+                            Computed under <span className="font-semibold">Payment Policy v{periodSummary.policyVersion}</span>.
+                        </p>
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            {/* Combined Payout */}
+                            <div className="space-y-2 p-4 bg-indigo-100 rounded-lg border-2 border-indigo-400 md:col-span-3">
+                                <p className="text-xl font-extrabold text-indigo-900">FINAL PAYMENT FOR PERIOD: Rs {periodSummary.P_final.toLocaleString()}</p>
+                                <p className="text-sm text-gray-700">
+                                    <span className="font-semibold">Lecture Pay:</span> Rs {periodSummary.P_final_lectures.toLocaleString()} + <span className="font-semibold">Content/Other Pay:</span> Rs {periodSummary.P_final_other.toLocaleString()}
+                                </p>
+                            </div>
+
+                            {/* Lecture Calculation Breakdown */}
+                            <div className="space-y-2 p-4 bg-gray-50 rounded-lg border">
+                                <h4 className="font-bold text-indigo-700">Lecture Work Breakdown</h4>
+                                <p className="text-sm"><span className="font-semibold">Total Billable Minutes (Capped):</span> {periodSummary.T_billable} min</p>
+                                <p className="text-sm"><span className="font-semibold">Base Pay (Rs {periodSummary.R_minute}/min):</span> Rs {periodSummary.basePayLectures.toLocaleString()}</p>
+                                <p className="text-sm"><span className="font-semibold">Avg. Rating:</span> {periodSummary.averageRating}</p>
+                                <p className="text-sm"><span className="font-semibold">Quality (M_rate):</span> {periodSummary.M_rate}</p>
+                                <p className="text-sm"><span className="font-semibold">Frequency (M_freq):</span> {periodSummary.M_freq}</p>
+                            </div>
+
+                            {/* Content/Other Calculation Breakdown */}
+                            <div className="space-y-2 p-4 bg-gray-50 rounded-lg border">
+                                <h4 className="font-bold text-indigo-700">Content/Other Work Breakdown</h4>
+                                {Object.keys(periodSummary.otherByType).length === 0 ? (
+                                    <p className="text-sm text-gray-500">No non-lecture work in this period.</p>
+                                ) : Object.entries(periodSummary.otherByType).map(([type, item]) => (
+                                    <p key={type} className="text-sm">
+                                        <span className="font-semibold">{type}:</span> {item.units} {item.unit}(s) x Rs {item.rate} = Rs {item.pay.toLocaleString()}
+                                    </p>
+                                ))}
+                                <p className="text-sm"><span className="font-semibold">Total Payout:</span> Rs {periodSummary.P_final_other.toLocaleString()}</p>
+                            </div>
+                        </div>
+                    </Panel>
+                    )}
+
+                    {/* Payment Slips from locked payroll periods */}
+                    {showPay && (
+                    <Panel title="Payment Slips (Locked Periods)">
+                        {mentorSlips.length === 0 ? (
+                            <p className="text-gray-500">No payment slips yet. Slips are generated when a payroll period is locked.</p>
+                        ) : (
+                            <div className="space-y-2">
+                                {mentorSlips.map(slip => (
+                                    <div key={slip.id} className="flex justify-between items-center text-sm p-3 bg-gray-50 rounded-lg border">
+                                        <div>
+                                            <p className="font-bold text-indigo-800">{slip.periodName} <span className="font-mono text-xs text-gray-500">{slip.slipNumber}</span></p>
+                                            <p className="text-xs text-gray-600">
+                                                {slip.startDate?.toLocaleDateString()} - {slip.endDate?.toLocaleDateString()} | {slip.tasks.length} tasks | Policy v{slip.policyVersion}
+                                            </p>
+                                        </div>
+                                        <div className="text-right">
+                                            <p className="text-lg font-extrabold text-green-700">Rs {slip.summary.P_final.toLocaleString()}</p>
+                                            <p className="text-xs text-gray-600">Lecture Rs {slip.summary.P_final_lectures.toLocaleString()} | Other Rs {slip.summary.P_final_other.toLocaleString()}</p>
+                                            {(() => {
+                                                const payout = payouts.find(p => p.slipId === slip.id);
+                                                const status = PAYOUT_STATUSES[payout?.status || 'pending'];
+                                                return (
+                                                    <p className="text-xs mt-1">
+                                                        <span className={`px-2 py-0.5 rounded-full font-medium ${status.className}`}>{status.label}</span>
+                                                        {payout?.status === 'paid' && (
+                                                            <span className="text-gray-600 ml-1">
+                                                                Rs {payout.amount.toLocaleString()} via {payout.method} on {payout.paidOn?.toLocaleDateString()} (Ref: {payout.reference || '-'})
+                                                            </span>
+                                                        )}
+                                                        <button type="button" onClick={() => handleDownloadSlips([slip], slip.slipNumber)} className="ml-2 text-indigo-600 hover:text-indigo-800 font-medium no-print">
+                                                            Download PDF
+                                                        </button>
+                                                    </p>
+                                                );
+                                            })()}
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </Panel>
+                    )}
+
+                    {/* Assigned Work (planned, with progress) */}
+                    <Panel title="Assigned Work">
+                        {mentorAssignments.length === 0 ? (
+                            <p className="text-gray-500">No work has been assigned to this mentor.</p>
+                        ) : (
+                            <div className="space-y-2">
+                                {mentorAssignments.map(assignment => <AssignmentRow key={assignment.id} assignment={assignment} />)}
+                            </div>
+                        )}
+                    </Panel>
+
+                    {/* Work Done (Detailed List) */}
+                    <Panel title="Work Done History">
+                        {taskQueue.some(entry => entry.taskData.mentorId === mentor.id) && (
+                            <p className="text-sm text-yellow-800 bg-yellow-50 rounded-lg p-2 mb-3">
+                                {taskQueue.filter(entry => entry.taskData.mentorId === mentor.id).length} entries logged on this device are waiting to sync and are not shown below yet.
+                            </p>
+                        )}
+                        {mentorTasks.length > 0 && <TaskFilterBar filters={historyFilters} onChange={setHistoryFilters} />}
+                        {mentorTasks.length === 0 ? (
+                            <p className="text-gray-500">No work records found for this mentor.</p>
+                        ) : historyRows.length === 0 ? (
+                            <p className="text-gray-500">No work records match these filters.</p>
+                        ) : (
+                            <div className="space-y-4">
+                                <div className="flex justify-between font-bold text-indigo-800 border-b pb-2 mb-2">
+                                    <span className="w-1/6">Work Date</span>
+                                    <span className="w-2/6">Description (Chapter/Units)</span>
+                                    <span className="w-1/6">Type</span>
+                                    <span className="w-1/6 text-right">Minutes/Units</span>
+                                    <span className="w-1/6 text-right">Rating</span>
+                                </div>
+                                <div>
+                                    {historyPage.pageItems.map((task) => (
+                                        <div key={task.id} className="border-b last:border-b-0">
+                                        <div className="flex justify-between text-sm py-2 hover:bg-gray-50">
+                                            <span className="w-1/6 text-gray-600">
+                                                {task.date?.toLocaleDateString()}
+                                                {isBackdated(task) && <span className="text-xs text-gray-400 block">Logged {task.submittedAt.toLocaleDateString()}</span>}
+                                                {isTaskLocked(task, payrollPeriods) && <span className="text-xs text-gray-400 block">Locked</span>}
+                                            </span>
+                                            <span className="w-2/6 font-medium">
+                                                {task.description}
+                                                {task.chapterName && <span className="text-xs text-gray-500 block">({task.chapterName})</span>}
+                                                {task.assignmentId && mentorAssignments.some(a => a.id === task.assignmentId) && (
+                                                    <span className="text-xs text-indigo-600 block">For: {mentorAssignments.find(a => a.id === task.assignmentId).title}</span>
+                                                )}
+                                            </span>
+                                            <span className="w-1/6">
+                                                {task.taskType}
+                                                <span className="block mt-1">
+                                                    <span className={`px-2 py-0.5 text-xs rounded-full font-medium ${TASK_STATUSES[getTaskStatus(task)].className}`}>
+                                                        {getTaskStatus(task)}
+                                                    </span>
+                                                </span>
+                                                <span className="block mt-1 space-x-2 text-xs no-print">
+                                                    {task.reviewTrail.length > 0 && (
+                                                        <button type="button" onClick={() => toggleExpanded(task.id, 'trail')} className="text-indigo-600 hover:text-indigo-800">
+                                                            Trail
+                                                        </button>
+                                                    )}
+                                                    <button type="button" onClick={() => toggleExpanded(task.id, 'history')} className="text-indigo-600 hover:text-indigo-800">
+                                                        History
+                                                    </button>
+                                                    {task.taskType === 'Lecture' && (
+                                                        <button type="button" onClick={() => toggleExpanded(task.id, 'feedback')} className="text-indigo-600 hover:text-indigo-800">
+                                                            Feedback
+                                                        </button>
+                                                    )}
+                                                    {canEditTask(userProfile, mentor, task) && !isTaskLocked(task, payrollPeriods) && (
+                                                        <>
+                                                            <button type="button" onClick={() => setEditingTask(task)} className="text-yellow-700 hover:text-yellow-900">
+                                                                Edit
+                                                            </button>
+                                                            <button type="button" onClick={() => deleteTask(task)} className="text-red-600 hover:text-red-800">
+                                                                Delete
+                                                            </button>
+                                                        </>
+                                                    )}
+                                                </span>
+                                            </span>
+                                            <span className="w-1/6 text-right font-mono">
+                                                {formatTaskQuantity(task)}
+                                            </span>
+                                            <span className="w-1/6 text-right font-mono text-indigo-600">
+                                                {getLectureRating(task) ? Number(getLectureRating(task)).toFixed(1) : '-'}
+                                                {task.taskType === 'Lecture' && (
+                                                    <span className="block text-xs font-sans text-gray-500">
+                                                        {task.feedbackCount ? `${task.feedbackCount} student${task.feedbackCount === 1 ? '' : 's'}` : task.rating ? 'Admin entry' : 'Not rated'}
+                                                    </span>
+                                                )}
+                                            </span>
+                                        </div>
+                                        {expanded.taskId === task.id && expanded.view === 'feedback' && <LectureFeedback task={task} mentor={mentor} />}
+                                        {expanded.taskId === task.id && expanded.view === 'history' && <TaskHistory taskId={task.id} mentorId={task.mentorId} />}
+                                        {expanded.taskId === task.id && expanded.view === 'trail' && (
+                                            <ul className="text-xs bg-gray-50 rounded-lg p-3 mb-2 space-y-1">
+                                                {task.reviewTrail.map((entry, index) => (
+                                                    <li key={index}>
+                                                        <span className="font-semibold">{entry.status}</span> by {entry.byName || entry.by} on {entry.at?.toLocaleString()}
+                                                        {entry.comment && <span className="text-gray-600"> - "{entry.comment}"</span>}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        )}
+                                        </div>
+                                    ))}
+                                </div>
+                                <Pagination page={historyPage.page} pageCount={historyPage.pageCount} pageSize={TASK_PAGE_SIZE} total={historyRows.length} onChange={(next) => setHistoryFilters(prev => ({ ...prev, page: next }))} />
+                                {hasOlderWork && (
+                                    <div className="text-center mt-4">
+                                        <Button onClick={() => setProfileTaskLimit(limit => limit + PROFILE_TASK_LIMIT)} className="bg-gray-500 hover:bg-gray-600 text-sm">
+                                            Load Older Work
+                                        </Button>
+                                    </div>
+                                )}
+                            </div>
+                        )}
+                    </Panel>
+
+                    {/* Weekly Payment Breakdowns (optional, showing how P_final sums up over the period) */}
+                    {Object.keys(tasksByWeek).length > 0 && (
+                        <Panel title={`Weekly Task Breakdown (${reportRange.label})`}>
+                            <div className="space-y-4">
+                                {Object.keys(tasksByWeek).sort().reverse().map(weekStart => {
+                                    const weeklyTasks = tasksByWeek[weekStart];
+                                    const weeklySummary = calculatePayment(weeklyTasks, mentor.baseRate, paymentPolicy);
+                                    return (
+                                        <div key={weekStart} className="bg-gray-50 p-4 rounded-lg border-l-4 border-indigo-500 shadow-sm">
+                                            <div className="flex justify-between items-center mb-2">
+                                                <h5 className="font-bold text-indigo-800">Week Starting: {new Date(`${weekStart}T00:00:00`).toLocaleDateString()}</h5>
+                                                {showPay && <span className="text-xl font-extrabold text-green-700">Rs {weeklySummary.P_final.toLocaleString()}</span>}
+                                            </div>
+                                            {showPay && (
+                                                <p className="text-sm text-gray-600 mb-2">
+                                                    Lecture Pay: Rs {weeklySummary.P_final_lectures.toLocaleString()} | Other Pay: Rs {weeklySummary.P_final_other.toLocaleString()}
+                                                </p>
+                                            )}
+                                            <ul className="text-xs list-disc pl-5 space-y-1">
+                                                {weeklyTasks.map(task => (
+                                                    <li key={task.id}>
+                                                        {task.date?.toLocaleDateString()}: {task.description} ({task.taskType}) - 
+                                                        {formatTaskQuantity(task)}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        </Panel>
+                    )}
+                </div>
+
+                <ExportPanel mentor={mentor} className="mt-8" />
+            </div>
+        );
+    };
+
+    // E. Dashboard View
+    const Dashboard = () => {
+        const [tableFilters, setTableFilters] = useState(DEFAULT_MENTOR_FILTERS);
+        const rows = filterMentorRows(mentors.filter(mentor => !isArchivedMentor(mentor)), mentorStats, tableFilters);
+        const { pageItems, page, pageCount } = paginate(rows, tableFilters.page, MENTOR_PAGE_SIZE);
+
+        return (
+            <div className="p-6">
+                <h1 className="text-3xl font-extrabold text-indigo-800 mb-6">PREP4IISER Management Dashboard</h1>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6 mb-8">
+                    <Panel title="Current Mentors" className="bg-indigo-50">
+                        <p className="text-5xl font-extrabold text-indigo-600">{dashboardSummary.totalMentors}</p>
+                    </Panel>
+                    <Panel title={`Tasks Logged (${reportRange.label})`} className="bg-green-50">
+                        <p className="text-5xl font-extrabold text-green-600">{dashboardSummary.totalTasks}</p>
+                        <p className="text-sm text-gray-500 mt-1">{dashboardSummary.totalLectures} Lectures</p>
+                        {dashboardSummary.awaitingReview > 0 && (
+                            <p className="text-sm text-yellow-700 mt-1">{dashboardSummary.awaitingReview} awaiting review</p>
+                        )}
+                    </Panel>
+                    <Panel title="Total Chapters/Units" className="bg-yellow-50">
+                        <p className="text-5xl font-extrabold text-yellow-600">{dashboardSummary.totalUnits}</p>
+                        <p className="text-sm text-gray-500 mt-1">Completed (Non-Lecture)</p>
+                    </Panel>
+                    {canViewPayouts && (
+                    <Panel title="Total Est. Payout" className="bg-red-50">
+                        <p className="text-5xl font-extrabold text-red-600">Rs {dashboardSummary.totalPayments.toLocaleString()}</p>
+                        <p className="text-sm text-gray-500 mt-1">Payment Policy v{paymentPolicy.version}</p>
+                    </Panel>
+                    )}
+                    {canViewPayouts && (
+                    <Panel title="Paid vs Outstanding" className="bg-green-50">
+                        <p className="text-2xl font-extrabold text-green-600">Rs {dashboardSummary.totalPaid.toLocaleString()} <span className="text-sm font-medium text-gray-500">paid</span></p>
+                        <p className="text-2xl font-extrabold text-red-600">Rs {dashboardSummary.totalOutstanding.toLocaleString()} <span className="text-sm font-medium text-gray-500">outstanding</span></p>
+                        {dashboardSummary.totalDisputed > 0 && (
+                            <p className="text-sm text-red-500 mt-1">Rs {dashboardSummary.totalDisputed.toLocaleString()} disputed</p>
+                        )}
+                    </Panel>
+                    )}
+                </div>
+
+                <Panel title="Mentor Payment & Work Overview" className="mb-6">
+                    <MentorFilterBar filters={tableFilters} onChange={setTableFilters} teams={teams} showPayouts={canViewPayouts} />
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead>
+                                <tr className="bg-gray-50">
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider w-1/4">Mentor Name</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider w-1/4">Teams</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Total Tasks</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Avg. Rating</th>
+                                    {canViewPayouts && <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Est. Payout ({reportRange.label})</th>}
+                                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {pageItems.map(({ mentor, stats }) => {
+                                    const totalTasks = stats.taskCount;
+                                    const chaptersCompleted = stats.units;
+                                    
+                                    return (
+                                        <tr key={mentor.id} className="hover:bg-gray-50 transition duration-100">
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                <div className="flex items-center">
+                                                    <img src={mentor.photoURL} alt="" className="h-8 w-8 rounded-full mr-3 object-cover"/>
+                                                    {mentor.name}
+                                                </div>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                                <div className="flex flex-wrap gap-1">
+                                                    {mentor.teams.slice(0, 3).map(team => (
+                                                        <span key={team} className="bg-indigo-100 text-indigo-700 px-2 py-0.5 text-xs rounded-full">
+                                                            {team.split(' ')[0]}
+                                                        </span>
+                                                    ))}
+                                                    {mentor.teams.length > 3 && <span className="text-xs text-gray-500">...</span>}
+                                                </div>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                                {totalTasks} tasks
+                                                {chaptersCompleted > 0 && <span className="text-xs text-indigo-500 block">({chaptersCompleted} units)</span>}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                                {stats.avgRating != null ? stats.avgRating.toFixed(1) : '-'}
+                                            </td>
+                                            {canViewPayouts && (
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm font-bold text-right text-green-700">
+                                                    Rs {stats.payment.toLocaleString()}
+                                                </td>
+                                            )}
+                                            <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                                                <Button
+                                                    onClick={() => setSelectedMentor(mentor)}
+                                                    className="bg-indigo-500 hover:bg-indigo-600 px-3 py-1 text-xs"
+                                                >
+                                                    View Profile
+                                                </Button>
+                                                {(can('manageMentors') || can('editRates')) && (
+                                                    <Button
+                                                        onClick={() => handleEditMentor(mentor)}
+                                                        className="bg-yellow-500 hover:bg-yellow-600 px-3 py-1 text-xs"
+                                                    >
+                                                        Edit
+                                                    </Button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                    <Pagination page={page} pageCount={pageCount} pageSize={MENTOR_PAGE_SIZE} total={rows.length} onChange={(next) => setTableFilters(prev => ({ ...prev, page: next }))} />
+                </Panel>
+                <ExportPanel className="mb-6" />
+                {canViewPayouts && <p className="text-xs text-gray-500 mt-4">Note: Est. Payout covers tasks dated within the reporting period ({reportRange.label}) and is calculated under Payment Policy v{paymentPolicy.version} based on Lecture tasks (using PDF formula) and other tasks (per-type rate cards).</p>}
+            </div>
+        );
+    };
+
+    // F. Mentors List View (Primary Tab)
+    const MentorsList = () => {
+        const [filters, setFilters] = useState(DEFAULT_MENTOR_FILTERS);
+        const rows = filterMentorRows(mentors.filter(mentor => showArchivedMentors || !isArchivedMentor(mentor)), mentorStats, filters);
+        const { pageItems, page, pageCount } = paginate(rows, filters.page, MENTOR_PAGE_SIZE);
+
+        return (
+            <div className="p-6">
+                <div className="flex justify-between items-center mb-6">
+                    <h1 className="text-3xl font-extrabold text-indigo-800">Mentor Directory</h1>
+                    <div className="space-x-3 flex items-center">
+                        {mentors.some(isArchivedMentor) && (
+                            <label className="text-sm text-gray-600">
+                                <input type="checkbox" checked={showArchivedMentors} onChange={(e) => setShowArchivedMentors(e.target.checked)} className="mr-1" />
+                                Show archived ({mentors.filter(isArchivedMentor).length})
+                            </label>
+                        )}
+                        {can('manageMentors') && (
+                            <Button onClick={handleNewMentor} className="bg-green-600 hover:bg-green-700">
+                                + Add New Mentor
+                            </Button>
+                        )}
+                    </div>
+                </div>
+
+                <MentorFilterBar filters={filters} onChange={setFilters} teams={teams} showPayouts={canViewPayouts} />
+                {rows.length === 0 && <p className="text-gray-500">No mentors match these filters.</p>}
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+                    {pageItems.map(({ mentor, stats }) => {
+                        const totalTasks = stats.taskCount;
+                        const chaptersCompleted = stats.units;
+                        
+                        return (
+                            <div key={mentor.id} className="bg-white rounded-xl shadow-lg hover:shadow-xl transition duration-300 p-5 flex flex-col">
+                                <div className="flex items-start mb-4">
+                                    <img
+                                        src={mentor.photoURL}
+                                        alt={`${mentor.name} Photo`}
+                                        className="w-16 h-16 rounded-full object-cover ring-2 ring-indigo-300 flex-shrink-0"
+                                    />
+                                    <div className="ml-4">
+                                        <h3 className="text-xl font-bold text-gray-900">{mentor.name}</h3>
+                                        {getMentorStatus(mentor) !== 'active' && (
+                                            <span className={`px-2 py-0.5 text-xs rounded-full font-medium ${MENTOR_STATUSES[getMentorStatus(mentor)].className}`}>
+                                                {MENTOR_STATUSES[getMentorStatus(mentor)].label}
+                                            </span>
+                                        )}
+                                        <p className="text-sm text-indigo-600">{mentor.email}</p>
+                                        <p className="text-xs text-gray-500">Rate: Rs {mentor.baseRate}/min</p>
+                                    </div>
+                                </div>
+
+                                <div className="flex flex-wrap gap-1 mb-3">
+                                    {mentor.teams.slice(0, 3).map(team => (
+                                        <span key={team} className="bg-indigo-100 text-indigo-700 px-2 py-0.5 text-xs rounded-full">
+                                            {team}
+                                        </span>
+                                    ))}
+                                    {mentor.teams.length > 3 && <span className="text-xs text-gray-500">...</span>}
+                                </div>
+
+                                <div className="mt-auto border-t pt-3 space-y-2">
+                                    <p className="text-xs text-gray-500">{reportRange.label}</p>
+                                    <p className="text-sm font-medium text-gray-700">
+                                        Work Done: <span className="font-bold text-indigo-700">{totalTasks}</span> tasks
+                                        {chaptersCompleted > 0 && <span className="text-xs text-indigo-500 block">({chaptersCompleted} units)</span>}
+                                        {stats.avgRating != null && <span className="text-xs text-gray-500 block">Avg. rating {stats.avgRating.toFixed(1)}</span>}
+                                    </p>
+                                    {canViewPayouts && (
+                                        <p className="text-sm font-medium text-gray-700">Est. Payout: <span className="font-bold text-green-700">Rs {stats.payment.toLocaleString()}</span></p>
+                                    )}
+
+                                    <div className="flex space-x-2 mt-3">
+                                        <Button
+                                            onClick={() => setSelectedMentor(mentor)}
+                                            className="bg-indigo-600 hover:bg-indigo-700 flex-grow text-xs"
+                                        >
+                                            View Profile
+                                        </Button>
+                                        {(can('manageMentors') || can('editRates')) && (
+                                            <Button
+                                                onClick={() => handleEditMentor(mentor)}
+                                                className="bg-yellow-500 hover:bg-yellow-600 px-3 py-1 text-xs"
+                                            >
+                                                Edit
+                                            </Button>
+                                        )}
+                                        {canSubmitWorkFor(userProfile, mentor) && (
+                                            <Button
+                                                onClick={() => setTaskMentor(mentor)} // Correctly setting state here
+                                                className="bg-blue-500 hover:bg-blue-600 px-3 py-1 text-xs"
+                                                title="Submit Work"
+                                            >
+                                                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+                                                  <path d="M17.414 2.586a2 2 0 00-2.828 0L7 10.172V13h2.828l7.586-7.586a2 2 0 000-2.828z" />
+                                                  <path fillRule="evenodd" d="M2 6a2 2 0 012-2h4a1 1 0 010 2H4v10h10v-4a1 1 0 112 0v4a2 2 0 01-2 2H4a2 2 0 01-2-2V6z" clipRule="evenodd" />
+                                                </svg>
+                                            </Button>
+                                        )}
+                                    </div>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+                <Pagination page={page} pageCount={pageCount} pageSize={MENTOR_PAGE_SIZE} total={rows.length} onChange={(next) => setFilters(prev => ({ ...prev, page: next }))} />
+            </div>
+        );
+    };
+
+    // G. Teams View (Primary Tab)
+    const TeamsView = () => (
+        <div className="p-6">
+            <div className="flex justify-between items-center mb-6">
+                <h1 className="text-3xl font-extrabold text-indigo-800">Team/Role Management</h1>
+                {can('manageTeams') && (
+                    <Button onClick={() => setShowTeamModal(true)} className="bg-green-600 hover:bg-green-700">
+                        Manage Teams
+                    </Button>
+                )}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                {teamDocs.map(team => {
+                    // Archived mentors stay out of the member list but their past work still counts
+                    const members = mentors.filter(m => m.teams.includes(team.name) && !isArchivedMentor(m));
+                    const memberIds = new Set(members.map(m => m.id));
+                    const teamTasks = rangeTasks.filter(t => memberIds.has(t.mentorId));
+                    const lectureMinutes = teamTasks.filter(t => t.taskType === 'Lecture').reduce((sum, t) => sum + (t.minutes || 0), 0);
+                    const units = teamTasks.filter(t => t.taskType !== 'Lecture').reduce((sum, t) => sum + getTaskUnits(t), 0);
+                    // Payment is per mentor, so a mentor in several teams counts in full towards each of them
+                    const teamPayout = dashboardSummary.mentorPayments.filter(p => memberIds.has(p.mentorId)).reduce((sum, p) => sum + p.payment, 0);
+                    const sharedMembers = members.filter(m => m.teams.length > 1).length;
+                    return (
+                        <Panel key={team.id || team.name} title={team.name} className="bg-indigo-50">
+                            {team.description && <p className="text-sm text-gray-600 mb-2">{team.description}</p>}
+                            <p className="text-xs text-gray-500 mb-3">
+                                Lead: <span className="font-medium text-gray-700">{team.leadName || 'Not set'}</span>
+                                {team.defaultBaseRate ? <> · Default rate: <span className="font-medium text-gray-700">Rs {team.defaultBaseRate}/min</span></> : null}
+                                <br />
+                                Task types: {team.allowedTaskTypes.length === TASK_TYPES.length ? 'All' : team.allowedTaskTypes.join(', ')}
+                            </p>
+                            <p className="text-4xl font-extrabold text-indigo-600 mb-2">{members.length}</p>
+                            <p className="text-sm text-gray-700">
+                                {reportRange.label}: <span className="font-bold">{teamTasks.length}</span> tasks, {lectureMinutes} lecture min, {units} units
+                            </p>
+                            <p className="text-sm text-gray-700 mb-4">
+                                Est. payout: <span className="font-bold text-red-600">{formatRupees(teamPayout)}</span>
+                                {sharedMembers > 0 && <span className="text-xs text-gray-500 block">Includes {sharedMembers} mentor{sharedMembers === 1 ? '' : 's'} also in other teams</span>}
+                            </p>
+                            <h4 className="font-semibold mb-2">Members:</h4>
+                            <div className="space-y-2 max-h-48 overflow-y-auto">
+                                {members.length > 0 ? members.map(member => (
+                                    <div key={member.id} className="flex items-center space-x-3 p-2 bg-white rounded-lg shadow-sm">
+                                        <img src={member.photoURL} alt="" className="h-6 w-6 rounded-full object-cover"/>
+                                        <span className="text-sm font-medium">{member.name}</span>
+                                    </div>
+                                )) : (
+                                    <p className="text-sm text-gray-500">No members assigned to this team.</p>
+                                )}
+                            </div>
+                        </Panel>
+                    );
+                })}
+            </div>
+        </div>
+    );
+
+    // G1. Review Queue (Team Leads / Admins)
+    const ReviewQueueView = () => {
+        const [statusFilter, setStatusFilter] = useState('open'); // open = Submitted + Under Review
+
+        const reviewableMentorIds = mentors.filter(m => canReviewWorkFor(userProfile, m)).map(m => m.id);
+        const queue = tasks.filter(t => {
+            if (!reviewableMentorIds.includes(t.mentorId)) return false;
+            const status = getTaskStatus(t);
+            return statusFilter === 'open' ? ['Submitted', 'Under Review'].includes(status) : status === statusFilter;
+        });
+
+        const ReviewRow = ({ task }) => {
+            const [comment, setComment] = useState('');
+            const status = getTaskStatus(task);
+
+            return (
+                <tr className="text-sm align-top">
+                    <td className="px-4 py-3 text-gray-600">
+                        {task.date?.toLocaleDateString()}
+                        {isBackdated(task) && <span className="text-xs text-gray-400 block">Logged {task.submittedAt.toLocaleDateString()}</span>}
+                    </td>
+                    <td className="px-4 py-3 font-medium text-gray-900">{task.mentorName}</td>
+                    <td className="px-4 py-3">
+                        {task.description}
+                        {task.chapterName && <span className="text-xs text-gray-500 block">({task.chapterName})</span>}
+                        <span className="text-xs text-gray-500 block">{task.taskType} - {formatTaskQuantity(task)}{getLectureRating(task) ? ` - Rating ${Number(getLectureRating(task)).toFixed(1)}` : ''}</span>
+                    </td>
+                    <td className="px-4 py-3">
+                        <span className={`px-2 py-0.5 text-xs rounded-full font-medium ${TASK_STATUSES[status].className}`}>{status}</span>
+                    </td>
+                    <td className="px-4 py-3">
+                        <textarea
+                            value={comment}
+                            onChange={(e) => setComment(e.target.value)}
+                            placeholder="Comment (required to reject or request changes)"
+                            rows="2"
+                            className="block w-full rounded-lg border-gray-300 shadow-sm p-2 border text-xs focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                    </td>
+                    <td className="px-4 py-3 text-right space-y-1 whitespace-nowrap">
+                        {status === 'Submitted' && (
+                            <Button onClick={() => reviewTask(task, 'Under Review', comment)} className="bg-yellow-500 hover:bg-yellow-600 px-3 py-1 text-xs block w-full">
+                                Start Review
+                            </Button>
+                        )}
+                        {status !== 'Approved' && (
+                            <Button onClick={() => reviewTask(task, 'Approved', comment)} className="bg-green-600 hover:bg-green-700 px-3 py-1 text-xs block w-full">
+                                Approve
+                            </Button>
+                        )}
+                        {status !== 'Needs Changes' && (
+                            <Button onClick={() => reviewTask(task, 'Needs Changes', comment)} disabled={!comment.trim()} className="bg-orange-500 hover:bg-orange-600 px-3 py-1 text-xs block w-full">
+                                Needs Changes
+                            </Button>
+                        )}
+                        {status !== 'Rejected' && (
+                            <Button onClick={() => reviewTask(task, 'Rejected', comment)} disabled={!comment.trim()} className="bg-red-500 hover:bg-red-600 px-3 py-1 text-xs block w-full">
+                                Reject
+                            </Button>
+                        )}
+                    </td>
+                </tr>
+            );
+        };
+
+        return (
+            <div className="p-6">
+                <div className="flex justify-between items-center mb-6">
+                    <h1 className="text-3xl font-extrabold text-indigo-800">Review Queue</h1>
+                    <select
+                        value={statusFilter}
+                        onChange={(e) => setStatusFilter(e.target.value)}
+                        className="rounded-lg border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
+                    >
+                        <option value="open">Awaiting Review</option>
+                        {Object.keys(TASK_STATUSES).map(status => (
+                            <option key={status} value={status}>{status}</option>
+                        ))}
+                    </select>
+                </div>
+                <Panel title={`Tasks (${queue.length})`}>
+                    {queue.length === 0 ? (
+                        <p className="text-gray-500">Nothing to review.</p>
+                    ) : (
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead>
+                                <tr className="bg-gray-50">
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Work Date</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Mentor</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Work</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider w-1/4">Comment</th>
+                                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {queue.map(task => <ReviewRow key={task.id} task={task} />)}
+                            </tbody>
+                        </table>
+                    )}
+                </Panel>
+            </div>
+        );
+    };
+
+    // G2. Payroll Periods View (Primary Tab)
+    const PayrollView = () => {
+        const [cycle, setCycle] = useState('monthly');
+        const [month, setMonth] = useState(toDateInputValue(new Date()).slice(0, 7)); // YYYY-MM, local time
+        const [customRange, setCustomRange] = useState({ name: '', start: '', end: '' });
+        const [expandedPeriodId, setExpandedPeriodId] = useState(null);
+        const [isRecalculating, setIsRecalculating] = useState(false);
+
+        const handleRecalculate = async () => {
+            setIsRecalculating(true);
+            await recalculateTaskAggregates();
+            setIsRecalculating(false);
         };
 
-        const handleSubmit = (e) => {
+        const handleCreate = (e) => {
             e.preventDefault();
-            updateMentor(formData);
+            let name, startDate, endDate;
+            if (cycle === 'monthly') {
+                const [year, monthIndex] = month.split('-').map(Number);
+                startDate = new Date(year, monthIndex - 1, 1);
+                endDate = new Date(year, monthIndex, 0, 23, 59, 59, 999);
+                name = startDate.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+            } else {
+                startDate = new Date(`${customRange.start}T00:00:00`);
+                endDate = new Date(`${customRange.end}T23:59:59.999`);
+                name = customRange.name || `${startDate.toLocaleDateString()} - ${endDate.toLocaleDateString()}`;
+            }
+
+            if (isNaN(startDate) || isNaN(endDate) || startDate > endDate) {
+                console.error("Validation Failed: Payroll period must have a valid start and end date.");
+                return;
+            }
+            if (payrollPeriods.some(p => startDate <= p.endDate && endDate >= p.startDate)) {
+                console.error("Validation Failed: Payroll period overlaps an existing period.");
+                return;
+            }
+            createPayrollPeriod({ name, cycle, startDate, endDate });
         };
 
-        return (
-            <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-                <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6 animate-fade-in">
-                    <h3 className="text-2xl font-bold text-indigo-800 mb-6 border-b pb-3">{isEditing ? 'Edit Mentor' : 'Add New Mentor'}</h3>
-                    <form onSubmit={handleSubmit}>
-                        <div className="space-y-4">
-                            {/* Photo Upload */}
-                            <div className="flex flex-col items-center">
-                                <img
-                                    src={formData.photoURL}
-                                    alt="Mentor Photo"
-                                    className="w-24 h-24 rounded-full object-cover ring-4 ring-indigo-300 shadow-md mb-3"
-                                />
-                                <input
-                                    type="file"
-                                    id="photo-upload"
-                                    accept="image/*"
-                                    onChange={handlePhotoUpload}
-                                    className="hidden"
-                                />
-                                <label
-                                    htmlFor="photo-upload"
-                                    className="cursor-pointer text-sm text-indigo-600 font-medium hover:text-indigo-800 transition"
-                                >
-                                    Change Photo
-                                </label>
-                            </div>
+        const inputClass = "mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500";
 
-                            <label className="block">
-                                <span className="text-gray-700 font-medium">Name:</span>
-                                <input
-                                    type="text"
-                                    name="name"
-                                    value={formData.name}
-                                    onChange={handleChange}
-                                    required
-                                    className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
-                                />
-                            </label>
+        return (
+            <div className="p-6">
+                <div className="flex justify-between items-center mb-6">
+                    <h1 className="text-3xl font-extrabold text-indigo-800">Payroll Periods</h1>
+                    {can('managePayroll') && (
+                        <Button onClick={handleRecalculate} disabled={isRecalculating} className="bg-gray-600 hover:bg-gray-700 text-sm" title="Rebuild the stored per-mentor totals from the tasks">
+                            {isRecalculating ? 'Recalculating...' : 'Recalculate Totals'}
+                        </Button>
+                    )}
+                </div>
 
-                            <label className="block">
-                                <span className="text-gray-700 font-medium">Email:</span>
-                                <input
-                                    type="email"
-                                    name="email"
-                                    value={formData.email}
-                                    onChange={handleChange}
-                                    className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
-                                />
+                {can('managePayroll') && (
+                <Panel title="Open New Period" className="mb-6">
+                    <form onSubmit={handleCreate} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                        <label className="block">
+                            <span className="text-gray-700 font-medium">Cycle:</span>
+                            <select value={cycle} onChange={(e) => setCycle(e.target.value)} className={inputClass}>
+                                <option value="monthly">Monthly</option>
+                                <option value="custom">Custom Range</option>
+                            </select>
+                        </label>
+                        {cycle === 'monthly' ? (
+                            <label className="block md:col-span-2">
+                                <span className="text-gray-700 font-medium">Month:</span>
+                                <input type="month" value={month} onChange={(e) => setMonth(e.target.value)} required className={inputClass} />
                             </label>
+                        ) : (
+                            <>
+                                <label className="block">
+                                    <span className="text-gray-700 font-medium">From:</span>
+                                    <input type="date" value={customRange.start} onChange={(e) => setCustomRange(prev => ({ ...prev, start: e.target.value }))} required className={inputClass} />
+                                </label>
+                                <label className="block">
+                                    <span className="text-gray-700 font-medium">To:</span>
+                                    <input type="date" value={customRange.end} onChange={(e) => setCustomRange(prev => ({ ...prev, end: e.target.value }))} required className={inputClass} />
+                                </label>
+                            </>
+                        )}
+                        <Button type="submit" className="bg-green-600 hover:bg-green-700">
+                            + Open Period
+                        </Button>
+                    </form>
+                </Panel>
+                )}
 
-                            <label className="block">
-                                <span className="text-gray-700 font-medium">Base Rate (Rs/min):</span>
-                                <input
-                                    type="number"
-                                    name="baseRate"
-                                    value={formData.baseRate}
-                                    onChange={handleChange}
-                                    min="1"
-                                    step="0.01"
-                                    required
-                                    className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
-                                />
-                            </label>
+                <div className="space-y-4">
+                    {payrollPeriods.length === 0 && <p className="text-gray-500">No payroll periods yet.</p>}
+                    {payrollPeriods.map(period => {
+                        const isLocked = period.status === 'locked';
+                        const periodSlips = paymentSlips.filter(s => s.periodId === period.id);
+                        const periodTasks = isLocked ? [] : tasks.filter(t => isWithinPeriod(t.date, period));
+                        // The open review queue is always loaded whole, so this count is complete
+                        const openReviewCount = periodTasks.filter(t => OPEN_REVIEW_STATUSES.includes(t.status)).length;
+                        const earlierOpenPeriod = isLocked ? null : payrollPeriods.find(p => p.status !== 'locked' && p.endDate < period.startDate);
+                        const lockBlocker = earlierOpenPeriod
+                            ? `Lock "${earlierOpenPeriod.name}" first; payroll periods are locked in order.`
+                            : openReviewCount > 0
+                                ? `${openReviewCount} task${openReviewCount === 1 ? '' : 's'} in this period ${openReviewCount === 1 ? 'is' : 'are'} still waiting for review. Settle them before locking.`
+                                : '';
+                        // Locked periods read from their immutable slips; others are previewed from the stored
+                        // aggregates, or from the loaded tasks for mentors that have none yet
+                        const rows = isLocked
+                            ? periodSlips.map(slip => ({ mentorId: slip.mentorId, mentorName: slip.mentorName, taskCount: slip.tasks.length, summary: slip.summary, slipNumber: slip.slipNumber, slip }))
+                            : mentors.map(mentor => {
+                                const aggregate = getTaskAggregate(period.id, mentor);
+                                if (aggregate) return { mentorId: mentor.id, mentorName: mentor.name, taskCount: aggregate.totals.taskCount, summary: calculatePaymentFromTotals(aggregate.totals.paymentTotals, mentor.baseRate, paymentPolicy) };
+                                const mentorTasks = periodTasks.filter(t => t.mentorId === mentor.id);
+                                return { mentorId: mentor.id, mentorName: mentor.name, taskCount: mentorTasks.length, summary: calculatePayment(mentorTasks, mentor.baseRate, paymentPolicy) };
+                            }).filter(row => row.taskCount > 0);
+                        const total = rows.reduce((sum, row) => sum + row.summary.P_final, 0);
+                        // Locked periods print their stored slips; open ones print draft slips built from the period's tasks
+                        const downloadSlips = async (slipRows, filename) => {
+                            if (isLocked) {
+                                handleDownloadSlips(slipRows.map(row => row.slip), filename);
+                                return;
+                            }
+                            try {
+                                const loaded = await fetchTasks({ mentorId: slipRows.length === 1 ? slipRows[0].mentorId : null, start: period.startDate, end: period.endDate });
+                                const draftTasks = loaded.filter(t => isWithinPeriod(t.date, period));
+                                handleDownloadSlips(slipRows.map(row => ({
+                                    ...buildPaymentSlip(period, mentors.find(m => m.id === row.mentorId), draftTasks.filter(t => t.mentorId === row.mentorId), paymentPolicy),
+                                    draft: true,
+                                })), filename);
+                            } catch (e) {
+                                console.error("Error loading tasks for draft slips:", e);
+                                setError("Failed to load the period's tasks for the draft slips.");
+                            }
+                        };
 
-                            <div className="mt-4">
-                                <span className="text-gray-700 font-medium block mb-2">Teams: (Select all that apply)</span>
-                                <div className="flex flex-wrap gap-2 max-h-32 overflow-y-auto p-2 border rounded-lg bg-gray-50">
-                                    {teams.map(team => (
-                                        <div
-                                            key={team}
-                                            onClick={() => handleTeamToggle(team)}
-                                            className={`cursor-pointer px-3 py-1 text-sm rounded-full transition duration-150 ${
-                                                formData.teams.includes(team)
-                                                    ? 'bg-indigo-600 text-white shadow-md'
-                                                    : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
-                                            }`}
-                                        >
-                                            {team}
-                                        </div>
-                                    ))}
+                        return (
+                            <Panel key={period.id} title={period.name}>
+                                <div className="flex flex-wrap justify-between items-center gap-3">
+                                    <div className="text-sm text-gray-600">
+                                        {period.startDate?.toLocaleDateString()} - {period.endDate?.toLocaleDateString()}
+                                        <span className={`ml-3 px-3 py-1 text-xs rounded-full font-medium ${isLocked ? 'bg-gray-200 text-gray-700' : period.status === 'review' ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-700'}`}>
+                                            {PAYROLL_STATUS_LABELS[period.status]}
+                                        </span>
+                                        {isLocked && <span className="ml-2 text-xs">(Policy v{period.policyVersion}, {period.slipCount} slips)</span>}
+                                    </div>
+                                    <div className="flex items-center space-x-2">
+                                        <span className="text-lg font-extrabold text-green-700 mr-2">Rs {total.toLocaleString()}</span>
+                                        <Button onClick={() => setExpandedPeriodId(expandedPeriodId === period.id ? null : period.id)} className="bg-indigo-500 hover:bg-indigo-600 px-3 py-1 text-xs">
+                                            {expandedPeriodId === period.id ? 'Hide' : 'Details'}
+                                        </Button>
+                                        {rows.length > 0 && (
+                                            <Button
+                                                onClick={() => downloadSlips(rows, `P4I-${isLocked ? 'SLIPS' : 'DRAFT-SLIPS'}_${period.name}`)}
+                                                className="bg-green-600 hover:bg-green-700 px-3 py-1 text-xs"
+                                            >
+                                                {isLocked ? 'All Slips (PDF)' : 'Draft Slips (PDF)'}
+                                            </Button>
+                                        )}
+                                        {can('managePayroll') && period.status === 'open' && (
+                                            <Button onClick={() => updatePayrollPeriodStatus(period.id, 'review')} className="bg-yellow-500 hover:bg-yellow-600 px-3 py-1 text-xs">
+                                                Start Review
+                                            </Button>
+                                        )}
+                                        {can('managePayroll') && period.status === 'review' && (
+                                            <>
+                                                <Button onClick={() => updatePayrollPeriodStatus(period.id, 'open')} className="bg-gray-500 hover:bg-gray-600 px-3 py-1 text-xs">
+                                                    Reopen
+                                                </Button>
+                                                <Button onClick={() => lockPayrollPeriod(period)} disabled={!!lockBlocker} className="bg-red-500 hover:bg-red-600 px-3 py-1 text-xs">
+                                                    Lock & Generate Slips
+                                                </Button>
+                                            </>
+                                        )}
+                                    </div>
                                 </div>
-                            </div>
-                        </div>
+                                {period.status === 'review' && lockBlocker && (
+                                    <p className="mt-3 p-3 bg-yellow-50 text-yellow-800 text-sm rounded-lg">{lockBlocker}</p>
+                                )}
 
-                        <div className="flex justify-end space-x-3 mt-6">
-                            <Button type="button" onClick={onClose} className="bg-gray-500 hover:bg-gray-600">
-                                Cancel
-                            </Button>
-                            {isEditing && (
-                                <Button type="button" onClick={() => deleteMentor(mentor.id)} className="bg-red-500 hover:bg-red-600">
-                                    Delete
-                                </Button>
-                            )}
-                            <Button type="submit">
-                                {isEditing ? 'Save Changes' : 'Add Mentor'}
-                            </Button>
-                        </div>
-                    </form>
+                                {expandedPeriodId === period.id && (
+                                    <table className="min-w-full divide-y divide-gray-200 mt-4">
+                                        <thead>
+                                            <tr className="bg-gray-50">
+                                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Mentor</th>
+                                                {isLocked && <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Slip No.</th>}
+                                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Tasks</th>
+                                                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Lecture Pay</th>
+                                                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Other Pay</th>
+                                                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                                                {isLocked && <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Payout</th>}
+                                                <th className="px-4 py-2"></th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="bg-white divide-y divide-gray-200">
+                                            {rows.length === 0 && (
+                                                <tr><td colSpan="8" className="px-4 py-3 text-sm text-gray-500">No work logged in this period.</td></tr>
+                                            )}
+                                            {rows.map(row => (
+                                                <tr key={row.mentorId} className="text-sm">
+                                                    <td className="px-4 py-2 font-medium text-gray-900">{row.mentorName}</td>
+                                                    {isLocked && <td className="px-4 py-2 font-mono text-xs">{row.slipNumber}</td>}
+                                                    <td className="px-4 py-2 text-gray-500">{row.taskCount}</td>
+                                                    <td className="px-4 py-2 text-right">Rs {row.summary.P_final_lectures.toLocaleString()}</td>
+                                                    <td className="px-4 py-2 text-right">Rs {row.summary.P_final_other.toLocaleString()}</td>
+                                                    <td className="px-4 py-2 text-right font-bold text-green-700">Rs {row.summary.P_final.toLocaleString()}</td>
+                                                    {isLocked && (() => {
+                                                        const payout = payouts.find(p => p.slipId === row.slip.id);
+                                                        const status = PAYOUT_STATUSES[payout?.status || 'pending'];
+                                                        return (
+                                                            <td className="px-4 py-2 text-right space-x-2 whitespace-nowrap">
+                                                                <span className={`px-2 py-0.5 text-xs rounded-full font-medium ${status.className}`}>{status.label}</span>
+                                                                {can('managePayouts') && (
+                                                                    <Button onClick={() => openPayoutForSlip(row.slip)} className="bg-indigo-500 hover:bg-indigo-600 px-3 py-1 text-xs">
+                                                                        {payout ? 'Update' : 'Record'}
+                                                                    </Button>
+                                                                )}
+                                                            </td>
+                                                        );
+                                                    })()}
+                                                    <td className="px-4 py-2 text-right">
+                                                        <button type="button" onClick={() => downloadSlips([row], row.slipNumber || `P4I-DRAFT_${row.mentorName}_${period.name}`)} className="text-xs text-indigo-600 hover:text-indigo-800 font-medium">
+                                                            PDF
+                                                        </button>
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                )}
+                            </Panel>
+                        );
+                    })}
                 </div>
             </div>
         );
     };
 
-    // B. Teams Modal (Add/Edit)
-    const TeamsModal = ({ onClose }) => {
+    // G3. Payment Policy Editor (Primary Tab)
+    const PaymentPolicyView = () => {
+        const [formData, setFormData] = useState(paymentPolicy);
+
+        const handleNumberChange = (e) => {
+            const { name, value } = e.target;
+            setFormData(prev => ({ ...prev, [name]: parseFloat(value) }));
+        };
+
+        const handleRatingChange = (e) => {
+            const { name, value } = e.target;
+            setFormData(prev => ({ ...prev, ratingTiers: { ...prev.ratingTiers, [name]: parseFloat(value) } }));
+        };
+
+        const handleRateCardChange = (taskType, field, value) => {
+            setFormData(prev => ({
+                ...prev,
+                rateCards: {
+                    ...prev.rateCards,
+                    [taskType]: { ...prev.rateCards[taskType], [field]: field === 'unit' ? value : parseFloat(value) },
+                },
+            }));
+        };
+
+        const handleFrequencyChange = (index, field, value) => {
+            setFormData(prev => ({
+                ...prev,
+                frequencyTiers: prev.frequencyTiers.map((tier, i) => (
+                    i === index ? { ...tier, [field]: field === 'label' ? value : parseFloat(value) } : tier
+                )),
+            }));
+        };
+
+        const handleAddFrequencyTier = () => {
+            setFormData(prev => ({
+                ...prev,
+                frequencyTiers: [...prev.frequencyTiers, { label: 'New Tier', minLectures: 1, minMinutes: 60, multiplier: 1.0 }],
+            }));
+        };
+
+        const handleRemoveFrequencyTier = (index) => {
+            setFormData(prev => ({ ...prev, frequencyTiers: prev.frequencyTiers.filter((_, i) => i !== index) }));
+        };
+
+        const handleSubmit = (e) => {
+            e.preventDefault();
+            const { ratingTiers } = formData;
+            if (ratingTiers.lowBelow > ratingTiers.midUpTo) {
+                console.error("Validation Failed: The low rating threshold must not exceed the mid rating threshold.");
+                return;
+            }
+            savePaymentPolicy(formData);
+        };
+
+        const inputClass = "mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500";
+
         return (
-            <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-                <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6 animate-fade-in">
-                    <h3 className="text-2xl font-bold text-indigo-800 mb-6 border-b pb-3">Manage Teams/Roles</h3>
+            <div className="p-6">
+                <div className="flex justify-between items-center mb-6">
+                    <h1 className="text-3xl font-extrabold text-indigo-800">Payment Policy</h1>
+                    <span className="bg-indigo-100 text-indigo-700 px-3 py-1 text-sm rounded-full font-medium">
+                        Current: v{paymentPolicy.version}
+                        {paymentPolicy.lastUpdated?.toDate && ` (updated ${paymentPolicy.lastUpdated.toDate().toLocaleDateString()})`}
+                    </span>
+                </div>
 
-                    {/* Add New Team */}
-                    <div className="mb-6 border p-4 rounded-lg bg-indigo-50">
-                        <h4 className="font-semibold text-lg mb-2 text-indigo-700">Add New Category</h4>
-                        <div className="flex space-x-2">
-                            <input
-                                type="text"
-                                value={newTeamName}
-                                onChange={(e) => setNewTeamName(e.target.value)}
-                                placeholder="e.g., Curriculum Design"
-                                className="flex-grow rounded-lg border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
-                            />
-                            <Button onClick={handleAddTeam} disabled={!newTeamName}>
-                                Add
-                            </Button>
+                <form onSubmit={handleSubmit} className="space-y-6">
+                    <Panel title="Lecture Base Pay">
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            <label className="block">
+                                <span className="text-gray-700 font-medium">Chapter Cap (min):</span>
+                                <input type="number" name="chapterCapMinutes" value={formData.chapterCapMinutes} onChange={handleNumberChange} min="1" required className={inputClass} />
+                            </label>
+                            <label className="block">
+                                <span className="text-gray-700 font-medium">Default Rate (Rs/min):</span>
+                                <input type="number" name="defaultRatePerMinute" value={formData.defaultRatePerMinute} onChange={handleNumberChange} min="0" step="0.01" required className={inputClass} />
+                            </label>
+                            <label className="block">
+                                <span className="text-gray-700 font-medium">Rating When Unrated:</span>
+                                <input type="number" name="defaultRating" value={formData.defaultRating} onChange={handleNumberChange} min="1" max="5" step="0.1" required className={inputClass} />
+                            </label>
+                        </div>
+                    </Panel>
+
+                    <Panel title="Quality Modifier (M_rate)">
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            <label className="block">
+                                <span className="text-gray-700 font-medium">Low: Avg. Rating Below</span>
+                                <input type="number" name="lowBelow" value={formData.ratingTiers.lowBelow} onChange={handleRatingChange} min="1" max="5" step="0.1" required className={inputClass} />
+                                <input type="number" name="lowMultiplier" value={formData.ratingTiers.lowMultiplier} onChange={handleRatingChange} min="0" step="0.01" required className={inputClass} />
+                            </label>
+                            <label className="block">
+                                <span className="text-gray-700 font-medium">Mid: Avg. Rating Up To</span>
+                                <input type="number" name="midUpTo" value={formData.ratingTiers.midUpTo} onChange={handleRatingChange} min="1" max="5" step="0.1" required className={inputClass} />
+                                <input type="number" name="midMultiplier" value={formData.ratingTiers.midMultiplier} onChange={handleRatingChange} min="0" step="0.01" required className={inputClass} />
+                            </label>
+                            <label className="block">
+                                <span className="text-gray-700 font-medium">High: Above Mid Threshold</span>
+                                <input type="number" name="highMultiplier" value={formData.ratingTiers.highMultiplier} onChange={handleRatingChange} min="0" step="0.01" required className={inputClass} />
+                            </label>
                         </div>
-                    </div>
+                        <p className="text-xs text-gray-500 mt-2">First field is the rating threshold, second is the multiplier applied.</p>
+                    </Panel>
 
-                    {/* Current Teams List */}
-                    <div className="max-h-64 overflow-y-auto">
-                        <h4 className="font-semibold text-lg mb-3">Current Teams ({teams.length})</h4>
+                    <Panel title="Frequency Modifier (M_freq)">
                         <div className="space-y-2">
-                            {teams.map(team => (
-                                <div key={team} className="flex justify-between items-center bg-gray-100 p-3 rounded-lg shadow-sm">
-                                    <span className="font-medium text-gray-800">{team}</span>
-                                    <Button
-                                        onClick={() => handleDeleteTeam(team)}
-                                        className="bg-red-500 hover:bg-red-600 px-3 py-1 text-sm"
-                                    >
-                                        Delete
+                            <div className="grid grid-cols-5 gap-2 font-bold text-indigo-800 text-sm">
+                                <span>Tier</span>
+                                <span>Min Lectures</span>
+                                <span>Min Billable Min</span>
+                                <span>Multiplier</span>
+                                <span></span>
+                            </div>
+                            {formData.frequencyTiers.map((tier, index) => (
+                                <div key={index} className="grid grid-cols-5 gap-2 items-center">
+                                    <input type="text" value={tier.label} onChange={(e) => handleFrequencyChange(index, 'label', e.target.value)} required className={inputClass} />
+                                    <input type="number" value={tier.minLectures} onChange={(e) => handleFrequencyChange(index, 'minLectures', e.target.value)} min="0" required className={inputClass} />
+                                    <input type="number" value={tier.minMinutes} onChange={(e) => handleFrequencyChange(index, 'minMinutes', e.target.value)} min="0" required className={inputClass} />
+                                    <input type="number" value={tier.multiplier} onChange={(e) => handleFrequencyChange(index, 'multiplier', e.target.value)} min="0" step="0.01" required className={inputClass} />
+                                    <Button type="button" onClick={() => handleRemoveFrequencyTier(index)} className="bg-red-500 hover:bg-red-600 px-3 py-1 text-sm">
+                                        Remove
                                     </Button>
                                 </div>
                             ))}
+                            <div className="flex justify-between items-center pt-2">
+                                <label className="block">
+                                    <span className="text-gray-700 font-medium">Penalty Multiplier (no tier met):</span>
+                                    <input type="number" name="frequencyPenalty" value={formData.frequencyPenalty} onChange={handleNumberChange} min="0" step="0.01" required className={inputClass} />
+                                </label>
+                                <Button type="button" onClick={handleAddFrequencyTier} className="bg-indigo-500 hover:bg-indigo-600 text-sm">
+                                    + Add Tier
+                                </Button>
+                            </div>
+                            <p className="text-xs text-gray-500">The best-paying tier whose minimums are both met applies, in any order.</p>
+                        </div>
+                    </Panel>
+
+                    <Panel title="Content/Other Work Rate Cards">
+                        <div className="space-y-2">
+                            <div className="grid grid-cols-3 gap-2 font-bold text-indigo-800 text-sm">
+                                <span>Task Type</span>
+                                <span>Priced Per (Unit)</span>
+                                <span>Rate (Rs/unit)</span>
+                            </div>
+                            {TASK_TYPES.filter(type => type.value !== 'Lecture').map(type => (
+                                <div key={type.value} className="grid grid-cols-3 gap-2 items-center">
+                                    <span className="text-sm font-medium text-gray-800">{type.label}</span>
+                                    <input type="text" value={formData.rateCards[type.value].unit} onChange={(e) => handleRateCardChange(type.value, 'unit', e.target.value)} required className={inputClass} />
+                                    <input type="number" value={formData.rateCards[type.value].rate} onChange={(e) => handleRateCardChange(type.value, 'rate', e.target.value)} min="0" step="0.01" required className={inputClass} />
+                                </div>
+                            ))}
                         </div>
-                    </div>
+                    </Panel>
 
-                    <div className="flex justify-end mt-6">
-                        <Button onClick={onClose} className="bg-indigo-600 hover:bg-indigo-700">
-                            Done
+                    <Panel title="Change Notes">
+                        <textarea
+                            value={formData.notes || ''}
+                            onChange={(e) => setFormData(prev => ({ ...prev, notes: e.target.value }))}
+                            placeholder="e.g., Term 2 rates approved by finance"
+                            className={inputClass}
+                        />
+                    </Panel>
+
+                    <div className="flex justify-end space-x-3">
+                        <Button type="button" onClick={() => setFormData(paymentPolicy)} className="bg-gray-500 hover:bg-gray-600">
+                            Reset
+                        </Button>
+                        <Button type="submit">
+                            Save as v{paymentPolicy.version + 1}
                         </Button>
                     </div>
-                </div>
+                </form>
             </div>
         );
     };
 
-    // C. Task/Work Submission Modal
-    const TaskModal = ({ mentor, onClose }) => {
-        const [formData, setFormData] = useState({
-            mentorId: mentor.id,
-            mentorName: mentor.name,
-            taskType: 'Lecture',
-            description: '',
-            chapterName: '', // Required for Lecture cap calculation
-            minutes: 0, // Required for Lecture payment
-            chaptersCompleted: 1, // New field for non-lecture tasks
-            rating: 5.0,
-            status: 'Done',
+    // G4. Users & Roles View (Admin Tab)
+    const UsersView = () => {
+        const UserRow = ({ user }) => {
+            const [formData, setFormData] = useState({ role: user.role, teams: user.teams || [], mentorId: user.mentorId || '' });
+            const isSelf = user.id === userId;
+
+            const handleTeamToggle = (teamName) => {
+                setFormData(prev => ({
+                    ...prev,
+                    teams: prev.teams.includes(teamName) ? prev.teams.filter(t => t !== teamName) : [...prev.teams, teamName],
+                }));
+            };
+
+            return (
+                <tr className="text-sm align-top">
+                    <td className="px-4 py-3">
+                        <p className="font-medium text-gray-900">{user.displayName || user.email || '-'}</p>
+                        <p className="text-xs text-gray-500">{user.email}</p>
+                        <code className="text-xs text-gray-400">{user.id}</code>
+                    </td>
+                    <td className="px-4 py-3">
+                        <select
+                            value={formData.role}
+                            onChange={(e) => setFormData(prev => ({ ...prev, role: e.target.value }))}
+                            disabled={isSelf}
+                            className="rounded-lg border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
+                        >
+                            {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </td>
+                    <td className="px-4 py-3">
+                        {formData.role === 'lead' && (
+                            <div className="flex flex-wrap gap-1">
+                                {teams.map(team => (
+                                    <span
+                                        key={team}
+                                        onClick={() => handleTeamToggle(team)}
+                                        className={`cursor-pointer px-2 py-0.5 text-xs rounded-full ${formData.teams.includes(team) ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+                                    >
+                                        {team}
+                                    </span>
+                                ))}
+                            </div>
+                        )}
+                        {formData.role === 'mentor' && (
+                            <select
+                                value={formData.mentorId}
+                                onChange={(e) => setFormData(prev => ({ ...prev, mentorId: e.target.value }))}
+                                className="rounded-lg border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500"
+                            >
+                                <option value="">-- Link mentor record --</option>
+                                {mentors.map(mentor => (
+                                    <option key={mentor.id} value={mentor.id}>{mentor.name} ({mentor.email})</option>
+                                ))}
+                            </select>
+                        )}
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                        {!isSelf && (
+                            <Button onClick={() => saveUserRole(user.id, formData)} className="bg-indigo-500 hover:bg-indigo-600 px-3 py-1 text-xs">
+                                Save
+                            </Button>
+                        )}
+                    </td>
+                </tr>
+            );
+        };
+
+        const sortedUsers = [...users].sort((a, b) => (a.role === 'pending' ? -1 : 0) - (b.role === 'pending' ? -1 : 0));
+
+        return (
+            <div className="p-6">
+                <h1 className="text-3xl font-extrabold text-indigo-800 mb-6">Users & Roles</h1>
+                <Panel title={`Accounts (${users.length})`}>
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead>
+                            <tr className="bg-gray-50">
+                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Teams / Mentor Record</th>
+                                <th className="px-4 py-2"></th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {sortedUsers.map(user => <UserRow key={user.id} user={user} />)}
+                        </tbody>
+                    </table>
+                    <p className="text-xs text-gray-500 mt-3">Admins cannot change their own role. Team leads can submit work for mentors in their teams; mentors only for their linked record.</p>
+                </Panel>
+            </div>
+        );
+    };
+
+    // G5. Activity (Audit Log) View
+    const ActivityView = () => {
+        const [filters, setFilters] = useState({ targetType: '', actorId: '', field: '', search: '', from: '', to: '' });
+        const setFilter = (name, value) => setFilters(prev => ({ ...prev, [name]: value }));
+
+        const actors = [...new Map(auditLog.map(entry => [entry.actorId, entry.actorName || entry.actorId])).entries()];
+        const fields = [...new Set(auditLog.flatMap(entry => entry.fields || []))].sort();
+        const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+        const to = filters.to ? new Date(`${filters.to}T23:59:59`) : null;
+        const search = filters.search.trim().toLowerCase();
+
+        const entries = auditLog.filter(entry => {
+            if (filters.targetType && entry.targetType !== filters.targetType) return false;
+            if (filters.actorId && entry.actorId !== filters.actorId) return false;
+            if (filters.field && !(entry.fields || []).includes(filters.field)) return false;
+            if (from && (!entry.at || entry.at < from)) return false;
+            if (to && (!entry.at || entry.at > to)) return false;
+            if (search && !`${entry.targetName} ${entry.targetId} ${entry.action}`.toLowerCase().includes(search)) return false;
+            return true;
         });
 
+        const inputClass = "mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-2 border text-sm focus:ring-indigo-500 focus:border-indigo-500";
+
+        return (
+            <div className="p-6">
+                <h1 className="text-3xl font-extrabold text-indigo-800 mb-6">Activity</h1>
+                <Panel title="Filters" className="mb-6">
+                    <div className="grid grid-cols-1 md:grid-cols-6 gap-4">
+                        <label className="block text-sm font-medium text-gray-700">
+                            Record Type
+                            <select value={filters.targetType} onChange={(e) => setFilter('targetType', e.target.value)} className={inputClass}>
+                                <option value="">All</option>
+                                {Object.entries(AUDIT_TARGET_TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                            </select>
+                        </label>
+                        <label className="block text-sm font-medium text-gray-700">
+                            Changed By
+                            <select value={filters.actorId} onChange={(e) => setFilter('actorId', e.target.value)} className={inputClass}>
+                                <option value="">Anyone</option>
+                                {actors.map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+                            </select>
+                        </label>
+                        <label className="block text-sm font-medium text-gray-700">
+                            Field
+                            <select value={filters.field} onChange={(e) => setFilter('field', e.target.value)} className={inputClass}>
+                                <option value="">Any field</option>
+                                {fields.map(field => <option key={field} value={field}>{field}</option>)}
+                            </select>
+                        </label>
+                        <label className="block text-sm font-medium text-gray-700">
+                            Search
+                            <input type="text" value={filters.search} onChange={(e) => setFilter('search', e.target.value)} placeholder="Mentor, task, team..." className={inputClass} />
+                        </label>
+                        <label className="block text-sm font-medium text-gray-700">
+                            From
+                            <input type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} className={inputClass} />
+                        </label>
+                        <label className="block text-sm font-medium text-gray-700">
+                            To
+                            <input type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} className={inputClass} />
+                        </label>
+                    </div>
+                </Panel>
+                <Panel title={`Changes (${entries.length})`}>
+                    {entries.length === 0 ? (
+                        <p className="text-gray-500">No activity matches these filters.</p>
+                    ) : (
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead>
+                                <tr className="bg-gray-50">
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Who</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Record</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Changes</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {entries.map(entry => (
+                                    <tr key={entry.id} className="text-sm align-top">
+                                        <td className="px-4 py-3 text-gray-600 whitespace-nowrap">{entry.at?.toLocaleString() || 'Saving...'}</td>
+                                        <td className="px-4 py-3 text-gray-900">{entry.actorName || entry.actorId}</td>
+                                        <td className="px-4 py-3"><code className="text-xs bg-gray-100 px-1 rounded">{entry.action}</code></td>
+                                        <td className="px-4 py-3">
+                                            <p className="font-medium text-gray-900">{entry.targetName || entry.targetId}</p>
+                                            <p className="text-xs text-gray-500">{AUDIT_TARGET_TYPES[entry.targetType] || entry.targetType}</p>
+                                        </td>
+                                        <td className="px-4 py-3 text-xs text-gray-700 space-y-1">
+                                            {(entry.fields || []).map(field => (
+                                                <p key={field}>
+                                                    <span className="font-semibold">{field}:</span>{' '}
+                                                    <span className="text-red-600 line-through">{formatAuditValue(entry.before?.[field])}</span>{' '}
+                                                    &rarr; <span className="text-green-700">{formatAuditValue(entry.after?.[field])}</span>
+                                                </p>
+                                            ))}
+                                            {entry.details && Object.entries(entry.details).map(([key, value]) => (
+                                                <p key={key} className="text-gray-500">{key}: {formatAuditValue(value)}</p>
+                                            ))}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                    {auditLog.length >= AUDIT_LOG_LIMIT && (
+                        <p className="text-xs text-gray-500 mt-3">Showing the {AUDIT_LOG_LIMIT} most recent changes.</p>
+                    )}
+                </Panel>
+            </div>
+        );
+    };
+
+    // G6. Assignments View (Team Leads / Admins) - overdue and upcoming planned work per team
+    const AssignmentsView = () => {
+        const assignableMentors = mentors.filter(m => canAssignWorkTo(userProfile, m) && !isArchivedMentor(m));
+        const [formData, setFormData] = useState({ mentorId: '', team: '', title: '', taskType: 'Lecture', chapterId: '', expected: 0, dueDate: '' });
+        const [showClosed, setShowClosed] = useState(false);
+
+        const selectedMentor = assignableMentors.find(m => m.id === formData.mentorId);
+        // Leads can only count assignments against the teams they lead
+        const teamOptions = (selectedMentor?.teams || []).filter(team => userRole === 'admin' || (userProfile.teams || []).includes(team));
+        const visibleTeams = userRole === 'admin' ? teams : teams.filter(team => (userProfile.teams || []).includes(team));
+        const typesForTeam = (teamName) => {
+            const team = teamDocs.find(t => t.name === teamName);
+            return team ? TASK_TYPES.filter(type => team.allowedTaskTypes.includes(type.value)) : TASK_TYPES;
+        };
+        const taskTypeOptions = typesForTeam(formData.team);
+
         const handleChange = (e) => {
             const { name, value, type } = e.target;
-            setFormData(prev => ({
-                ...prev,
-                [name]: type === 'number' ? parseFloat(value) : value,
-            }));
+            setFormData(prev => {
+                const next = {
+                    ...prev,
+                    [name]: type === 'number' ? parseFloat(value) : value,
+                    ...(name === 'mentorId' ? { team: '' } : {}),
+                };
+                // Switching team falls back to its first allowed task type when the current one isn't allowed
+                const options = typesForTeam(next.team);
+                if (!options.some(option => option.value === next.taskType)) next.taskType = options[0]?.value || 'Lecture';
+                return next;
+            });
         };
 
-        const handleSubmit = (e) => {
+        const handleCreate = (e) => {
             e.preventDefault();
-            
-            // Basic validation
-            if (formData.taskType === 'Lecture' && (!formData.chapterName || formData.minutes <= 0)) {
-                console.error("Validation Failed: For 'Lecture' tasks, Chapter Name and Minutes must be specified.");
+            const dueDate = new Date(`${formData.dueDate}T23:59:59.999`);
+            if (!formData.mentorId || !formData.team || !formData.title.trim() || isNaN(dueDate)) {
+                console.error("Validation Failed: An assignment needs a mentor, team, title and due date.");
                 return;
             }
-            if (formData.taskType !== 'Lecture' && formData.chaptersCompleted <= 0) {
-                 console.error("Validation Failed: For non-lecture tasks, Chapters Completed must be greater than zero.");
+            if (!taskTypeOptions.some(option => option.value === formData.taskType)) {
+                console.error(`Validation Failed: The ${formData.team} team does not take '${formData.taskType}' work.`);
                 return;
             }
-            
-            addTask(formData);
-            onClose();
+            const chapter = syllabus.find(c => c.id === formData.chapterId);
+            const needsChapter = CHAPTER_TASK_TYPES.includes(formData.taskType);
+            if (needsChapter && !chapter) {
+                console.error(`Validation Failed: '${formData.taskType}' assignments need a chapter from the syllabus.`);
+                return;
+            }
+            if (!(formData.expected > 0)) {
+                console.error("Validation Failed: Expected minutes/units must be greater than zero.");
+                return;
+            }
+            createAssignment({
+                ...formData,
+                title: formData.title.trim(),
+                chapterId: needsChapter ? chapter.id : null,
+                chapterName: needsChapter ? chapter.name : '',
+                dueDate,
+            });
+            setFormData(prev => ({ ...prev, title: '', chapterId: '', expected: 0, dueDate: '' }));
         };
 
-        const isLecture = formData.taskType === 'Lecture';
-        const isChapterBased = formData.taskType === 'Content Team (Chapterwise)' || formData.taskType === 'Test Series Team';
-
+        const inputClass = "mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500";
+        const expectedUnit = getAssignmentUnit(formData, paymentPolicy);
 
         return (
-            <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-                <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6 animate-fade-in">
-                    <h3 className="text-2xl font-bold text-indigo-800 mb-6 border-b pb-3">Submit Work for {mentor.name}</h3>
-                    <form onSubmit={handleSubmit}>
-                        <div className="space-y-4">
-                            <label className="block">
-                                <span className="text-gray-700 font-medium">Task Type:</span>
-                                <select
-                                    name="taskType"
-                                    value={formData.taskType}
-                                    onChange={handleChange}
-                                    required
-                                    className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
-                                >
-                                    <option value="Lecture">Lecture</option>
-                                    <option value="Content Team (Chapterwise)">Content (Q-Set/Chapter)</option>
-                                    <option value="Test Series Team">Test Series (Unit/Module)</option>
-                                    <option value="Doubt Session Team">Doubt Session</option>
-                                    <option value="Mentorship Team">Mentorship</option>
-                                    <option value="Other">Other</option>
-                                </select>
-                            </label>
+            <div className="p-6">
+                <h1 className="text-3xl font-extrabold text-indigo-800 mb-6">Assignments</h1>
 
+                <Panel title="Assign New Work" className="mb-6">
+                    <form onSubmit={handleCreate} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                        <label className="block">
+                            <span className="text-gray-700 font-medium">Mentor:</span>
+                            <select name="mentorId" value={formData.mentorId} onChange={handleChange} required className={inputClass}>
+                                <option value="">-- Select mentor --</option>
+                                {assignableMentors.map(mentor => <option key={mentor.id} value={mentor.id}>{mentor.name}</option>)}
+                            </select>
+                        </label>
+                        <label className="block">
+                            <span className="text-gray-700 font-medium">Team:</span>
+                            <select name="team" value={formData.team} onChange={handleChange} required className={inputClass}>
+                                <option value="">-- Select team --</option>
+                                {teamOptions.map(team => <option key={team} value={team}>{team}</option>)}
+                            </select>
+                        </label>
+                        <label className="block">
+                            <span className="text-gray-700 font-medium">Task Type:</span>
+                            <select name="taskType" value={formData.taskType} onChange={handleChange} className={inputClass}>
+                                {taskTypeOptions.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+                            </select>
+                        </label>
+                        <label className="block">
+                            <span className="text-gray-700 font-medium">Title:</span>
+                            <input type="text" name="title" value={formData.title} onChange={handleChange} required placeholder="e.g., Rotational Motion lecture series" className={inputClass} />
+                        </label>
+                        {CHAPTER_TASK_TYPES.includes(formData.taskType) && (
                             <label className="block">
-                                <span className="text-gray-700 font-medium">Description/Title of Work:</span>
-                                <input
-                                    type="text"
-                                    name="description"
-                                    value={formData.description}
-                                    onChange={handleChange}
-                                    required
-                                    className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
-                                />
+                                <span className="text-gray-700 font-medium">Chapter:</span>
+                                <ChapterSelect syllabus={syllabus} value={formData.chapterId} onChange={handleChange} required className={inputClass} />
                             </label>
+                        )}
+                        <label className="block">
+                            <span className="text-gray-700 font-medium capitalize">Expected {expectedUnit}s:</span>
+                            <input type="number" name="expected" value={formData.expected} onChange={handleChange} min="0" step={expectedUnit === 'hour' ? '0.25' : '1'} required className={inputClass} />
+                        </label>
+                        <label className="block">
+                            <span className="text-gray-700 font-medium">Due Date:</span>
+                            <input type="date" name="dueDate" value={formData.dueDate} onChange={handleChange} required className={inputClass} />
+                        </label>
+                        <Button type="submit" className="bg-green-600 hover:bg-green-700">
+                            + Assign Work
+                        </Button>
+                    </form>
+                </Panel>
 
-                            {isLecture && (
-                                <>
-                                    <label className="block">
-                                        <span className="text-gray-700 font-medium">Chapter Name (for cap):</span>
-                                        <input
-                                            type="text"
-                                            name="chapterName"
-                                            value={formData.chapterName}
-                                            onChange={handleChange}
-                                            required
-                                            placeholder="e.g., Modern Physics"
-                                            className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
-                                        />
-                                        <p className="text-xs text-gray-500 mt-1">Required for payment calculation (240 min cap per chapter).</p>
-                                    </label>
-                                    <label className="block">
-                                        <span className="text-gray-700 font-medium">Minutes Delivered:</span>
-                                        <input
-                                            type="number"
-                                            name="minutes"
-                                            value={formData.minutes}
-                                            onChange={handleChange}
-                                            min="0"
-                                            required
-                                            className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
-                                        />
-                                        <p className="text-xs text-gray-500 mt-1">Used for T_billable calculation.</p>
-                                    </label>
-                                </>
-                            )}
-                            
-                            {!isLecture && (
-                                <label className="block">
-                                    <span className="text-gray-700 font-medium">Chapters/Units Completed:</span>
-                                    <input
-                                        type="number"
-                                        name="chaptersCompleted"
-                                        value={formData.chaptersCompleted}
-                                        onChange={handleChange}
-                                        min="1"
-                                        required
-                                        className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
-                                    />
-                                    <p className="text-xs text-gray-500 mt-1">Used for payment calculation (Rs {calculatePayment([], mentor.baseRate).CHAPTER_RATE} per unit).</p>
-                                </label>
-                            )}
-
-
-                            {isLecture && (
-                                <label className="block">
-                                    <span className="text-gray-700 font-medium">Rating (1.0 to 5.0):</span>
-                                    <input
-                                        type="number"
-                                        name="rating"
-                                        value={formData.rating}
-                                        onChange={handleChange}
-                                        min="1"
-                                        max="5"
-                                        step="0.1"
-                                        required
-                                        className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-3 border focus:ring-indigo-500 focus:border-indigo-500"
-                                    />
-                                    <p className="text-xs text-gray-500 mt-1">Used for Quality Modifier (M_rate).</p>
-                                </label>
-                            )}
+                <label className="flex items-center space-x-2 text-sm text-gray-700 mb-4">
+                    <input type="checkbox" checked={showClosed} onChange={(e) => setShowClosed(e.target.checked)} />
+                    <span>Show completed and cancelled assignments</span>
+                </label>
 
-                        </div>
+                <div className="space-y-6">
+                    {visibleTeams.map(team => {
+                        const teamAssignments = assignments.filter(a => a.team === team);
+                        const overdue = teamAssignments.filter(a => isAssignmentOverdue(a));
+                        const upcoming = teamAssignments.filter(a => isAssignmentUpcoming(a));
+                        const later = teamAssignments.filter(a => a.status === 'open' && !overdue.includes(a) && !upcoming.includes(a));
+                        const closed = teamAssignments.filter(a => a.status !== 'open');
+                        const sections = [
+                            { title: 'Overdue', items: overdue, className: 'text-red-700' },
+                            { title: `Due in the next ${ASSIGNMENT_UPCOMING_DAYS} days`, items: upcoming, className: 'text-yellow-700' },
+                            { title: 'Later', items: later, className: 'text-gray-700' },
+                            ...(showClosed ? [{ title: 'Closed', items: closed, className: 'text-gray-500' }] : []),
+                        ];
 
-                        <div className="flex justify-end space-x-3 mt-6">
-                            <Button type="button" onClick={onClose} className="bg-gray-500 hover:bg-gray-600">
-                                Cancel
-                            </Button>
-                            <Button type="submit">
-                                Submit Work
-                            </Button>
-                        </div>
-                    </form>
+                        return (
+                            <Panel key={team} title={`${team} (${overdue.length} overdue, ${upcoming.length} upcoming)`}>
+                                {teamAssignments.length === 0 ? (
+                                    <p className="text-gray-500">No assignments for this team.</p>
+                                ) : sections.filter(section => section.items.length > 0).map(section => (
+                                    <div key={section.title} className="mb-4 last:mb-0">
+                                        <h4 className={`font-semibold mb-2 ${section.className}`}>{section.title} ({section.items.length})</h4>
+                                        <div className="space-y-2">
+                                            {section.items.map(assignment => <AssignmentRow key={assignment.id} assignment={assignment} showMentor />)}
+                                        </div>
+                                    </div>
+                                ))}
+                            </Panel>
+                        );
+                    })}
                 </div>
             </div>
         );
     };
 
-    // D. Mentor Profile View
-    const MentorProfile = ({ mentor, onBack }) => {
-        const mentorTasks = tasks.filter(t => t.mentorId === mentor.id);
-
-        // 90 Day Summary
-        const ninetyDaysAgo = new Date();
-        ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - 90);
-        const tasksLast90Days = mentorTasks.filter(t => t.date && t.date > ninetyDaysAgo);
-
-        // Calculate Payment Summary for 90 days
-        const summary90Days = calculatePayment(tasksLast90Days, mentor.baseRate);
-        const overallSummary = calculatePayment(mentorTasks, mentor.baseRate);
+    // G7. Syllabus Catalogue & Coverage View - minutes lectured, question sets and mentors per chapter
+    const SyllabusView = () => {
+        const [subjectFilter, setSubjectFilter] = useState('');
+        const [newChapter, setNewChapter] = useState({ subject: '', unit: '', name: '' });
+        const subjects = [...new Set(syllabus.map(chapter => chapter.subject))];
+        const units = [...new Set(syllabus.filter(chapter => chapter.subject === newChapter.subject).map(chapter => chapter.unit))];
 
-        // Group tasks by week for payment slip view
-        const tasksByWeek = tasksLast90Days.reduce((acc, task) => {
-            if (!task.date) return acc;
-            // Simple weekly grouping: based on the start of the week for the task date (e.g., Monday)
-            const date = new Date(task.date);
-            const day = date.getDay(); // 0 is Sunday, 1 is Monday...
-            const diff = date.getDate() - day + (day === 0 ? -6 : 1); // Adjust to Monday
-            const weekStart = new Date(date.setDate(diff)).toISOString().split('T')[0];
-
-            if (!acc[weekStart]) {
-                acc[weekStart] = [];
+        // Coverage for the reporting period. Rejected work does not count; older free-text chapters are matched by name
+        const coverage = {};
+        const uncatalogued = {};
+        rangeTasks.forEach(task => {
+            if (!CHAPTER_TASK_TYPES.includes(task.taskType) || getTaskStatus(task) === 'Rejected') return;
+            const chapter = findChapter(syllabus, task);
+            const key = chapter ? chapter.id : normalizeChapterName(task.chapterName);
+            if (!key) return;
+            const bucket = chapter ? coverage : uncatalogued;
+            if (!bucket[key]) bucket[key] = { label: task.chapterName, minutes: 0, lectures: 0, questionSets: 0, mentors: new Set() };
+            if (task.taskType === 'Lecture') {
+                bucket[key].minutes += task.minutes || 0;
+                bucket[key].lectures += 1;
+            } else {
+                bucket[key].questionSets += getTaskUnits(task);
             }
-            acc[weekStart].push(task);
-            return acc;
-        }, {});
-
-        return (
-            <div className="p-6">
-                <div className="flex justify-between items-center mb-6">
-                    <Button onClick={onBack} className="bg-gray-500 hover:bg-gray-600 text-sm">
-                        &larr; Back to Mentors
-                    </Button>
-                    <Button
-                        onClick={() => handlePrint('mentor-profile-print')}
-                        className="bg-green-600 hover:bg-green-700 text-sm"
-                    >
-                        Print Mentor Profile & Payment Slip
-                    </Button>
-                </div>
+            bucket[key].mentors.add(task.mentorName || mentors.find(m => m.id === task.mentorId)?.name || task.mentorId);
+        });
 
-                <div id="mentor-profile-print" className="space-y-8 print-friendly">
-                    {/* Mentor Header Section */}
-                    <Panel title="Mentor Profile" className="col-span-1 md:col-span-3">
-                        <div className="flex flex-col md:flex-row items-start md:items-center space-y-4 md:space-y-0 md:space-x-6">
-                            <img
-                                src={mentor.photoURL}
-                                alt={`${mentor.name} Photo`}
-                                className="w-24 h-24 rounded-full object-cover ring-4 ring-indigo-300 shadow-lg flex-shrink-0"
-                            />
-                            <div>
-                                <h1 className="text-3xl font-extrabold text-gray-900">{mentor.name}</h1>
-                                <p className="text-indigo-600 font-medium">{mentor.email}</p>
-                                <p className="text-sm text-gray-500 mt-1">
-                                    **User ID (for cross-reference):** <code className="text-xs bg-gray-100 p-1 rounded">{mentor.id}</code>
-                                </p>
-                            </div>
-                        </div>
-                        <div className="mt-4 pt-4 border-t">
-                            <h4 className="font-semibold text-gray-700 mb-2">Assigned Teams/Roles:</h4>
-                            <div className="flex flex-wrap gap-2">
-                                {mentor.teams.map(team => (
-                                    <span key={team} className="bg-indigo-100 text-indigo-700 px-3 py-1 text-sm rounded-full font-medium">
-                                        {team}
-                                    </span>
-                                ))}
-                            </div>
-                        </div>
-                    </Panel>
+        const handleAdd = (e) => {
+            e.preventDefault();
+            const chapter = {
+                subject: newChapter.subject.trim(),
+                unit: newChapter.unit.trim(),
+                name: newChapter.name.trim().replace(/\s+/g, ' '),
+            };
+            if (!chapter.subject || !chapter.unit || !chapter.name) {
+                console.error("Validation Failed: Subject, unit and chapter name are required.");
+                return;
+            }
+            if (syllabus.some(c => c.subject === chapter.subject && normalizeChapterName(c.name) === normalizeChapterName(chapter.name))) {
+                console.error(`Validation Failed: "${chapter.name}" is already in the ${chapter.subject} syllabus.`);
+                return;
+            }
+            const added = { id: makeChapterId(chapter.subject, chapter.name, syllabus), ...chapter };
+            saveSyllabus([...syllabus, added], 'syllabus.add', added);
+            setNewChapter(prev => ({ ...prev, name: '' }));
+        };
 
-                    {/* Summary Section */}
-                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-                        <div className="bg-indigo-50 p-4 rounded-xl shadow-md">
-                            <p className="text-lg font-semibold text-indigo-800">Overall Lectures</p>
-                            <p className="text-3xl font-bold text-indigo-600">{overallSummary.lecturesCount}</p>
-                        </div>
-                        <div className="bg-indigo-50 p-4 rounded-xl shadow-md">
-                            <p className="text-lg font-semibold text-indigo-800">Overall Chapters/Units</p>
-                            <p className="text-3xl font-bold text-indigo-600">{overallSummary.totalChaptersCompleted}</p>
-                        </div>
-                        <div className="bg-green-50 p-4 rounded-xl shadow-md">
-                            <p className="text-lg font-semibold text-green-800">Total Est. Pay (Overall)</p>
-                            <p className="text-3xl font-bold text-green-600">Rs {overallSummary.P_final.toLocaleString()}</p>
-                        </div>
-                        <div className="bg-yellow-50 p-4 rounded-xl shadow-md">
-                            <p className="text-lg font-semibold text-yellow-800">Overall Avg. Rating (Lec.)</p>
-                            <p className="text-3xl font-bold text-yellow-600">{overallSummary.averageRating} / 5.0</p>
-                        </div>
-                    </div>
+        const handleRemove = (chapter) => {
+            // IMPORTANT: Replace window.confirm with custom modal in production
+            if (!window.confirm(`Remove "${chapter.name}" from the syllabus? Existing work keeps its chapter name.`)) return;
+            saveSyllabus(syllabus.filter(c => c.id !== chapter.id), 'syllabus.remove', chapter);
+        };
 
-                    {/* Payment Slip/Details for Last 90 Days */}
-                    <Panel title="Payment Summary (Last 90 Days)">
-                        <p className="text-sm text-gray-600 mb-4">
-                            This summary covers all tasks submitted from {ninetyDaysAgo.toLocaleDateString()} to present.
-                        </p>
-                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                            {/* Combined Payout */}
-                            <div className="space-y-2 p-4 bg-indigo-100 rounded-lg border-2 border-indigo-400 md:col-span-3">
-                                <p className="text-xl font-extrabold text-indigo-900">FINAL 90-DAY PAYMENT: Rs {summary90Days.P_final.toLocaleString()}</p>
-                                <p className="text-sm text-gray-700">
-                                    <span className="font-semibold">Lecture Pay:</span> Rs {summary90Days.P_final_lectures.toLocaleString()} + <span className="font-semibold">Content/Other Pay:</span> Rs {summary90Days.P_final_other.toLocaleString()}
-                                </p>
-                            </div>
+        const inputClass = "mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500";
+        const coveredCount = syllabus.filter(chapter => coverage[chapter.id]).length;
 
-                            {/* Lecture Calculation Breakdown */}
-                            <div className="space-y-2 p-4 bg-gray-50 rounded-lg border">
-                                <h4 className="font-bold text-indigo-700">Lecture Work Breakdown (90 Days)</h4>
-                                <p className="text-sm"><span className="font-semibold">Total Billable Minutes (Capped):</span> {summary90Days.T_billable} min</p>
-                                <p className="text-sm"><span className="font-semibold">Base Pay (Rs {summary90Days.R_minute}/min):</span> Rs {summary90Days.basePayLectures.toLocaleString()}</p>
-                                <p className="text-sm"><span className="font-semibold">Avg. Rating:</span> {summary90Days.averageRating}</p>
-                                <p className="text-sm"><span className="font-semibold">Quality (M_rate):</span> {summary90Days.M_rate}</p>
-                                <p className="text-sm"><span className="font-semibold">Frequency (M_freq):</span> {summary90Days.M_freq}</p>
-                            </div>
+        return (
+            <div className="p-6">
+                <div className="flex justify-between items-center mb-6">
+                    <h1 className="text-3xl font-extrabold text-indigo-800">Syllabus Coverage</h1>
+                    <select value={subjectFilter} onChange={(e) => setSubjectFilter(e.target.value)} className="rounded-lg border-gray-300 shadow-sm p-2 border focus:ring-indigo-500 focus:border-indigo-500">
+                        <option value="">All subjects</option>
+                        {subjects.map(subject => <option key={subject} value={subject}>{subject}</option>)}
+                    </select>
+                </div>
+                <p className="text-sm text-gray-600 mb-6">{coveredCount} of {syllabus.length} chapters have lectures or question sets logged.</p>
 
-                            {/* Content/Other Calculation Breakdown */}
-                            <div className="space-y-2 p-4 bg-gray-50 rounded-lg border">
-                                <h4 className="font-bold text-indigo-700">Content/Other Work Breakdown (90 Days)</h4>
-                                <p className="text-sm"><span className="font-semibold">Total Chapters/Units:</span> {summary90Days.totalChaptersCompleted}</p>
-                                <p className="text-sm"><span className="font-semibold">Rate per Unit (Placeholder):</span> Rs {summary90Days.CHAPTER_RATE}</p>
-                                <p className="text-sm"><span className="font-semibold">Total Payout:</span> Rs {summary90Days.P_final_other.toLocaleString()}</p>
-                                <p className="text-xs text-red-500 mt-2">Note: Rate is a placeholder; adjust policy.</p>
-                            </div>
-                        </div>
-                    </Panel>
+                {can('manageSyllabus') && (
+                <Panel title="Add Chapter" className="mb-6">
+                    <form onSubmit={handleAdd} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                        <label className="block">
+                            <span className="text-gray-700 font-medium">Subject:</span>
+                            <input type="text" list="syllabus-subjects" value={newChapter.subject} onChange={(e) => setNewChapter(prev => ({ ...prev, subject: e.target.value }))} required className={inputClass} />
+                            <datalist id="syllabus-subjects">{subjects.map(subject => <option key={subject} value={subject} />)}</datalist>
+                        </label>
+                        <label className="block">
+                            <span className="text-gray-700 font-medium">Unit:</span>
+                            <input type="text" list="syllabus-units" value={newChapter.unit} onChange={(e) => setNewChapter(prev => ({ ...prev, unit: e.target.value }))} required className={inputClass} />
+                            <datalist id="syllabus-units">{units.map(unit => <option key={unit} value={unit} />)}</datalist>
+                        </label>
+                        <label className="block">
+                            <span className="text-gray-700 font-medium">Chapter:</span>
+                            <input type="text" value={newChapter.name} onChange={(e) => setNewChapter(prev => ({ ...prev, name: e.target.value }))} required className={inputClass} />
+                        </label>
+                        <Button type="submit" className="bg-green-600 hover:bg-green-700">
+                            + Add Chapter
+                        </Button>
+                    </form>
+                </Panel>
+                )}
 
-                    {/* Work Assigned/Done (Detailed List) */}
-                    <Panel title="Work Done History (Assigned/Done)">
-                        {mentorTasks.length === 0 ? (
-                            <p className="text-gray-500">No work records found for this mentor.</p>
-                        ) : (
-                            <div className="space-y-4">
-                                <div className="flex justify-between font-bold text-indigo-800 border-b pb-2 mb-2">
-                                    <span className="w-1/6">Date</span>
-                                    <span className="w-2/6">Description (Chapter/Units)</span>
-                                    <span className="w-1/6">Type</span>
-                                    <span className="w-1/6 text-right">Minutes/Units</span>
-                                    <span className="w-1/6 text-right">Rating</span>
-                                </div>
-                                <div className="max-h-96 overflow-y-auto">
-                                    {mentorTasks.map((task) => (
-                                        <div key={task.id} className="flex justify-between text-sm py-2 border-b last:border-b-0 hover:bg-gray-50">
-                                            <span className="w-1/6 text-gray-600">{task.date?.toLocaleDateString()}</span>
-                                            <span className="w-2/6 font-medium">
-                                                {task.description}
-                                                {task.chapterName && <span className="text-xs text-gray-500 block">({task.chapterName})</span>}
-                                            </span>
-                                            <span className="w-1/6">{task.taskType}</span>
-                                            <span className="w-1/6 text-right font-mono">
-                                                {task.taskType === 'Lecture' ? `${task.minutes} min` : `${task.chaptersCompleted} units`}
-                                            </span>
-                                            <span className="w-1/6 text-right font-mono text-indigo-600">{task.rating?.toFixed(1) || '-'}</span>
-                                        </div>
-                                    ))}
-                                </div>
-                            </div>
-                        )}
-                    </Panel>
+                <div className="space-y-6">
+                    {subjects.filter(subject => !subjectFilter || subject === subjectFilter).map(subject => (
+                        <Panel key={subject} title={subject}>
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead>
+                                    <tr className="bg-gray-50">
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Unit</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Chapter</th>
+                                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Lecture Minutes</th>
+                                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Lectures</th>
+                                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Question Sets</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Covered By</th>
+                                        {can('manageSyllabus') && <th className="px-4 py-2"></th>}
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {syllabus.filter(chapter => chapter.subject === subject).map(chapter => {
+                                        const data = coverage[chapter.id];
+                                        return (
+                                            <tr key={chapter.id} className={`text-sm ${data ? '' : 'text-gray-400'}`}>
+                                                <td className="px-4 py-2">{chapter.unit}</td>
+                                                <td className="px-4 py-2 font-medium">{chapter.name}</td>
+                                                <td className="px-4 py-2 text-right font-mono">{data?.minutes || 0}</td>
+                                                <td className="px-4 py-2 text-right font-mono">{data?.lectures || 0}</td>
+                                                <td className="px-4 py-2 text-right font-mono">{data?.questionSets || 0}</td>
+                                                <td className="px-4 py-2">{data ? [...data.mentors].join(', ') : 'Not covered'}</td>
+                                                {can('manageSyllabus') && (
+                                                    <td className="px-4 py-2 text-right">
+                                                        <button type="button" onClick={() => handleRemove(chapter)} className="text-xs text-red-600 hover:text-red-800">Remove</button>
+                                                    </td>
+                                                )}
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </Panel>
+                    ))}
 
-                    {/* Weekly Payment Breakdowns (optional, showing how P_final sums up for the 90 days) */}
-                    {Object.keys(tasksByWeek).length > 0 && (
-                        <Panel title="Weekly Task Breakdown (Last 90 Days)">
-                            <div className="space-y-4">
-                                {Object.keys(tasksByWeek).sort().reverse().map(weekStart => {
-                                    const weeklyTasks = tasksByWeek[weekStart];
-                                    const weeklySummary = calculatePayment(weeklyTasks, mentor.baseRate);
-                                    return (
-                                        <div key={weekStart} className="bg-gray-50 p-4 rounded-lg border-l-4 border-indigo-500 shadow-sm">
-                                            <div className="flex justify-between items-center mb-2">
-                                                <h5 className="font-bold text-indigo-800">Week Starting: {new Date(weekStart).toLocaleDateString()}</h5>
-                                                <span className="text-xl font-extrabold text-green-700">Rs {weeklySummary.P_final.toLocaleString()}</span>
-                                            </div>
-                                            <p className="text-sm text-gray-600 mb-2">
-                                                Lecture Pay: Rs {weeklySummary.P_final_lectures.toLocaleString()} | Other Pay: Rs {weeklySummary.P_final_other.toLocaleString()}
-                                            </p>
-                                            <ul className="text-xs list-disc pl-5 space-y-1">
-                                                {weeklyTasks.map(task => (
-                                                    <li key={task.id}>
-                                                        {task.date?.toLocaleDateString()}: {task.description} ({task.taskType}) - 
-                                                        {task.taskType === 'Lecture' ? `${task.minutes} min` : `${task.chaptersCompleted} units`}
-                                                    </li>
-                                                ))}
-                                            </ul>
-                                        </div>
-                                    );
-                                })}
-                            </div>
+                    {Object.keys(uncatalogued).length > 0 && !subjectFilter && (
+                        <Panel title="Chapters Not in the Catalogue">
+                            <p className="text-sm text-gray-600 mb-3">Older work logged with free-text chapter names that do not match any catalogue chapter. Edit the tasks to pick the right chapter.</p>
+                            <ul className="text-sm space-y-1">
+                                {Object.values(uncatalogued).map(data => (
+                                    <li key={data.label}>
+                                        <span className="font-semibold">{data.label}</span>: {data.minutes} min over {data.lectures} lecture(s), {data.questionSets} question set(s) - {[...data.mentors].join(', ')}
+                                    </li>
+                                ))}
+                            </ul>
                         </Panel>
                     )}
                 </div>
@@ -1066,212 +5822,306 @@ const App = () => {
         );
     };
 
-    // E. Dashboard View
-    const Dashboard = () => (
-        <div className="p-6">
-            <h1 className="text-3xl font-extrabold text-indigo-800 mb-6">PREP4IISER Management Dashboard</h1>
+    // G8. CSV Import View (Admin Tab) - map columns, preview validation, then import valid rows
+    const ImportView = () => {
+        const [kind, setKind] = useState('tasks'); // tasks, mentors
+        const [sheet, setSheet] = useState(null); // { fileName, headers, rows }
+        const [mapping, setMapping] = useState({});
+        const [taskStatus, setTaskStatus] = useState('Approved');
+        const [message, setMessage] = useState('');
+        const [existingTasks, setExistingTasks] = useState(null); // Tasks already on file across the sheet's dates
 
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
-                <Panel title="Total Mentors" className="bg-indigo-50">
-                    <p className="text-5xl font-extrabold text-indigo-600">{dashboardSummary.totalMentors}</p>
-                </Panel>
-                <Panel title="Total Tasks Logged" className="bg-green-50">
-                    <p className="text-5xl font-extrabold text-green-600">{dashboardSummary.totalTasks}</p>
-                    <p className="text-sm text-gray-500 mt-1">{dashboardSummary.totalLectures} Lectures</p>
-                </Panel>
-                <Panel title="Total Chapters/Units" className="bg-yellow-50">
-                    <p className="text-5xl font-extrabold text-yellow-600">{dashboardSummary.totalUnits}</p>
-                    <p className="text-sm text-gray-500 mt-1">Completed (Non-Lecture)</p>
+        const fields = kind === 'tasks' ? TASK_IMPORT_FIELDS : MENTOR_IMPORT_FIELDS;
+        const missingFields = fields.filter(field => field.required && !(mapping[field.key] >= 0));
+
+        // Duplicates are checked against every stored task in the sheet's date span, not just the loaded ones
+        useEffect(() => {
+            const dates = kind === 'tasks' && sheet && mapping.date >= 0
+                ? sheet.rows.map(row => parseImportDate(row[mapping.date])).filter(Boolean)
+                : [];
+            if (dates.length === 0) {
+                setExistingTasks([]);
+                return;
+            }
+            const times = dates.map(date => date.getTime());
+            const start = new Date(Math.min(...times));
+            const end = new Date(Math.max(...times));
+            start.setHours(0, 0, 0, 0);
+            end.setHours(23, 59, 59, 999);
+            let cancelled = false;
+            setExistingTasks(null);
+            fetchTasks({ start, end })
+                .then(loaded => { if (!cancelled) setExistingTasks(loaded); })
+                .catch(e => {
+                    console.error("Error loading existing tasks for the import:", e);
+                    setError("Failed to check the import for duplicate tasks.");
+                });
+            return () => { cancelled = true; };
+        }, [kind, sheet, mapping.date, fetchTasks]);
+
+        const previewRows = !sheet || missingFields.length > 0 || (kind === 'tasks' && !existingTasks) ? [] : kind === 'tasks'
+            ? buildTaskImportRows(sheet.rows, mapping, { mentors, tasks: existingTasks, syllabus, payrollPeriods, policy: paymentPolicy })
+            : buildMentorImportRows(sheet.rows, mapping, { mentors });
+        const importable = previewRows.filter(row => !row.error && !row.duplicate);
+
+        const handleKindChange = (newKind) => {
+            setKind(newKind);
+            setMessage('');
+            if (sheet) setMapping(guessColumnMapping(sheet.headers, newKind === 'tasks' ? TASK_IMPORT_FIELDS : MENTOR_IMPORT_FIELDS));
+        };
+
+        const handleFile = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onloadend = () => {
+                const [headers = [], ...rows] = parseCsv(reader.result);
+                setSheet({ fileName: file.name, headers, rows });
+                setMapping(guessColumnMapping(headers, fields));
+                setMessage('');
+            };
+            reader.readAsText(file);
+        };
+
+        const handleImport = async () => {
+            const data = importable.map(row => row.data);
+            const ok = kind === 'tasks' ? await importTasks(data, taskStatus) : await importMentors(data);
+            if (ok) {
+                setMessage(`Imported ${data.length} ${kind} from ${sheet.fileName}.`);
+                setSheet(null);
+            }
+        };
+
+        const inputClass = "mt-1 block w-full rounded-lg border-gray-300 shadow-sm p-2 border text-sm focus:ring-indigo-500 focus:border-indigo-500";
+
+        return (
+            <div className="p-6">
+                <h1 className="text-3xl font-extrabold text-indigo-800 mb-6">Import from CSV</h1>
+
+                <Panel title="1. Choose File" className="mb-6">
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                        <label className="block text-sm font-medium text-gray-700">
+                            Import
+                            <select value={kind} onChange={(e) => handleKindChange(e.target.value)} className={inputClass}>
+                                <option value="tasks">Tasks (historical work logs)</option>
+                                <option value="mentors">Mentors</option>
+                            </select>
+                        </label>
+                        <label className="block text-sm font-medium text-gray-700 md:col-span-2">
+                            CSV file (export the sheet from Google Sheets via File &gt; Download &gt; CSV)
+                            <input type="file" accept=".csv,text/csv" onChange={handleFile} className="mt-1 block w-full text-sm" />
+                        </label>
+                    </div>
+                    {message && <p className="mt-4 p-3 bg-green-50 text-green-700 text-sm rounded-lg">{message}</p>}
                 </Panel>
-                <Panel title="Total Est. Payout" className="bg-red-50">
-                    <p className="text-5xl font-extrabold text-red-600">Rs {dashboardSummary.totalPayments.toLocaleString()}</p>
+
+                {sheet && (
+                <Panel title={`2. Map Columns (${sheet.fileName}, ${sheet.rows.length} rows)`} className="mb-6">
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                        {fields.map(field => (
+                            <label key={field.key} className="block text-sm font-medium text-gray-700">
+                                {field.label}{field.required && <span className="text-red-500"> *</span>}
+                                <select
+                                    value={mapping[field.key] ?? -1}
+                                    onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: Number(e.target.value) }))}
+                                    className={inputClass}
+                                >
+                                    <option value={-1}>-- Not in sheet --</option>
+                                    {sheet.headers.map((header, index) => <option key={index} value={index}>{header}</option>)}
+                                </select>
+                            </label>
+                        ))}
+                    </div>
+                    {missingFields.length > 0 && (
+                        <p className="text-sm text-red-600 mt-3">Map the required columns: {missingFields.map(field => field.label).join(', ')}.</p>
+                    )}
+                    {missingFields.length === 0 && kind === 'tasks' && !existingTasks && (
+                        <p className="text-sm text-gray-500 mt-3">Checking existing tasks for duplicates...</p>
+                    )}
                 </Panel>
-            </div>
+                )}
 
-            <Panel title="Mentor Payment & Work Overview" className="mb-6">
-                <div className="overflow-x-auto">
-                    <table className="min-w-full divide-y divide-gray-200">
-                        <thead>
-                            <tr className="bg-gray-50">
-                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider w-1/4">Mentor Name</th>
-                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider w-1/4">Teams</th>
-                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Total Tasks</th>
-                                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Est. Payout (Overall)</th>
-                                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
-                            </tr>
-                        </thead>
-                        <tbody className="bg-white divide-y divide-gray-200">
-                            {mentors.map(mentor => {
-                                const mentorTasks = tasks.filter(t => t.mentorId === mentor.id);
-                                const totalTasks = mentorTasks.length;
-                                const paymentEntry = dashboardSummary.mentorPayments.find(p => p.mentorName === mentor.name);
-                                const chaptersCompleted = mentorTasks.filter(t => t.taskType !== 'Lecture').reduce((sum, t) => sum + (t.chaptersCompleted || 0), 0);
-                                
-                                return (
-                                    <tr key={mentor.id} className="hover:bg-gray-50 transition duration-100">
-                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                                            <div className="flex items-center">
-                                                <img src={mentor.photoURL} alt="" className="h-8 w-8 rounded-full mr-3 object-cover"/>
-                                                {mentor.name}
-                                            </div>
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                                            <div className="flex flex-wrap gap-1">
-                                                {mentor.teams.slice(0, 3).map(team => (
-                                                    <span key={team} className="bg-indigo-100 text-indigo-700 px-2 py-0.5 text-xs rounded-full">
-                                                        {team.split(' ')[0]}
-                                                    </span>
-                                                ))}
-                                                {mentor.teams.length > 3 && <span className="text-xs text-gray-500">...</span>}
-                                            </div>
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                                            {totalTasks} tasks
-                                            {chaptersCompleted > 0 && <span className="text-xs text-indigo-500 block">({chaptersCompleted} units)</span>}
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-bold text-right text-green-700">
-                                            Rs {paymentEntry ? paymentEntry.payment.toLocaleString() : '0'}
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
-                                            <Button
-                                                onClick={() => setSelectedMentor(mentor)}
-                                                className="bg-indigo-500 hover:bg-indigo-600 px-3 py-1 text-xs"
-                                            >
-                                                View Profile
-                                            </Button>
-                                            <Button
-                                                onClick={() => handleEditMentor(mentor)}
-                                                className="bg-yellow-500 hover:bg-yellow-600 px-3 py-1 text-xs"
-                                            >
-                                                Edit
-                                            </Button>
+                {previewRows.length > 0 && (
+                <Panel title={`3. Preview (${importable.length} ready, ${previewRows.filter(r => r.duplicate).length} duplicates, ${previewRows.filter(r => r.error).length} errors)`}>
+                    <div className="max-h-96 overflow-y-auto">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead>
+                                <tr className="bg-gray-50">
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                                    {kind === 'tasks' ? (
+                                        <>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Mentor</th>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Work</th>
+                                            <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Minutes/Units</th>
+                                        </>
+                                    ) : (
+                                        <>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Email</th>
+                                            <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Base Rate</th>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Teams</th>
+                                        </>
+                                    )}
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Check</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {previewRows.map(row => (
+                                    <tr key={row.line} className={row.error ? 'bg-red-50' : row.duplicate ? 'bg-yellow-50' : ''}>
+                                        <td className="px-3 py-2 text-gray-500">{row.line}</td>
+                                        {kind === 'tasks' ? (
+                                            <>
+                                                <td className="px-3 py-2">{row.data.date?.toLocaleDateString() || '-'}</td>
+                                                <td className="px-3 py-2">{row.data.mentorName}</td>
+                                                <td className="px-3 py-2">
+                                                    {row.data.description}
+                                                    <span className="text-xs text-gray-500 block">{row.data.taskType}{row.data.chapterName && ` - ${row.data.chapterName}`}</span>
+                                                </td>
+                                                <td className="px-3 py-2 text-right font-mono">{formatTaskQuantity(row.data)}</td>
+                                            </>
+                                        ) : (
+                                            <>
+                                                <td className="px-3 py-2">{row.data.name}</td>
+                                                <td className="px-3 py-2">{row.data.email}</td>
+                                                <td className="px-3 py-2 text-right font-mono">{row.data.baseRate}</td>
+                                                <td className="px-3 py-2">{row.data.teams.join(', ')}</td>
+                                            </>
+                                        )}
+                                        <td className="px-3 py-2 text-xs">
+                                            {row.error ? <span className="text-red-700">{row.error}</span>
+                                                : row.duplicate ? <span className="text-yellow-800">Duplicate - will be skipped</span>
+                                                : <span className="text-green-700">OK</span>}
                                         </td>
                                     </tr>
-                                );
-                            })}
-                        </tbody>
-                    </table>
-                </div>
-            </Panel>
-            <p className="text-xs text-gray-500 mt-4">Note: Est. Payout is calculated based on Lecture tasks (using PDF formula) and other tasks (Rs {calculatePayment([], 10).CHAPTER_RATE} per unit).</p>
-        </div>
-    );
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div className="flex justify-end items-center space-x-3 mt-4">
+                        {kind === 'tasks' && (
+                            <select value={taskStatus} onChange={(e) => setTaskStatus(e.target.value)} className="rounded-lg border-gray-300 shadow-sm p-2 border text-sm">
+                                <option value="Approved">Import as Approved (already reviewed)</option>
+                                <option value="Submitted">Import as Submitted (send to review queue)</option>
+                            </select>
+                        )}
+                        <Button onClick={handleImport} disabled={importable.length === 0} className="bg-green-600 hover:bg-green-700">
+                            Import {importable.length} {kind}
+                        </Button>
+                    </div>
+                </Panel>
+                )}
+            </div>
+        );
+    };
 
-    // F. Mentors List View (Primary Tab)
-    const MentorsList = () => (
-        <div className="p-6">
-            <div className="flex justify-between items-center mb-6">
-                <h1 className="text-3xl font-extrabold text-indigo-800">Mentor Directory</h1>
-                <div className="space-x-3">
-                    <Button onClick={handleNewMentor} className="bg-green-600 hover:bg-green-700">
-                        + Add New Mentor
-                    </Button>
+    // G9. Analytics View - trends and breakdowns of approved work in the reporting period
+    const AnalyticsView = () => {
+        const approvedTasks = rangeTasks.filter(isPayableTask);
+        const weeklyTeamMinutes = buildWeeklyTeamMinutes(approvedTasks, mentors);
+        const maxWeekMinutes = Math.max(...weeklyTeamMinutes.map(row => Object.values(row.byTeam).reduce((sum, m) => sum + m, 0)), 0);
+        const payoutTrend = canViewPayouts ? buildPayoutTrend(approvedTasks, mentors, paymentPolicy) : [];
+        const ratingDistribution = buildRatingDistribution(approvedTasks, mentors);
+        const topChapters = buildTopChapters(approvedTasks, syllabus);
+        const taskTypeShare = buildTaskTypeShare(approvedTasks, mentors, paymentPolicy);
+        const totalTypeCount = taskTypeShare.reduce((sum, row) => sum + row.count, 0);
+        const teamColor = (team) => TEAM_CHART_COLORS[teams.indexOf(team) % TEAM_CHART_COLORS.length] || '#9ca3af';
+        const starColors = ['#dc2626', '#f97316', '#ca8a04', '#65a30d', '#16a34a'];
+
+        return (
+            <div className="p-6 space-y-6">
+                <div>
+                    <h1 className="text-3xl font-extrabold text-indigo-800">Analytics</h1>
+                    <p className="text-sm text-gray-500">Approved work in the reporting period ({reportRange.label}), paid under Payment Policy v{paymentPolicy.version}.</p>
                 </div>
-            </div>
 
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-                {mentors.map(mentor => {
-                    const mentorTasks = tasks.filter(t => t.mentorId === mentor.id);
-                    const totalTasks = mentorTasks.length;
-                    const paymentEntry = dashboardSummary.mentorPayments.find(p => p.mentorName === mentor.name);
-                    const chaptersCompleted = mentorTasks.filter(t => t.taskType !== 'Lecture').reduce((sum, t) => sum + (t.chaptersCompleted || 0), 0);
-                    
-                    return (
-                        <div key={mentor.id} className="bg-white rounded-xl shadow-lg hover:shadow-xl transition duration-300 p-5 flex flex-col">
-                            <div className="flex items-start mb-4">
-                                <img
-                                    src={mentor.photoURL}
-                                    alt={`${mentor.name} Photo`}
-                                    className="w-16 h-16 rounded-full object-cover ring-2 ring-indigo-300 flex-shrink-0"
-                                />
-                                <div className="ml-4">
-                                    <h3 className="text-xl font-bold text-gray-900">{mentor.name}</h3>
-                                    <p className="text-sm text-indigo-600">{mentor.email}</p>
-                                    <p className="text-xs text-gray-500">Rate: Rs {mentor.baseRate}/min</p>
-                                </div>
+                <Panel title="Weekly Lecture Minutes per Team">
+                    {weeklyTeamMinutes.length === 0 ? (
+                        <p className="text-sm text-gray-500">No lectures in this period.</p>
+                    ) : (
+                        <>
+                            <div className="flex items-end gap-1 h-48 overflow-x-auto border-b">
+                                {weeklyTeamMinutes.map(({ week, byTeam }) => {
+                                    const total = Object.values(byTeam).reduce((sum, m) => sum + m, 0);
+                                    return (
+                                        <div key={week} className="flex flex-col-reverse min-w-[1.5rem] flex-1 h-full" title={`Week of ${week}: ${total} min`}>
+                                            {Object.entries(byTeam).map(([team, minutes]) => (
+                                                <div key={team} style={{ height: `${(minutes / maxWeekMinutes) * 100}%`, backgroundColor: teamColor(team) }} title={`${team}: ${minutes} min`} />
+                                            ))}
+                                        </div>
+                                    );
+                                })}
                             </div>
-
-                            <div className="flex flex-wrap gap-1 mb-3">
-                                {mentor.teams.slice(0, 3).map(team => (
-                                    <span key={team} className="bg-indigo-100 text-indigo-700 px-2 py-0.5 text-xs rounded-full">
+                            <div className="flex justify-between text-xs text-gray-500 mt-1">
+                                <span>{weeklyTeamMinutes[0].week}</span>
+                                <span>{weeklyTeamMinutes[weeklyTeamMinutes.length - 1].week}</span>
+                            </div>
+                            <div className="flex flex-wrap gap-3 mt-3 text-xs">
+                                {[...new Set(weeklyTeamMinutes.flatMap(row => Object.keys(row.byTeam)))].map(team => (
+                                    <span key={team} className="flex items-center">
+                                        <span className="inline-block w-3 h-3 rounded-sm mr-1" style={{ backgroundColor: teamColor(team) }} />
                                         {team}
                                     </span>
                                 ))}
-                                {mentor.teams.length > 3 && <span className="text-xs text-gray-500">...</span>}
                             </div>
+                        </>
+                    )}
+                </Panel>
 
-                            <div className="mt-auto border-t pt-3 space-y-2">
-                                <p className="text-sm font-medium text-gray-700">
-                                    Work Done: <span className="font-bold text-indigo-700">{totalTasks}</span> tasks
-                                    {chaptersCompleted > 0 && <span className="text-xs text-indigo-500 block">({chaptersCompleted} units)</span>}
-                                </p>
-                                <p className="text-sm font-medium text-gray-700">Est. Payout: <span className="font-bold text-green-700">Rs {paymentEntry ? paymentEntry.payment.toLocaleString() : '0'}</span></p>
+                {canViewPayouts && (
+                    <Panel title="Estimated Payout per Month">
+                        <BarList
+                            rows={payoutTrend.map(row => ({ label: row.month, value: row.payout }))}
+                            format={(value) => `Rs ${value.toLocaleString()}`}
+                            color="#16a34a"
+                        />
+                    </Panel>
+                )}
 
-                                <div className="flex space-x-2 mt-3">
-                                    <Button
-                                        onClick={() => setSelectedMentor(mentor)}
-                                        className="bg-indigo-600 hover:bg-indigo-700 flex-grow text-xs"
-                                    >
-                                        View Profile
-                                    </Button>
-                                    <Button
-                                        onClick={() => setShowMentorModal(true) & setCurrentMentorData(mentor)}
-                                        className="bg-yellow-500 hover:bg-yellow-600 px-3 py-1 text-xs"
-                                    >
-                                        Edit
-                                    </Button>
-                                    <Button
-                                        onClick={() => setTaskMentor(mentor)} // Correctly setting state here
-                                        className="bg-blue-500 hover:bg-blue-600 px-3 py-1 text-xs"
-                                        title="Submit Work"
-                                    >
-                                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
-                                          <path d="M17.414 2.586a2 2 0 00-2.828 0L7 10.172V13h2.828l7.586-7.586a2 2 0 000-2.828z" />
-                                          <path fillRule="evenodd" d="M2 6a2 2 0 012-2h4a1 1 0 010 2H4v10h10v-4a1 1 0 112 0v4a2 2 0 01-2 2H4a2 2 0 01-2-2V6z" clipRule="evenodd" />
-                                        </svg>
-                                    </Button>
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    <Panel title="Top Chapters by Lecture Minutes">
+                        <BarList rows={topChapters.map(row => ({ label: row.name, value: row.minutes }))} format={(value) => `${value} min`} />
+                    </Panel>
+
+                    <Panel title="Share of Work per Task Type">
+                        <div className="space-y-2">
+                            {taskTypeShare.map(row => (
+                                <div key={row.type} className="flex items-center text-sm">
+                                    <span className="w-48 truncate text-gray-700">{row.label}</span>
+                                    <div className="flex-grow bg-gray-100 rounded h-4 mx-2">
+                                        <div className="h-4 rounded bg-indigo-500" style={{ width: `${totalTypeCount ? (row.count / totalTypeCount) * 100 : 0}%` }} />
+                                    </div>
+                                    <span className="w-16 text-right font-semibold">{totalTypeCount ? Math.round((row.count / totalTypeCount) * 100) : 0}%</span>
+                                    {canViewPayouts && <span className="w-28 text-right text-green-700">Rs {row.pay.toLocaleString()}</span>}
                                 </div>
-                            </div>
+                            ))}
                         </div>
-                    );
-                })}
-            </div>
-        </div>
-    );
-
-    // G. Teams View (Primary Tab)
-    const TeamsView = () => (
-        <div className="p-6">
-            <div className="flex justify-between items-center mb-6">
-                <h1 className="text-3xl font-extrabold text-indigo-800">Team/Role Management</h1>
-                <Button onClick={() => setShowTeamModal(true)} className="bg-green-600 hover:bg-green-700">
-                    Manage Teams
-                </Button>
-            </div>
+                    </Panel>
+                </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                {teams.map(team => {
-                    const members = mentors.filter(m => m.teams.includes(team));
-                    return (
-                        <Panel key={team} title={team} className="bg-indigo-50">
-                            <p className="text-4xl font-extrabold text-indigo-600 mb-4">{members.length}</p>
-                            <h4 className="font-semibold mb-2">Members:</h4>
-                            <div className="space-y-2 max-h-48 overflow-y-auto">
-                                {members.length > 0 ? members.map(member => (
-                                    <div key={member.id} className="flex items-center space-x-3 p-2 bg-white rounded-lg shadow-sm">
-                                        <img src={member.photoURL} alt="" className="h-6 w-6 rounded-full object-cover"/>
-                                        <span className="text-sm font-medium">{member.name}</span>
+                <Panel title="Rating Distribution per Mentor">
+                    {ratingDistribution.length === 0 ? (
+                        <p className="text-sm text-gray-500">No rated lectures in this period.</p>
+                    ) : (
+                        <div className="space-y-2">
+                            {ratingDistribution.map(({ mentor, counts, total, average }) => (
+                                <div key={mentor.id} className="flex items-center text-sm">
+                                    <span className="w-48 truncate text-gray-700">{mentor.name}</span>
+                                    <div className="flex flex-grow h-4 mx-2 rounded overflow-hidden bg-gray-100">
+                                        {counts.map((count, index) => count > 0 && (
+                                            <div key={index} style={{ width: `${(count / total) * 100}%`, backgroundColor: starColors[index] }} title={`${index + 1} star: ${count}`} />
+                                        ))}
                                     </div>
-                                )) : (
-                                    <p className="text-sm text-gray-500">No members assigned to this team.</p>
-                                )}
-                            </div>
-                        </Panel>
-                    );
-                })}
+                                    <span className="w-28 text-right font-semibold">{average.toFixed(2)} ({total})</span>
+                                </div>
+                            ))}
+                            <p className="text-xs text-gray-500 pt-2">Bars run from 1 star (red) to 5 stars (green); average and number of rated lectures on the right.</p>
+                        </div>
+                    )}
+                </Panel>
             </div>
-        </div>
-    );
+        );
+    };
 
     // H. Tab Navigation
     const TabButton = ({ id, label }) => (
@@ -1287,6 +6137,79 @@ const App = () => {
         </button>
     );
 
+    // H1. Offline Queue Banner (unsynced work and conflicts, shown above every view)
+    const SyncQueueBanner = () => {
+        const reassignable = mentors.filter(mentor => canSubmitWorkFor(userProfile, mentor));
+        return (
+            <div className="no-print mx-6 mt-4 p-4 rounded-xl border border-yellow-300 bg-yellow-50 text-sm">
+                <div className="flex justify-between items-center">
+                    <p className="font-semibold text-yellow-900">
+                        {isOnline ? 'Work waiting to sync' : 'You are offline. New work is saved on this device and synced when the connection returns.'}
+                        {taskQueue.length > 0 && ` (${taskQueue.length} pending)`}
+                    </p>
+                    {isOnline && taskQueue.some(entry => !entry.conflict) && (
+                        <Button onClick={syncTaskQueue} className="bg-yellow-600 hover:bg-yellow-700 px-3 py-1 text-xs">Sync Now</Button>
+                    )}
+                </div>
+                {taskQueue.length > 0 && (
+                    <ul className="mt-2 space-y-2">
+                        {taskQueue.map(entry => (
+                            <li key={entry.localId} className="flex flex-wrap items-center justify-between gap-2 bg-white rounded-lg p-2 border">
+                                <span>
+                                    <span className="font-semibold">{entry.taskData.mentorName}</span>: {entry.taskData.description} ({entry.taskData.taskType} - {formatTaskQuantity(entry.taskData)})
+                                    <span className="block text-xs text-gray-500">Logged {new Date(entry.queuedAt).toLocaleString()}</span>
+                                    {entry.conflict && <span className="block text-xs text-red-700 font-medium">{entry.conflict}</span>}
+                                </span>
+                                <span className="space-x-2 text-xs whitespace-nowrap">
+                                    {entry.conflict ? (
+                                        <>
+                                            {reassignable.length > 0 && (
+                                                <select value="" onChange={(e) => retryQueuedTask(entry.localId, reassignable.find(m => m.id === e.target.value))} className="rounded border-gray-300 p-1 border">
+                                                    <option value="">Move to mentor...</option>
+                                                    {reassignable.map(mentor => <option key={mentor.id} value={mentor.id}>{mentor.name}</option>)}
+                                                </select>
+                                            )}
+                                            <button type="button" onClick={() => retryQueuedTask(entry.localId)} className="text-indigo-600 hover:text-indigo-800">Retry</button>
+                                        </>
+                                    ) : (
+                                        <span className="text-yellow-700">Pending sync</span>
+                                    )}
+                                    <button type="button" onClick={() => discardQueuedTask(entry.localId)} className="text-red-600 hover:text-red-800">Discard</button>
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        );
+    };
+
+    // Shown under the period selector when an open-ended period only has the newest tasks loaded
+    const TaskWindowNotice = () => {
+        const [isRecalculating, setIsRecalculating] = useState(false);
+        const handleRecalculate = async () => {
+            setIsRecalculating(true);
+            await recalculateTaskAggregates();
+            setIsRecalculating(false);
+        };
+        return (
+            <div className="no-print mx-6 mt-4 p-3 rounded-xl border border-indigo-200 bg-indigo-50 text-sm flex flex-wrap justify-between items-center gap-2">
+                <p className="text-indigo-900">
+                    Showing the latest {taskDocs.length} tasks. Totals come from the stored per-mentor aggregates
+                    {missingAggregateCount > 0 && `; ${missingAggregateCount} mentor(s) have none yet and are counted from the loaded tasks only`}.
+                </p>
+                <span className="space-x-2 whitespace-nowrap">
+                    <Button onClick={() => setTaskLimit(limit => limit + TASK_QUERY_LIMIT)} className="bg-indigo-600 hover:bg-indigo-700 px-3 py-1 text-xs">Load Older</Button>
+                    {can('managePayroll') && missingAggregateCount > 0 && (
+                        <Button onClick={handleRecalculate} disabled={isRecalculating} className="bg-gray-600 hover:bg-gray-700 px-3 py-1 text-xs">
+                            {isRecalculating ? 'Recalculating...' : 'Recalculate Totals'}
+                        </Button>
+                    )}
+                </span>
+            </div>
+        );
+    };
+
     // --- Main Render ---
     return (
         <div className="min-h-screen bg-gray-100 font-sans">
@@ -1318,28 +6241,64 @@ const App = () => {
                         <h1 className="text-2xl font-black text-indigo-800 tracking-wider">
                             PREP4IISER <span className="text-sm font-medium text-gray-500">/ Management Portal</span>
                         </h1>
-                        <div className="text-xs text-gray-500">
-                            Logged in as: <span className="font-mono bg-gray-100 p-1 rounded-sm">{userId?.substring(0, 8)}...</span>
+                        <div className="text-xs text-gray-500 flex items-center space-x-3">
+                            {!isOnline && <span className="bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded-full font-medium">Offline</span>}
+                            {taskQueue.length > 0 && <span className="bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded-full font-medium">{taskQueue.length} pending sync</span>}
+                            <span>
+                                Logged in as: <span className="font-mono bg-gray-100 p-1 rounded-sm">{userProfile.email || `${userId?.substring(0, 8)}...`}</span>
+                                <span className="ml-2 bg-indigo-100 text-indigo-700 px-2 py-0.5 rounded-full font-medium">{ROLE_LABELS[userProfile.role]}</span>
+                            </span>
+                            <button type="button" onClick={() => signOut(auth)} className="text-indigo-600 hover:text-indigo-800 font-medium">
+                                Sign Out
+                            </button>
                         </div>
                     </div>
+                    {!ownMentorId && (
                     <nav className="flex space-x-1">
                         <TabButton id="dashboard" label="Dashboard" />
                         <TabButton id="mentors" label="Mentor Management" />
                         <TabButton id="teams" label="Teams/Roles" />
-                        <TabButton id="tasks" label="Task Submission" />
+                        <TabButton id="analytics" label="Analytics" />
+                        {mentors.some(mentor => canSubmitWorkFor(userProfile, mentor)) && <TabButton id="tasks" label="Task Submission" />}
+                        {mentors.some(mentor => canReviewWorkFor(userProfile, mentor)) && <TabButton id="review" label="Review Queue" />}
+                        {mentors.some(mentor => canAssignWorkTo(userProfile, mentor)) && <TabButton id="assignments" label="Assignments" />}
+                        <TabButton id="syllabus" label="Syllabus" />
+                        {canViewPayouts && <TabButton id="payroll" label="Payroll" />}
+                        {can('editRates') && <TabButton id="policy" label="Payment Policy" />}
+                        {can('manageUsers') && <TabButton id="users" label="Users & Roles" />}
+                        {canViewAuditLog && <TabButton id="activity" label="Activity" />}
+                        {can('importData') && <TabButton id="import" label="Import" />}
                     </nav>
+                    )}
                 </div>
             </header>
 
             <main className="max-w-7xl mx-auto">
-                {selectedMentor ? (
+                {(!isOnline || taskQueue.length > 0) && <SyncQueueBanner />}
+                {(ownMentorId || selectedMentor || ['dashboard', 'mentors', 'teams', 'tasks', 'analytics', 'syllabus'].includes(activeTab)) && (
+                    <PeriodSelector value={reportPeriod} onChange={setReportPeriod} payrollPeriods={payrollPeriods} range={reportRange} />
+                )}
+                {isTaskListTruncated && (ownMentorId || selectedMentor || ['dashboard', 'mentors', 'teams', 'analytics', 'syllabus'].includes(activeTab)) && <TaskWindowNotice />}
+                {ownMentorId ? (
+                    // Mentor self-service portal: only their own profile, history and slips
+                    mentors[0] ? <MentorProfile mentor={mentors[0]} /> : <p className="p-6 text-gray-500">Loading your profile...</p>
+                ) : selectedMentor ? (
                     <MentorProfile mentor={selectedMentor} onBack={() => setSelectedMentor(null)} />
                 ) : (
                     <>
                         {activeTab === 'dashboard' && <Dashboard />}
                         {activeTab === 'mentors' && <MentorsList />}
                         {activeTab === 'teams' && <TeamsView />}
+                        {activeTab === 'analytics' && <AnalyticsView />}
                         {activeTab === 'tasks' && <MentorsList />} {/* Reuse MentorsList for task submission selection */}
+                        {activeTab === 'review' && <ReviewQueueView />}
+                        {activeTab === 'assignments' && <AssignmentsView />}
+                        {activeTab === 'syllabus' && <SyllabusView />}
+                        {activeTab === 'payroll' && canViewPayouts && <PayrollView />}
+                        {activeTab === 'policy' && can('editRates') && <PaymentPolicyView />}
+                        {activeTab === 'users' && can('manageUsers') && <UsersView />}
+                        {activeTab === 'activity' && canViewAuditLog && <ActivityView />}
+                        {activeTab === 'import' && can('importData') && <ImportView />}
                     </>
                 )}
             </main>
@@ -1353,7 +6312,17 @@ const App = () => {
             )}
             {/* Conditional rendering of TaskModal now uses the top-level taskMentor state */}
             {taskMentor && (
-                <TaskModal mentor={taskMentor} onClose={() => setTaskMentor(null)} />
+                <TaskModal mentor={taskMentor} assignment={taskAssignment} onClose={() => { setTaskMentor(null); setTaskAssignment(null); }} />
+            )}
+            {editingTask && mentors.some(m => m.id === editingTask.mentorId) && (
+                <TaskModal
+                    mentor={mentors.find(m => m.id === editingTask.mentorId)}
+                    task={editingTask}
+                    onClose={() => setEditingTask(null)}
+                />
+            )}
+            {payoutDraft && (
+                <PayoutModal payout={payoutDraft} onClose={() => setPayoutDraft(null)} />
             )}
 
         </div>
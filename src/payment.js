@@ -0,0 +1,206 @@
+// Payroll calculation for PREP4IISER mentors. Pure functions only: no Firebase, React or DOM,
+// so the figures on the dashboard, profiles, slips and exports can be tested on their own.
+
+// Default payment policy (mirrors the original PDF constants). The live policy is stored in
+// settings/paymentPolicy and edited by admins; this is only used until that document exists.
+export const DEFAULT_PAYMENT_POLICY = {
+    version: 1,
+    chapterCapMinutes: 240, // Max billable lecture minutes per chapter
+    defaultRatePerMinute: 10, // Used when a mentor has no base rate
+    defaultRating: 5.0, // Assumed average rating when no lecture is rated
+    ratingTiers: {
+        lowBelow: 2.5, // averageRating < lowBelow -> lowMultiplier
+        lowMultiplier: 0.6,
+        midUpTo: 3.5, // averageRating <= midUpTo -> midMultiplier
+        midMultiplier: 0.75,
+        highMultiplier: 1.0, // anything above midUpTo
+    },
+    // The best-paying tier whose thresholds are both met wins, whatever order the tiers are stored in;
+    // meeting none of them applies frequencyPenalty
+    frequencyTiers: [
+        { label: 'Bonus', minLectures: 3, minMinutes: 180, multiplier: 1.2 },
+        { label: 'Standard', minLectures: 2, minMinutes: 120, multiplier: 1.0 },
+    ],
+    frequencyPenalty: 0.8,
+    // Rate card per non-lecture task type: Rs per unit, where unit is what that work is priced in
+    rateCards: {
+        'Content Team (Chapterwise)': { unit: 'question set', rate: 500 },
+        'Test Series Team': { unit: 'mock paper', rate: 500 },
+        'Doubt Session Team': { unit: 'hour', rate: 500 },
+        'Mentorship Team': { unit: 'mentee-month', rate: 500 },
+        'Other': { unit: 'unit', rate: 500 },
+    },
+    notes: '',
+};
+
+// Fill in any fields missing from a stored policy document with the defaults
+export const normalizePaymentPolicy = (data = {}) => ({
+    ...DEFAULT_PAYMENT_POLICY,
+    ...data,
+    ratingTiers: { ...DEFAULT_PAYMENT_POLICY.ratingTiers, ...(data.ratingTiers || {}) },
+    frequencyTiers: Array.isArray(data.frequencyTiers) ? data.frequencyTiers : DEFAULT_PAYMENT_POLICY.frequencyTiers,
+    rateCards: { ...DEFAULT_PAYMENT_POLICY.rateCards, ...(data.rateCards || {}) },
+});
+
+// Rate card for a non-lecture task type; unknown types are priced as 'Other'
+export const getRateCard = (policy, taskType) => policy.rateCards[taskType] || policy.rateCards.Other;
+
+// Units of work on a non-lecture task (older tasks stored this as chaptersCompleted)
+export const getTaskUnits = (task) => task.units ?? task.chaptersCompleted ?? 0;
+
+// "Modern Physics " and "modern physics" are the same chapter
+export const normalizeChapterName = (name) => (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Bucket used for the per-chapter lecture cap: catalogue id, or the normalised name for older free-text tasks
+export const getChapterKey = (task) => task.chapterId || normalizeChapterName(task.chapterName);
+
+// Older tasks were stored as 'Done' (counted immediately) or 'Pending' (mentor self-submissions)
+export const getTaskStatus = (task) => {
+    if (!task.status || task.status === 'Done') return 'Approved';
+    if (task.status === 'Pending') return 'Submitted';
+    return task.status;
+};
+
+// Only approved work is paid
+export const isPayableTask = (task) => getTaskStatus(task) === 'Approved';
+
+// Students' average rating wins; the rating entered by an admin is only a fallback
+export const getLectureRating = (task) => task.studentRating ?? task.rating ?? null;
+
+// Frequency multiplier for a period's lecture count and (capped) billable minutes
+export const getFrequencyMultiplier = (policy, lecturesCount, billableMinutes) => {
+    // No lectures means no lecture pay to scale, so no penalty either
+    if (lecturesCount === 0) return 1.0;
+    const metTiers = policy.frequencyTiers.filter(tier => (
+        lecturesCount >= tier.minLectures && billableMinutes >= tier.minMinutes
+    ));
+    return metTiers.length > 0 ? Math.max(...metTiers.map(tier => tier.multiplier)) : policy.frequencyPenalty;
+};
+
+// Quality multiplier for an average lecture rating
+export const getRatingMultiplier = (policy, averageRating) => {
+    const { ratingTiers } = policy;
+    if (averageRating < ratingTiers.lowBelow) return ratingTiers.lowMultiplier;
+    if (averageRating <= ratingTiers.midUpTo) return ratingTiers.midMultiplier;
+    return ratingTiers.highMultiplier;
+};
+
+/**
+ * The additive inputs to the payment calculation for a set of tasks: billable lecture minutes per chapter
+ * (before the cap), lecture count and rating sum, and units per non-lecture type. Totals for separate sets
+ * of tasks simply add up, which is what lets stored task aggregates be updated one month at a time.
+ *
+ * @param {Array<object>} allTasks Tasks as stored (see calculatePayment). Only approved tasks are counted.
+ * @returns {{ chapterMinutes: Object<string, number>, lecturesCount: number, ratingSum: number,
+ *   ratingCount: number, unitsByType: Object<string, number> }}
+ */
+export const getPaymentTotals = (allTasks) => {
+    const totals = { chapterMinutes: {}, lecturesCount: 0, ratingSum: 0, ratingCount: 0, unitsByType: {} };
+    allTasks.filter(isPayableTask).forEach(task => {
+        if (task.taskType !== 'Lecture') {
+            totals.unitsByType[task.taskType] = (totals.unitsByType[task.taskType] || 0) + getTaskUnits(task);
+            return;
+        }
+        // Lectures without a chapter or with no minutes are not paid
+        const chapterKey = getChapterKey(task);
+        if (!chapterKey || !task.minutes || task.minutes <= 0) return;
+        totals.chapterMinutes[chapterKey] = (totals.chapterMinutes[chapterKey] || 0) + task.minutes;
+        totals.lecturesCount += 1;
+        const rating = Number(getLectureRating(task));
+        if (rating) {
+            totals.ratingSum += rating;
+            totals.ratingCount += 1;
+        }
+    });
+    return totals;
+};
+
+/**
+ * Pay for one mentor from payment totals (see getPaymentTotals), following the PDF logic extended with
+ * per-type rate cards.
+ *
+ * Lectures: each chapter's minutes are capped at policy.chapterCapMinutes and summed, giving T_billable.
+ * Lecture pay is T_billable * R_minute * M_rate * M_freq, where M_rate comes from the average lecture
+ * rating (policy.defaultRating when nothing is rated) and M_freq from the lecture count and T_billable.
+ * Other work: each type's units are paid at its rate card (unknown types as 'Other').
+ *
+ * @param {object} totals Payment totals from getPaymentTotals.
+ * @param {number} [baseRatePerMinute] Mentor's base rate in Rs/min; policy.defaultRatePerMinute when unset.
+ * @param {object} [policy] Payment policy, normalised (see normalizePaymentPolicy).
+ * @returns {{
+ *   P_final: number, P_final_lectures: number, P_final_other: number, basePayLectures: number,
+ *   T_billable: number, R_minute: number, M_rate: number, M_freq: number,
+ *   averageRating: string, lecturesCount: number, totalChaptersCompleted: number,
+ *   otherByType: Object<string, { unit: string, rate: number, units: number, pay: number }>,
+ *   policyVersion: number
+ * }} Rupee amounts are rounded to whole rupees; averageRating has two decimals;
+ *   totalChaptersCompleted is the number of non-lecture units.
+ */
+export const calculatePaymentFromTotals = (totals, baseRatePerMinute, policy = DEFAULT_PAYMENT_POLICY) => {
+    // --- Lecture (PDF Logic) ---
+    const lectureBillableMinutes = Object.values(totals.chapterMinutes)
+        .reduce((sum, minutes) => sum + Math.min(minutes, policy.chapterCapMinutes), 0);
+    const { lecturesCount } = totals;
+
+    const R_minute = baseRatePerMinute || policy.defaultRatePerMinute;
+
+    // Base Pay for Lectures
+    const basePayLectures = lectureBillableMinutes * R_minute;
+
+    // M_rate (Quality Modifier) for Lectures
+    const averageRating = totals.ratingCount > 0 ? totals.ratingSum / totals.ratingCount : policy.defaultRating;
+    const M_rate = getRatingMultiplier(policy, averageRating);
+
+    // M_freq (Frequency & Volume Modifier) for Lectures
+    const M_freq = getFrequencyMultiplier(policy, lecturesCount, lectureBillableMinutes);
+
+    // Final Payment for Lectures
+    const P_final_lectures = basePayLectures * M_rate * M_freq;
+
+
+    // --- Other Work (Rate Card per Task Type) ---
+
+    let totalChaptersCompleted = 0;
+    let P_final_other = 0;
+    const otherByType = {};
+
+    Object.entries(totals.unitsByType).forEach(([taskType, units]) => {
+        const { unit, rate } = getRateCard(policy, taskType);
+        totalChaptersCompleted += units;
+        otherByType[taskType] = { unit, rate, units, pay: Math.round(units * rate) };
+        P_final_other += units * rate;
+    });
+
+    // --- Combined Totals ---
+    const P_final = P_final_lectures + P_final_other;
+
+
+    return {
+        P_final: Math.round(P_final),
+        P_final_lectures: Math.round(P_final_lectures),
+        P_final_other: Math.round(P_final_other),
+        T_billable: lectureBillableMinutes,
+        totalChaptersCompleted,
+        R_minute,
+        M_rate,
+        M_freq,
+        averageRating: averageRating.toFixed(2),
+        lecturesCount,
+        basePayLectures: Math.round(basePayLectures),
+        otherByType,
+        policyVersion: policy.version,
+    };
+};
+
+/**
+ * Pay for one mentor over a set of tasks: calculatePaymentFromTotals over getPaymentTotals(allTasks).
+ *
+ * @param {Array<object>} allTasks Tasks as stored ({ taskType, status, chapterId/chapterName,
+ *   minutes, units/chaptersCompleted, studentRating/rating }). Only approved tasks are counted.
+ * @param {number} [baseRatePerMinute] Mentor's base rate in Rs/min; policy.defaultRatePerMinute when unset.
+ * @param {object} [policy] Payment policy, normalised (see normalizePaymentPolicy).
+ * @returns {object} See calculatePaymentFromTotals.
+ */
+export const calculatePayment = (allTasks, baseRatePerMinute, policy = DEFAULT_PAYMENT_POLICY) => (
+    calculatePaymentFromTotals(getPaymentTotals(allTasks), baseRatePerMinute, policy)
+);
@@ -0,0 +1,308 @@
+import { describe, it, expect } from 'vitest';
+import {
+    DEFAULT_PAYMENT_POLICY,
+    normalizePaymentPolicy,
+    calculatePayment,
+    calculatePaymentFromTotals,
+    getPaymentTotals,
+    getFrequencyMultiplier,
+    getRatingMultiplier,
+} from './payment.js';
+
+const lecture = (minutes, rating, overrides = {}) => ({
+    taskType: 'Lecture',
+    chapterName: 'Modern Physics',
+    minutes,
+    rating,
+    status: 'Approved',
+    ...overrides,
+});
+
+const work = (taskType, units, overrides = {}) => ({ taskType, units, status: 'Approved', ...overrides });
+
+describe('calculatePayment', () => {
+    describe('golden examples from the payment policy PDF', () => {
+        it('pays the bonus tier for three well-rated lectures totalling 180 minutes', () => {
+            const result = calculatePayment([lecture(60, 4), lecture(60, 5), lecture(60, 5)], 10);
+            expect(result.T_billable).toBe(180);
+            expect(result.M_rate).toBe(1.0);
+            expect(result.M_freq).toBe(1.2);
+            expect(result.basePayLectures).toBe(1800);
+            expect(result.P_final).toBe(2160);
+        });
+
+        it('caps a chapter at 240 minutes and applies the mid rating multiplier', () => {
+            const tasks = Array.from({ length: 5 }, () => lecture(60, 3));
+            const result = calculatePayment(tasks, 12);
+            expect(result.T_billable).toBe(240);
+            expect(result.M_rate).toBe(0.75);
+            expect(result.M_freq).toBe(1.2);
+            expect(result.P_final).toBe(2592); // 240 * 12 * 0.75 * 1.2
+        });
+
+        it('pays the standard tier for two lectures totalling 120 minutes', () => {
+            const result = calculatePayment([lecture(60, 3.5), lecture(60, 3.5, { chapterName: 'Optics' })], 10);
+            expect(result.M_rate).toBe(0.75);
+            expect(result.M_freq).toBe(1.0);
+            expect(result.P_final).toBe(900);
+        });
+
+        it('applies both penalties to a single poorly rated lecture', () => {
+            const result = calculatePayment([lecture(90, 2)], 10);
+            expect(result.M_rate).toBe(0.6);
+            expect(result.M_freq).toBe(0.8);
+            expect(result.P_final).toBe(432); // 900 * 0.6 * 0.8
+        });
+    });
+
+    describe('chapter caps', () => {
+        it('caps each chapter separately', () => {
+            const result = calculatePayment([
+                lecture(200, 5), lecture(100, 5),
+                lecture(150, 5, { chapterName: 'Optics' }),
+            ], 10);
+            expect(result.T_billable).toBe(240 + 150);
+        });
+
+        it('treats differently spaced or cased chapter names as one chapter', () => {
+            const result = calculatePayment([
+                lecture(200, 5, { chapterName: 'Modern Physics' }),
+                lecture(200, 5, { chapterName: ' modern  physics ' }),
+            ], 10);
+            expect(result.T_billable).toBe(240);
+        });
+
+        it('groups catalogue chapters by id rather than name', () => {
+            const result = calculatePayment([
+                lecture(200, 5, { chapterId: 'physics-optics', chapterName: 'Optics' }),
+                lecture(200, 5, { chapterId: 'physics-ray-optics', chapterName: 'Optics' }),
+            ], 10);
+            expect(result.T_billable).toBe(400);
+        });
+
+        it('uses the cap from the policy', () => {
+            const policy = normalizePaymentPolicy({ chapterCapMinutes: 100 });
+            expect(calculatePayment([lecture(150, 5)], 10, policy).T_billable).toBe(100);
+        });
+
+        it('does not pay lectures without a chapter or without minutes', () => {
+            const result = calculatePayment([
+                lecture(60, 5, { chapterName: '' }),
+                lecture(0, 5),
+                lecture(-30, 5),
+            ], 10);
+            expect(result.T_billable).toBe(0);
+            expect(result.lecturesCount).toBe(0);
+            expect(result.P_final).toBe(0);
+        });
+    });
+
+    describe('rating thresholds', () => {
+        it.each([
+            [1, 0.6],
+            [2.49, 0.6],
+            [2.5, 0.75],
+            [3.5, 0.75],
+            [3.51, 1.0],
+            [5, 1.0],
+        ])('average rating %s gives M_rate %s', (rating, multiplier) => {
+            expect(calculatePayment([lecture(60, rating)], 10).M_rate).toBe(multiplier);
+        });
+
+        it('averages ratings across all chapters', () => {
+            const result = calculatePayment([lecture(60, 2), lecture(60, 4, { chapterName: 'Optics' })], 10);
+            expect(result.averageRating).toBe('3.00');
+            expect(result.M_rate).toBe(0.75);
+        });
+
+        it('uses the tiers from the policy', () => {
+            const policy = normalizePaymentPolicy({ ratingTiers: { lowBelow: 4, lowMultiplier: 0.5 } });
+            expect(getRatingMultiplier(policy, 3.9)).toBe(0.5);
+            expect(getRatingMultiplier(policy, 4)).toBe(DEFAULT_PAYMENT_POLICY.ratingTiers.highMultiplier);
+        });
+    });
+
+    describe('missing ratings', () => {
+        it('assumes the default rating when no lecture is rated', () => {
+            const result = calculatePayment([lecture(60, null), lecture(60, undefined)], 10);
+            expect(result.averageRating).toBe('5.00');
+            expect(result.M_rate).toBe(1.0);
+        });
+
+        it('averages only the rated lectures', () => {
+            const result = calculatePayment([lecture(60, 2), lecture(60, null)], 10);
+            expect(result.averageRating).toBe('2.00');
+            expect(result.M_rate).toBe(0.6);
+        });
+
+        it('prefers the students\' rating over the one entered with the task', () => {
+            const result = calculatePayment([lecture(60, 5, { studentRating: 2 })], 10);
+            expect(result.averageRating).toBe('2.00');
+        });
+
+        it('reads ratings stored as strings', () => {
+            const result = calculatePayment([lecture(60, '4'), lecture(60, '2', { chapterName: 'Optics' })], 10);
+            expect(result.averageRating).toBe('3.00');
+        });
+    });
+
+    describe('frequency tiers', () => {
+        it('falls back to the standard tier when minutes miss the bonus threshold', () => {
+            const result = calculatePayment([lecture(50, 5), lecture(60, 5), lecture(60, 5)], 10);
+            expect(result.T_billable).toBe(170);
+            expect(result.M_freq).toBe(1.0);
+        });
+
+        it('requires both the lecture count and the minutes of a tier', () => {
+            expect(calculatePayment([lecture(200, 5)], 10).M_freq).toBe(0.8);
+        });
+
+        it('compares against capped minutes', () => {
+            // 2 lectures, 400 minutes lectured but 240 billable: Standard, since Bonus needs 3 lectures
+            expect(calculatePayment([lecture(200, 5), lecture(200, 5)], 10).M_freq).toBe(1.0);
+        });
+
+        it('picks the best tier met regardless of the order the tiers are stored in', () => {
+            const policy = normalizePaymentPolicy({ frequencyTiers: [...DEFAULT_PAYMENT_POLICY.frequencyTiers].reverse() });
+            const tasks = [lecture(60, 5), lecture(60, 5), lecture(60, 5)];
+            expect(calculatePayment(tasks, 10, policy).M_freq).toBe(1.2);
+        });
+
+        it('applies the penalty when no tier is met', () => {
+            const policy = normalizePaymentPolicy({ frequencyPenalty: 0.5 });
+            expect(getFrequencyMultiplier(policy, 1, 60)).toBe(0.5);
+        });
+
+        it('does not apply the penalty when there are no lectures', () => {
+            expect(getFrequencyMultiplier(DEFAULT_PAYMENT_POLICY, 0, 0)).toBe(1.0);
+            expect(calculatePayment([work('Test Series Team', 1)], 10).M_freq).toBe(1.0);
+        });
+    });
+
+    describe('empty input', () => {
+        it('returns a zero breakdown under the default policy', () => {
+            expect(calculatePayment([], undefined)).toEqual({
+                P_final: 0,
+                P_final_lectures: 0,
+                P_final_other: 0,
+                T_billable: 0,
+                totalChaptersCompleted: 0,
+                R_minute: DEFAULT_PAYMENT_POLICY.defaultRatePerMinute,
+                M_rate: 1.0,
+                M_freq: 1.0,
+                averageRating: '5.00',
+                lecturesCount: 0,
+                basePayLectures: 0,
+                otherByType: {},
+                policyVersion: DEFAULT_PAYMENT_POLICY.version,
+            });
+        });
+
+        it('uses the policy default rate when the mentor has none', () => {
+            const policy = normalizePaymentPolicy({ defaultRatePerMinute: 8, version: 3 });
+            const result = calculatePayment([lecture(60, 5), lecture(60, 5), lecture(60, 5)], 0, policy);
+            expect(result.R_minute).toBe(8);
+            expect(result.P_final).toBe(1728); // 180 * 8 * 1.2
+            expect(result.policyVersion).toBe(3);
+        });
+    });
+
+    describe('task status', () => {
+        it('only pays approved work, counting legacy Done and status-less tasks as approved', () => {
+            const result = calculatePayment([
+                lecture(60, 5),
+                lecture(60, 5, { status: 'Done' }),
+                lecture(60, 5, { status: undefined }),
+                lecture(60, 5, { status: 'Submitted' }),
+                lecture(60, 5, { status: 'Pending' }),
+                lecture(60, 5, { status: 'Under Review' }),
+                lecture(60, 5, { status: 'Rejected' }),
+                lecture(60, 5, { status: 'Needs Changes' }),
+                work('Test Series Team', 1, { status: 'Rejected' }),
+            ], 10);
+            expect(result.lecturesCount).toBe(3);
+            expect(result.T_billable).toBe(180);
+            expect(result.P_final_other).toBe(0);
+        });
+    });
+
+    describe('mixed task types', () => {
+        it('itemises non-lecture work by type using the rate cards', () => {
+            const result = calculatePayment([
+                lecture(60, 5), lecture(60, 5), lecture(60, 5),
+                work('Content Team (Chapterwise)', 2),
+                work('Content Team (Chapterwise)', 1),
+                work('Doubt Session Team', 1.5),
+                work('Mystery Work', 1),
+            ], 10);
+            expect(result.otherByType).toEqual({
+                'Content Team (Chapterwise)': { unit: 'question set', rate: 500, units: 3, pay: 1500 },
+                'Doubt Session Team': { unit: 'hour', rate: 500, units: 1.5, pay: 750 },
+                'Mystery Work': { unit: 'unit', rate: 500, units: 1, pay: 500 },
+            });
+            expect(result.totalChaptersCompleted).toBe(5.5);
+            expect(result.P_final_other).toBe(2750);
+            expect(result.P_final_lectures).toBe(2160);
+            expect(result.P_final).toBe(4910);
+        });
+
+        it('does not let non-lecture work affect the lecture multipliers', () => {
+            const result = calculatePayment([lecture(60, 5), work('Mentorship Team', 4)], 10);
+            expect(result.lecturesCount).toBe(1);
+            expect(result.M_freq).toBe(0.8);
+            expect(result.P_final).toBe(480 + 2000);
+        });
+
+        it('reads units from the legacy chaptersCompleted field', () => {
+            const result = calculatePayment([{ taskType: 'Other', chaptersCompleted: 2, status: 'Done' }], 10);
+            expect(result.P_final_other).toBe(1000);
+        });
+
+        it('prices each type from the policy rate cards', () => {
+            const policy = normalizePaymentPolicy({ rateCards: { 'Test Series Team': { unit: 'mock paper', rate: 750 } } });
+            const result = calculatePayment([work('Test Series Team', 2), work('Other', 1)], 10, policy);
+            expect(result.otherByType['Test Series Team'].pay).toBe(1500);
+            expect(result.otherByType.Other.pay).toBe(500);
+        });
+
+        it('rounds rupee amounts to whole rupees', () => {
+            const result = calculatePayment([lecture(61, 3)], 10.55);
+            expect(result.basePayLectures).toBe(644); // 643.55
+            expect(result.P_final_lectures).toBe(386); // 643.55 * 0.75 * 0.8 = 386.13
+            expect(result.P_final).toBe(386);
+        });
+    });
+});
+
+describe('getPaymentTotals', () => {
+    it('keeps uncapped minutes per chapter and skips unpaid work', () => {
+        expect(getPaymentTotals([
+            lecture(200, 4), lecture(100, 2),
+            lecture(60, null, { chapterName: 'Optics' }),
+            lecture(60, 5, { status: 'Submitted' }),
+            lecture(60, 5, { chapterName: '' }),
+            work('Doubt Session Team', 1.5),
+        ])).toEqual({
+            chapterMinutes: { 'modern physics': 300, optics: 60 },
+            lecturesCount: 3,
+            ratingSum: 6,
+            ratingCount: 2,
+            unitsByType: { 'Doubt Session Team': 1.5 },
+        });
+    });
+
+    it('adds up across separate sets of tasks to the pay for all of them', () => {
+        const march = [lecture(200, 5), work('Content Team (Chapterwise)', 2)];
+        const april = [lecture(100, 3), lecture(60, 4, { chapterName: 'Optics' })];
+        const a = getPaymentTotals(march);
+        const b = getPaymentTotals(april);
+        const combined = {
+            chapterMinutes: { 'modern physics': a.chapterMinutes['modern physics'] + b.chapterMinutes['modern physics'], optics: b.chapterMinutes.optics },
+            lecturesCount: a.lecturesCount + b.lecturesCount,
+            ratingSum: a.ratingSum + b.ratingSum,
+            ratingCount: a.ratingCount + b.ratingCount,
+            unitsByType: a.unitsByType,
+        };
+        expect(calculatePaymentFromTotals(combined, 10)).toEqual(calculatePayment([...march, ...april], 10));
+    });
+});